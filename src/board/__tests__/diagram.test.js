@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { renderDiagram } from '../diagram'
+
+const parse = (svg) => new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement
+const position = (element) => [Number(element.getAttribute('x')), Number(element.getAttribute('y'))]
+
+describe('board diagrams', () => {
+  const fen = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1'
+
+  it('draws the squares and pieces of the position', () => {
+    const svg = parse(renderDiagram(fen, { size: 320 }))
+    expect(svg.getAttribute('width')).toBe('360')
+    expect(svg.querySelectorAll('rect.square')).toHaveLength(64)
+    expect(svg.querySelector('rect[data-square="a1"]').getAttribute('fill')).toBe('#b58863')
+    expect(svg.querySelector('rect[data-square="h1"]').getAttribute('fill')).toBe('#f0d9b5')
+    expect(svg.querySelectorAll('g.piece')).toHaveLength(32)
+    expect(svg.querySelector('g.piece[data-square="e4"]').getAttribute('data-piece')).toBe('P')
+    expect(svg.querySelector('g.piece[data-square="e2"]')).toBeNull()
+    // White pieces get an outline glyph over a white body
+    expect(svg.querySelectorAll('g.piece[data-square="e1"] text')).toHaveLength(2)
+    expect(svg.querySelectorAll('g.piece[data-square="e8"] text')).toHaveLength(1)
+  })
+
+  it('follows the board orientation', () => {
+    const white = parse(renderDiagram(fen, { size: 320 }))
+    expect(position(white.querySelector('rect[data-square="a8"]'))).toEqual([20, 20])
+    expect([...white.querySelectorAll('text.coordinate')].map(text => text.textContent).join('')).toBe('a8b7c6d5e4f3g2h1')
+
+    const black = parse(renderDiagram(fen, { size: 320, orientation: 'black' }))
+    expect(position(black.querySelector('rect[data-square="h1"]'))).toEqual([20, 20])
+    expect([...black.querySelectorAll('text.coordinate')].map(text => text.textContent).join('')).toBe('h1g2f3e4d5c6b7a8')
+  })
+
+  it('leaves out the coordinates on request', () => {
+    const svg = parse(renderDiagram(fen, { size: 320, coordinates: false }))
+    expect(svg.getAttribute('width')).toBe('320')
+    expect(svg.querySelectorAll('text.coordinate')).toHaveLength(0)
+    expect(position(svg.querySelector('rect[data-square="a8"]'))).toEqual([0, 0])
+  })
+
+  it('draws highlighted squares and arrows', () => {
+    const svg = parse(renderDiagram(fen, {
+      highlights: [{ square: 'd5', color: 'R' }],
+      arrows: [{ from: 'g1', to: 'f3', color: 'G' }, { from: 'b1', to: 'b1', color: 'B' }],
+    }))
+    expect(svg.querySelector('rect.highlight').getAttribute('data-square')).toBe('d5')
+    expect(svg.querySelector('rect.highlight').getAttribute('fill')).toBe('#882020')
+    const arrows = svg.querySelectorAll('g.arrow')
+    expect(arrows).toHaveLength(1)
+    expect(arrows[0].getAttribute('data-from')).toBe('g1')
+    expect(arrows[0].querySelector('line').getAttribute('stroke')).toBe('#15781b')
+  })
+
+  it('adds an escaped caption below the board', () => {
+    const svg = renderDiagram(fen, { size: 320, caption: '1. e4 <Best by test>' })
+    expect(svg).toContain('1. e4 &#60;Best by test&#62;')
+    const caption = parse(svg).querySelector('text.caption')
+    expect(caption.textContent).toBe('1. e4 <Best by test>')
+    expect(parse(svg).getAttribute('height')).toBe('392')
+  })
+})
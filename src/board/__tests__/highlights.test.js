@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import { Chess } from 'chess.js'
+import { lastMoveStyles, wrongMoveStyles, checkStyles, legalMoveStyles, mergeSquareStyles } from '../highlights'
+
+describe('board highlights', () => {
+  it('marks the squares of the last move', () => {
+    expect(Object.keys(lastMoveStyles({ from: 'e2', to: 'e4' }))).toEqual(['e2', 'e4'])
+    expect(lastMoveStyles(undefined)).toEqual({})
+    expect(Object.keys(wrongMoveStyles({ from: 'g1', to: 'h3' }))).toEqual(['g1', 'h3'])
+    expect(wrongMoveStyles(null)).toEqual({})
+  })
+
+  it('finds the checked king of the side to move', () => {
+    expect(Object.keys(checkStyles('rnbqkbnr/ppppp1pp/8/5p1Q/4P3/8/PPPP1PPP/RNB1KBNR b KQkq - 1 2'))).toEqual(['e8'])
+    expect(checkStyles(new Chess().fen())).toEqual({})
+  })
+
+  it('draws dots for quiet moves and rings for captures', () => {
+    const game = new Chess('4k3/8/8/3p4/4P3/8/8/4K3 w - - 0 1')
+    const styles = legalMoveStyles('e4', game.moves({ square: 'e4', verbose: true }))
+    expect(Object.keys(styles).sort()).toEqual(['d5', 'e4', 'e5'])
+    expect(styles.d5.backgroundImage).toContain('transparent 79%')
+    expect(styles.e5.backgroundImage).toContain('transparent 20%')
+  })
+
+  it('stacks background images and overrides other properties', () => {
+    const merged = mergeSquareStyles(
+      { e4: { backgroundColor: 'green', backgroundImage: 'a' } },
+      { e4: { backgroundColor: 'red', backgroundImage: 'b' } }
+    )
+    expect(merged.e4).toEqual({ backgroundColor: 'red', backgroundImage: 'b, a' })
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { Chess } from 'chess.js'
+import { emptySetup, setupFromFen, setupToFen, enPassantCandidates, validateSetup, withoutIdleEnPassant } from '../setup'
+
+const withPieces = (pieces, fields = {}) => ({ ...emptySetup(), pieces, ...fields })
+
+describe('position setup', () => {
+  it('round-trips FENs', () => {
+    const fen = 'r3k2r/pp3ppp/8/3pP3/8/8/PP3PPP/R3K2R w KQkq d6 0 14'
+    const setup = setupFromFen(fen)
+    expect(setup).toMatchObject({ turn: 'w', castling: 'KQkq', enPassant: 'd6', halfmove: 0, fullmove: 14 })
+    expect(setup.pieces).toMatchObject({ a8: 'bR', e1: 'wK', e5: 'wP' })
+    expect(setupToFen(setup)).toBe(fen)
+    expect(setupToFen(emptySetup())).toBe('8/8/8/8/8/8/8/8 w - - 0 1')
+    expect(setupToFen({ ...setupFromFen(new Chess().fen()), castling: 'qkQK' })).toBe(new Chess().fen())
+    // Chess960 rights name the rook's file
+    expect(setupToFen(setupFromFen('rk4r1/8/8/8/8/8/8/RK4R1 w GAga - 0 1'))).toBe('rk4r1/8/8/8/8/8/8/RK4R1 w GAga - 0 1')
+  })
+
+  it('accepts the starting position', () => {
+    expect(validateSetup(setupFromFen(new Chess().fen()))).toEqual([])
+  })
+
+  it('explains what is wrong with a position', () => {
+    expect(validateSetup(withPieces({ e1: 'wK', d1: 'wK', a1: 'wP' }))).toEqual([
+      'White has more than one king',
+      'Black has no king',
+      'Pawns on the back rank',
+    ])
+    expect(validateSetup(withPieces({ e1: 'wK', e8: 'bK', e4: 'wR' }))).toEqual(['The side not to move is in check'])
+    expect(validateSetup(withPieces({ e1: 'wK', e8: 'bK', e4: 'wR' }, { turn: 'b' }))).toEqual([])
+    expect(validateSetup(withPieces({ e1: 'wK', d8: 'bK', h1: 'wR' }, { castling: 'KQk', fullmove: 0 }))).toEqual([
+      'White has queenside castling rights without a rook on a1',
+      'Black has castling rights without the king on e8',
+      'Black has kingside castling rights without a rook on h8',
+      'The move number must be a positive whole number',
+    ])
+  })
+
+  it('only allows en passant after a double pawn push', () => {
+    const setup = withPieces({ e1: 'wK', e8: 'bK', d5: 'bP', e5: 'wP' })
+    expect(enPassantCandidates(setup)).toEqual(['d6'])
+    expect(validateSetup({ ...setup, enPassant: 'd6' })).toEqual([])
+    expect(validateSetup({ ...setup, enPassant: 'c6' })).toEqual(['No pawn can have just moved two squares past c6'])
+    expect(enPassantCandidates({ ...setup, turn: 'b' })).toEqual([])
+  })
+
+  it('accepts an en passant square no pawn can take, and drops it', () => {
+    const setup = setupFromFen('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1')
+    expect(validateSetup(setup)).toEqual([])
+    expect(enPassantCandidates(setup)).toEqual([])
+    expect(setupToFen(withoutIdleEnPassant(setup))).toBe('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1')
+
+    const capturable = withPieces({ e1: 'wK', e8: 'bK', d5: 'bP', e5: 'wP' }, { enPassant: 'd6' })
+    expect(withoutIdleEnPassant(capturable)).toBe(capturable)
+  })
+})
@@ -0,0 +1,152 @@
+// Board diagrams for worksheets and slides. renderDiagram draws a position as a
+// standalone SVG document; diagramToPng rasterises one through a canvas.
+// Shapes use the node format from pgn/shapes.js.
+
+const FILES = 'abcdefgh';
+const LIGHT_SQUARE = '#f0d9b5';
+const DARK_SQUARE = '#b58863';
+const COORDINATE_MARGIN = 20;
+const CAPTION_HEIGHT = 32;
+
+// The opaque versions of SHAPE_COLORS; plain hex keeps the SVG readable by
+// editors that don't understand rgba()
+const DIAGRAM_COLORS = { G: '#15781b', R: '#882020', B: '#003088', Y: '#e68f00' };
+
+// Solid glyphs for the piece bodies, outline glyphs for the lines on white pieces.
+// U+FE0E keeps the pawn from turning into an emoji.
+const SOLID_GLYPHS = { k: '♚', q: '♛', r: '♜', b: '♝', n: '♞', p: '\u265F\uFE0E' };
+const OUTLINE_GLYPHS = { k: '♔', q: '♕', r: '♖', b: '♗', n: '♘', p: '♙' };
+const PIECE_FONT = "'DejaVu Sans', 'Segoe UI Symbol', 'Noto Sans Symbols 2', serif";
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// The piece letters of a FEN by square, e.g. { e1: 'K', e8: 'k' }
+const piecesFromFen = (fen) => {
+  const pieces = {};
+  fen.split(' ')[0].split('/').forEach((rank, rankIndex) => {
+    let file = 0;
+    for (const char of rank) {
+      if (/\d/.test(char)) {
+        file += Number(char);
+      } else {
+        pieces[`${FILES[file]}${8 - rankIndex}`] = char;
+        file += 1;
+      }
+    }
+  });
+  return pieces;
+};
+
+export const renderDiagram = (fen, {
+  orientation = 'white',
+  coordinates = true,
+  highlights = [],
+  arrows = [],
+  caption = '',
+  size = 360,
+} = {}) => {
+  const squareSize = size / 8;
+  const margin = coordinates ? COORDINATE_MARGIN : 0;
+  const width = size + margin * 2;
+  const height = size + margin * 2 + (caption ? CAPTION_HEIGHT : 0);
+  const flipped = orientation === 'black';
+
+  // Top-left corner of a square
+  const origin = (square) => {
+    const file = FILES.indexOf(square[0]);
+    const rank = Number(square[1]) - 1;
+    return {
+      x: margin + (flipped ? 7 - file : file) * squareSize,
+      y: margin + (flipped ? rank : 7 - rank) * squareSize,
+    };
+  };
+  const center = (square) => {
+    const { x, y } = origin(square);
+    return { x: x + squareSize / 2, y: y + squareSize / 2 };
+  };
+
+  const parts = [];
+
+  for (let rank = 1; rank <= 8; rank++) {
+    for (let file = 0; file < 8; file++) {
+      const square = `${FILES[file]}${rank}`;
+      const { x, y } = origin(square);
+      const fill = (file + rank) % 2 === 0 ? LIGHT_SQUARE : DARK_SQUARE;
+      parts.push(`<rect class="square" data-square="${square}" x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="${fill}"/>`);
+    }
+  }
+
+  highlights.forEach(({ square, color }) => {
+    const { x, y } = origin(square);
+    parts.push(`<rect class="highlight" data-square="${square}" x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="${DIAGRAM_COLORS[color]}" fill-opacity="0.5"/>`);
+  });
+
+  if (coordinates) {
+    const fontSize = COORDINATE_MARGIN * 0.6;
+    for (let index = 0; index < 8; index++) {
+      const file = FILES[flipped ? 7 - index : index];
+      const rank = flipped ? index + 1 : 8 - index;
+      const along = margin + (index + 0.5) * squareSize;
+      parts.push(`<text class="coordinate" x="${along}" y="${height - (caption ? CAPTION_HEIGHT : 0) - margin / 2}" font-size="${fontSize}" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" fill="#333">${file}</text>`);
+      parts.push(`<text class="coordinate" x="${margin / 2}" y="${along}" font-size="${fontSize}" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" fill="#333">${rank}</text>`);
+    }
+  }
+
+  const pieces = piecesFromFen(fen);
+  Object.entries(pieces).forEach(([square, letter]) => {
+    const { x, y } = center(square);
+    const type = letter.toLowerCase();
+    const isWhite = letter !== type;
+    const text = (glyph, fill) =>
+      `<text x="${x}" y="${y}" font-size="${squareSize * 0.8}" text-anchor="middle" dominant-baseline="central" font-family="${PIECE_FONT}" fill="${fill}">${glyph}</text>`;
+    parts.push(`<g class="piece" data-square="${square}" data-piece="${letter}">${text(SOLID_GLYPHS[type], isWhite ? '#fff' : '#000')}${isWhite ? text(OUTLINE_GLYPHS[type], '#000') : ''}</g>`);
+  });
+
+  // Arrows stop a little short of the centre of the target square so the piece stays visible
+  arrows.forEach(({ from, to, color }) => {
+    if (from === to) return;
+    const start = center(from);
+    const end = center(to);
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const ux = (end.x - start.x) / length;
+    const uy = (end.y - start.y) / length;
+    const headLength = squareSize * 0.4;
+    const headWidth = squareSize * 0.25;
+    const tip = { x: end.x - ux * squareSize * 0.15, y: end.y - uy * squareSize * 0.15 };
+    const base = { x: tip.x - ux * headLength, y: tip.y - uy * headLength };
+    const round = (value) => Math.round(value * 100) / 100;
+    const point = ({ x, y }) => `${round(x)},${round(y)}`;
+    const fill = DIAGRAM_COLORS[color];
+    parts.push(
+      `<g class="arrow" data-from="${from}" data-to="${to}" opacity="0.8">`
+      + `<line x1="${round(start.x)}" y1="${round(start.y)}" x2="${round(base.x)}" y2="${round(base.y)}" stroke="${fill}" stroke-width="${round(squareSize * 0.16)}"/>`
+      + `<polygon points="${point(tip)} ${point({ x: base.x - uy * headWidth, y: base.y + ux * headWidth })} ${point({ x: base.x + uy * headWidth, y: base.y - ux * headWidth })}" fill="${fill}"/>`
+      + '</g>'
+    );
+  });
+
+  if (caption) {
+    parts.push(`<text class="caption" x="${width / 2}" y="${height - CAPTION_HEIGHT / 2}" font-size="16" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" fill="#000">${escapeXml(caption)}</text>`);
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    ...parts,
+    '</svg>',
+  ].join('\n');
+};
+
+// Resolves with a PNG Blob of an SVG from renderDiagram, `scale` times its size
+export const diagramToPng = (svg, { scale = 2 } = {}) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width * scale;
+    canvas.height = image.height * scale;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The diagram could not be converted to PNG'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('The diagram could not be loaded'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
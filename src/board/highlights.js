@@ -0,0 +1,70 @@
+import { createGame } from '../variants/chess960';
+
+// Square styles for react-chessboard's customSquareStyles. Each helper returns
+// a { [square]: style } map; mergeSquareStyles layers them so a highlighted
+// square can still show a drawn circle or a legal-move dot.
+
+const LAST_MOVE_COLOR = 'rgba(155, 199, 0, 0.41)';
+const SELECTED_COLOR = 'rgba(20, 85, 30, 0.5)';
+const MOVE_DOT_COLOR = 'rgba(20, 85, 30, 0.5)';
+const CHECK_COLOR = 'rgba(255, 0, 0, 0.8)';
+const WRONG_MOVE_COLOR = 'rgba(220, 50, 47, 0.45)';
+
+// The from/to squares of a chess.js move object
+export const lastMoveStyles = (move) => {
+  if (!move) return {};
+  return {
+    [move.from]: { backgroundColor: LAST_MOVE_COLOR },
+    [move.to]: { backgroundColor: LAST_MOVE_COLOR },
+  };
+};
+
+// The from/to squares of a move that was played and taken back, e.g. a wrong training answer
+export const wrongMoveStyles = (squares) => {
+  if (!squares) return {};
+  return {
+    [squares.from]: { backgroundColor: WRONG_MOVE_COLOR },
+    [squares.to]: { backgroundColor: WRONG_MOVE_COLOR },
+  };
+};
+
+// A red glow under the king of the side to move when it's in check
+export const checkStyles = (fen) => {
+  const game = createGame(fen);
+  if (!game.inCheck()) return {};
+
+  const turn = game.turn();
+  const kingSquare = game.board().flat().find(piece => piece && piece.type === 'k' && piece.color === turn).square;
+  return {
+    [kingSquare]: {
+      backgroundImage: `radial-gradient(ellipse at center, ${CHECK_COLOR} 0%, rgba(231, 0, 0, 0.6) 25%, rgba(169, 0, 0, 0) 89%)`,
+    },
+  };
+};
+
+// The selected piece and dots on its destinations; captures get a ring instead
+export const legalMoveStyles = (square, moves) => {
+  if (!square) return {};
+  const styles = { [square]: { backgroundColor: SELECTED_COLOR } };
+  moves.forEach(move => {
+    styles[move.to] = {
+      backgroundImage: move.captured
+        ? `radial-gradient(circle, transparent 79%, ${MOVE_DOT_COLOR} 80%)`
+        : `radial-gradient(circle, ${MOVE_DOT_COLOR} 19%, transparent 20%)`,
+    };
+  });
+  return styles;
+};
+
+// Later maps are drawn on top: background images stack, other properties override
+export const mergeSquareStyles = (...styleMaps) => {
+  const merged = {};
+  styleMaps.forEach(styles => {
+    Object.entries(styles).forEach(([square, style]) => {
+      const current = merged[square] || {};
+      const backgroundImage = [style.backgroundImage, current.backgroundImage].filter(Boolean).join(', ');
+      merged[square] = { ...current, ...style, ...(backgroundImage ? { backgroundImage } : {}) };
+    });
+  });
+  return merged;
+};
@@ -0,0 +1,147 @@
+import { Chess } from 'chess.js';
+
+// Positions being set up in the board editor. A setup is a plain object:
+//
+//   { pieces: { e1: 'wK', e8: 'bK' }, turn: 'w', castling: 'KQkq', enPassant: null, halfmove: 0, fullmove: 1 }
+//
+// Pieces use react-chessboard's notation so they can be passed straight to the
+// board as its position. Unlike a FEN, a setup may be illegal while it's being
+// edited; validateSetup explains what is wrong with it.
+
+const FILES = 'abcdefgh';
+const CASTLING_ORDER = 'KQkq';
+const COLOR_NAMES = { w: 'White', b: 'Black' };
+
+// Where the king and rook have to stand for each castling right
+const CASTLING_SQUARES = {
+  K: { color: 'w', king: 'e1', rook: 'h1', side: 'kingside' },
+  Q: { color: 'w', king: 'e1', rook: 'a1', side: 'queenside' },
+  k: { color: 'b', king: 'e8', rook: 'h8', side: 'kingside' },
+  q: { color: 'b', king: 'e8', rook: 'a8', side: 'queenside' },
+};
+
+export const emptySetup = () => ({ pieces: {}, turn: 'w', castling: '', enPassant: null, halfmove: 0, fullmove: 1 });
+
+// Read a FEN without validating it, so any position can be opened in the editor
+export const setupFromFen = (fen) => {
+  const [placement = '', turn = 'w', castling = '-', enPassant = '-', halfmove = '0', fullmove = '1'] = fen.trim().split(/\s+/);
+  const pieces = {};
+  placement.split('/').forEach((rank, rankIndex) => {
+    let file = 0;
+    for (const char of rank) {
+      if (/\d/.test(char)) {
+        file += Number(char);
+      } else {
+        const color = char === char.toUpperCase() ? 'w' : 'b';
+        pieces[`${FILES[file]}${8 - rankIndex}`] = `${color}${char.toUpperCase()}`;
+        file += 1;
+      }
+    }
+  });
+  return {
+    pieces,
+    turn: turn === 'b' ? 'b' : 'w',
+    castling: castling === '-' ? '' : castling,
+    enPassant: enPassant === '-' ? null : enPassant,
+    halfmove: Number(halfmove),
+    fullmove: Number(fullmove),
+  };
+};
+
+export const setupToFen = ({ pieces, turn, castling, enPassant, halfmove, fullmove }) => {
+  const ranks = [];
+  for (let rank = 8; rank >= 1; rank--) {
+    let row = '';
+    let empty = 0;
+    for (const file of FILES) {
+      const piece = pieces[`${file}${rank}`];
+      if (!piece) {
+        empty += 1;
+        continue;
+      }
+      if (empty > 0) row += empty;
+      empty = 0;
+      row += piece[0] === 'w' ? piece[1] : piece[1].toLowerCase();
+    }
+    ranks.push(empty > 0 ? row + empty : row);
+  }
+  // Chess960 (Shredder-FEN) rights name files and are kept as they are
+  const rights = /[A-Ha-h]/.test(castling) ? castling : [...CASTLING_ORDER].filter(right => castling.includes(right)).join('');
+  return `${ranks.join('/')} ${turn} ${rights || '-'} ${enPassant || '-'} ${halfmove} ${fullmove}`;
+};
+
+// Squares a pawn of the side that just moved could have skipped with a double step
+export const doubleStepSquares = ({ pieces, turn }) => {
+  const [targetRank, pawnRank, fromRank] = turn === 'w' ? [6, 5, 7] : [3, 4, 2];
+  const movedPawn = turn === 'w' ? 'bP' : 'wP';
+  return [...FILES].filter(file =>
+    pieces[`${file}${pawnRank}`] === movedPawn
+    && !pieces[`${file}${targetRank}`]
+    && !pieces[`${file}${fromRank}`]
+  ).map(file => `${file}${targetRank}`);
+};
+
+// Squares a pawn of the side to move could capture en passant on, given where the pieces are
+export const enPassantCandidates = ({ pieces, turn }) => {
+  const pawnRank = turn === 'w' ? 5 : 4;
+  const capturingPawn = turn === 'w' ? 'wP' : 'bP';
+  return doubleStepSquares({ pieces, turn }).filter(square => {
+    const index = FILES.indexOf(square[0]);
+    return [FILES[index - 1], FILES[index + 1]].some(side => side && pieces[`${side}${pawnRank}`] === capturingPawn);
+  });
+};
+
+// Many FENs name the square after every double step, as the PGN standard asks,
+// even when no pawn can take. That's legal but meaningless, so it is dropped.
+export const withoutIdleEnPassant = (setup) =>
+  setup.enPassant && !enPassantCandidates(setup).includes(setup.enPassant) ? { ...setup, enPassant: null } : setup;
+
+// Reasons the setup isn't a legal position, or [] when it can be played from
+export const validateSetup = (setup) => {
+  const { pieces, turn, castling, enPassant, halfmove, fullmove } = setup;
+  const reasons = [];
+  const squaresOf = (piece) => Object.keys(pieces).filter(square => pieces[square] === piece);
+
+  ['w', 'b'].forEach(color => {
+    const kings = squaresOf(`${color}K`).length;
+    if (kings === 0) reasons.push(`${COLOR_NAMES[color]} has no king`);
+    if (kings > 1) reasons.push(`${COLOR_NAMES[color]} has more than one king`);
+    if (squaresOf(`${color}P`).length > 8) reasons.push(`${COLOR_NAMES[color]} has more than 8 pawns`);
+    if (Object.values(pieces).filter(piece => piece[0] === color).length > 16) {
+      reasons.push(`${COLOR_NAMES[color]} has more than 16 pieces`);
+    }
+  });
+
+  if (Object.keys(pieces).some(square => pieces[square][1] === 'P' && /[18]$/.test(square))) {
+    reasons.push('Pawns on the back rank');
+  }
+
+  ['w', 'b'].forEach(color => {
+    const rights = [...castling].filter(right => CASTLING_SQUARES[right] && CASTLING_SQUARES[right].color === color);
+    if (rights.length === 0) return;
+    const { king } = CASTLING_SQUARES[rights[0]];
+    if (pieces[king] !== `${color}K`) reasons.push(`${COLOR_NAMES[color]} has castling rights without the king on ${king}`);
+    rights.forEach(right => {
+      const { rook, side } = CASTLING_SQUARES[right];
+      if (pieces[rook] !== `${color}R`) {
+        reasons.push(`${COLOR_NAMES[color]} has ${side} castling rights without a rook on ${rook}`);
+      }
+    });
+  });
+
+  if (enPassant && !doubleStepSquares(setup).includes(enPassant)) {
+    reasons.push(`No pawn can have just moved two squares past ${enPassant}`);
+  }
+
+  if (!Number.isInteger(fullmove) || fullmove < 1) reasons.push('The move number must be a positive whole number');
+  if (!Number.isInteger(halfmove) || halfmove < 0) reasons.push('The halfmove clock must be zero or more');
+
+  // Only meaningful once both sides have exactly one king
+  if (squaresOf('wK').length === 1 && squaresOf('bK').length === 1) {
+    const board = new Chess(setupToFen({ ...setup, castling: '', enPassant: null, halfmove: 0, fullmove: 1 }), { skipValidation: true });
+    const waiting = turn === 'w' ? 'b' : 'w';
+    if (board.isAttacked(squaresOf(`${waiting}K`)[0], turn)) reasons.push('The side not to move is in check');
+  }
+
+  return reasons;
+};
@@ -1,15 +1,54 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo, forwardRef, useImperativeHandle } from 'react';
 import { useImmer } from 'use-immer';
+import { enablePatches, produceWithPatches, applyPatches } from 'immer';
 import { Chess } from 'chess.js';
 import { Chessboard } from 'react-chessboard';
-import { parse } from '@mliebelt/pgn-parser';
 import { DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+import { createUciEngine } from '../engine/uci';
+import { classifySwings } from '../engine/swings';
+import EvalBar from './EvalBar';
+import EngineLines from './EngineLines';
+import GameDatabase from './GameDatabase';
+import * as GameTree from '../gameTree/GameTree';
+import { normalizeTags } from '../pgn/tags';
+import HeaderEditor from './HeaderEditor';
+import AnnotationPalette from './AnnotationPalette';
+import MoveContextMenu from './MoveContextMenu';
+import TranspositionReport from './TranspositionReport';
+import ThinkTimeChart from './ThinkTimeChart';
+import EvalGraph from './EvalGraph';
+import GameResult from './GameResult';
+import SearchPanel from './SearchPanel';
+import TrainingPanel from './TrainingPanel';
+import GuessPanel from './GuessPanel';
+import BoardEditor from './BoardEditor';
+import { searchTree } from '../gameTree/search';
+import { toStudy, validateStudy, fromStudy } from '../gameTree/study';
+import { createSchedule, isSchedule, cardKey, recordReview, countDue, chooseOpponentMove } from '../training/repertoire';
+import { createGuess, summarizeGuesses } from '../training/guess';
+import { colorForEvent, toggleShape, toBoardArrows, toSquareStyles } from '../pgn/shapes';
+import { openingForLine, findBookExits, openingHeaders, withoutOpeningHeaders } from '../openings/openings';
+import { lastMoveStyles, checkStyles, legalMoveStyles, wrongMoveStyles, mergeSquareStyles } from '../board/highlights';
+import { setupFromFen, setupToFen, validateSetup, withoutIdleEnPassant } from '../board/setup';
+import { renderDiagram, diagramToPng } from '../board/diagram';
+import { createGame, needsChess960, isChess960Variant, toChess960Fen, randomChess960Fen, CHESS960 } from '../variants/chess960';
+import { formatNagsForDisplay, toggleNag, NAG_SHORTCUTS } from '../pgn/nags';
+import { parseClock, formatClock, thinkTimes, clocksAt, findLongThinks } from '../pgn/clock';
 import './AnalysisBoard.css';
 
-// A unique ID for new nodes
-let nextId = 0;
+// Tree edits are recorded as immer patches so they can be undone
+enablePatches();
 
-const AnalysisBoard = ({ 
+const MAX_HISTORY = 200;
+const EMPTY_HISTORY = { past: [], future: [] };
+
+// How long the opponent waits before replying in training and guessing sessions, in milliseconds
+const OPPONENT_DELAY = 400;
+
+// The PGN sent to onPgnChange and returned by getPgn
+const exportPgn = (tree, headers) => GameTree.toPgn(tree, { headers, computedHeaders: openingHeaders(tree) });
+
+const AnalysisBoard = forwardRef(({ 
   externalSettings = null,
   onSettingsChange = null,
   showExternalSettings = false,
@@ -17,11 +56,18 @@ const AnalysisBoard = ({
   startingFen = null,
   startingPgn = null,
   onPgnChange = null,
+  startingStudy = null,
+  onStudyChange = null,
   onError = null,
+  onTrainingScheduleChange = null,
+  onGuessSummary = null,
   enableFenInput = true,
   enablePgnBox = true,
-  containerMode = 'standalone'
-}) => {
+  containerMode = 'standalone',
+  engine = null,
+  engineLines = 3,
+  engineDepth = null
+}, ref) => {
   // FEN state for starting position
   // In embedded mode, keep the move panel the same height as the board
   const containerRef = useRef(null);
@@ -123,17 +169,10 @@ const AnalysisBoard = ({
     }
   };
   const [fenInput, setFenInput] = useState('');
-  const [currentStartingFen, setCurrentStartingFen] = useState(startingFen || new Chess().fen());
+  const [currentStartingFen, setCurrentStartingFen] = useState(startingFen || GameTree.STANDARD_FEN);
 
   // The game tree now holds the entire game state
-  const [tree, setTree] = useImmer({
-    id: 'root',
-    san: null,
-    comment: '',
-    fen: currentStartingFen,
-    ply: -1,
-    children: [],
-  });
+  const [tree, setTree] = useImmer(() => GameTree.createRootForPosition(currentStartingFen));
 
   // useEffect( _=> {
   //   console.log(`printing tree`);
@@ -141,6 +180,14 @@ const AnalysisBoard = ({
   //   console.log(`currentPath: ${currentPath}`);
   // }, [tree])
 
+  // PGN headers (Event, White, custom tags, ...). FEN/SetUp live in currentStartingFen.
+  const [headers, setHeaders] = useState({});
+
+  // Undo/redo stacks. Each entry holds the patches of one tree edit plus the
+  // selected path (and headers, for loads) on either side of it.
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [showHeaderEditor, setShowHeaderEditor] = useState(false);
+
   // currentPath tracks the location within the tree (e.g., [0, 1])
   const [currentPath, setCurrentPath] = useState([]);
   
@@ -161,11 +208,27 @@ const AnalysisBoard = ({
     previousMove: 'k',
     jumpToStart: 'ArrowUp',
     jumpToEnd: 'ArrowDown',
-    toggleFen: 'F' // Shift+F
+    nextVariation: 'n',
+    previousVariation: 'p',
+    enterVariation: 'v',
+    exitVariation: 'b', // Back to the branch point of the current side line
+    moveMenu: 'm', // Open the move's context menu (the ContextMenu key and Shift+F10 also work)
+    toggleFen: 'F', // Shift+F
+    autoQueen: false, // Skip the promotion picker and always promote to a queen
+    showLegalMoves: true,
+    showLastMove: true,
+    showCheck: true,
+    variationChooser: true, // Pressing next at a fork asks which branch to follow
+    moveListLayout: 'columns', // 'columns' or 'inline', one paragraph like a printed game
+    variationDepth: null // Side lines nested deeper than this start collapsed; null shows them all
   });
 
   const [showFenInput, setShowFenInput] = useState(false);
   const [autoScrollEnabled, setAutoScrollEnabled] = useState(true);
+  // Side line blocks folded or unfolded by hand, by the id of the move they branch from
+  const [variationToggles, setVariationToggles] = useState(() => new Map());
+  // Ids of bookmarked moves, kept in studies
+  const [bookmarks, setBookmarks] = useState([]);
 
   // Merge external settings over internal defaults so missing keys fall back
   const effectiveSettings = { ...keyboardShortcuts, ...(externalSettings || {}) };
@@ -193,23 +256,24 @@ const AnalysisBoard = ({
     if (startingFen && startingFen !== currentStartingFen) {
       setCurrentStartingFen(startingFen);
       // Reset the tree with the new starting position
-      setTree({
-        id: 'root',
-        san: null,
-        comment: '',
-        fen: startingFen,
-        ply: -1,
-        children: [],
-      });
+      setTree(GameTree.createRootForPosition(startingFen));
+      setHeaders({});
+      setHistory(EMPTY_HISTORY);
       setCurrentPath([]);
     }
   }, [startingFen, currentStartingFen, setTree]);
 
-  // Load starting PGN when prop changes
+  // Parsed games from the last multi-game PGN, kept so switching games doesn't re-parse
+  const [gameDatabase, setGameDatabase] = useState(null);
+  const [selectedGameIndex, setSelectedGameIndex] = useState(0);
+
+  // Load starting PGN when prop changes. Like a pasted PGN, a file with several
+  // games opens the first one and keeps the rest in the game database.
   useEffect(() => {
     if (startingPgn) {
       try {
-        const pgnAst = parse(startingPgn, { startRule: 'game' });
+        const games = GameTree.parseGames(startingPgn);
+        const pgnAst = games && games[0];
         
         if (!pgnAst || pgnAst.moves.length === 0) {
           reportError('invalid_pgn', 'The provided PGN contains no valid moves', { pgn: startingPgn });
@@ -217,16 +281,15 @@ const AnalysisBoard = ({
         }
 
         // Extract FEN from PGN tags if present
-        let startingFenFromPgn = new Chess().fen(); // default starting position
-        let pgnHasFenHeader = false;
+        let startingFenFromPgn = GameTree.STANDARD_FEN; // default starting position
         
         if (pgnAst.tags && pgnAst.tags.FEN) {
-          pgnHasFenHeader = true;
           startingFenFromPgn = pgnAst.tags.FEN;
           
           // Validate the FEN from PGN header
           try {
-            new Chess(startingFenFromPgn);
+            if (isChess960Variant(pgnAst.tags.Variant) || needsChess960(startingFenFromPgn)) toChess960Fen(startingFenFromPgn);
+            else new Chess(startingFenFromPgn);
           } catch (fenError) {
             reportError('invalid_fen_in_pgn', 'The FEN position in the PGN header is invalid', { 
               fen: startingFenFromPgn, 
@@ -251,7 +314,11 @@ const AnalysisBoard = ({
 
         // Validate that the first move in PGN is legal from the starting position
         try {
-          const testGame = new Chess(startingFenFromPgn);
+          const testGame = createGame(
+            isChess960Variant(pgnAst.tags && pgnAst.tags.Variant) || needsChess960(startingFenFromPgn)
+              ? toChess960Fen(startingFenFromPgn)
+              : startingFenFromPgn
+          );
           const firstMove = pgnAst.moves[0];
           if (firstMove && firstMove.notation) {
             testGame.move(firstMove.notation.notation);
@@ -265,58 +332,15 @@ const AnalysisBoard = ({
           return;
         }
 
-        if (pgnAst && pgnAst.moves.length > 0) {
-          setCurrentStartingFen(startingFenFromPgn);
-
-          setTree(draft => {
-            draft.id = 'root';
-            draft.san = null;
-            draft.comment = '';
-            draft.fen = startingFenFromPgn;
-            draft.ply = -1;
-            draft.children = [];
-            
-            const addMovesToNode = (currentParentNode, moves) => {
-              if (!moves || moves.length === 0) return;
-              let lastNodeForThisLine = currentParentNode;
-
-              for (const move of moves) {
-                const game = new Chess(lastNodeForThisLine.fen);
-                const moveResult = game.move(move.notation.notation);
-                
-                if (moveResult) {
-                  const newNode = {
-                    id: nextId++,
-                    move: moveResult,
-                    san: moveResult.san,
-                    comment: [
-                      ...(move.commentBefore ? [move.commentBefore] : []),
-                      ...(move.commentMove ? [move.commentMove] : []),
-                      ...(move.commentAfter ? [move.commentAfter] : [])
-                    ].join(' ').trim(),
-                    fen: game.fen(),
-                    ply: lastNodeForThisLine.ply + 1,
-                    children: [],
-                  };
-                  lastNodeForThisLine.children.push(newNode);
-
-                  if (move.variations) {
-                    move.variations.forEach(variation => {
-                      addMovesToNode(lastNodeForThisLine, variation);
-                    });
-                  }
-                  
-                  lastNodeForThisLine = newNode;
-                }
-              }
-            };
-            
-            addMovesToNode(draft, pgnAst.moves);
-          });
-
-          setCurrentPath([]);
-          setPgnInput(startingPgn);
-        }
+        const loaded = GameTree.fromParsedGame(pgnAst, { startingFen: startingFenFromPgn });
+        setGameDatabase(games.length > 1 ? games.map((game, index) => ({ index, tags: normalizeTags(game.tags), game })) : null);
+        setSelectedGameIndex(0);
+        setCurrentStartingFen(loaded.startingFen);
+        setHeaders(withoutOpeningHeaders(loaded.headers, loaded.tree));
+        setTree(loaded.tree);
+        setHistory(EMPTY_HISTORY);
+        setCurrentPath([]);
+        setPgnInput(startingPgn);
       } catch (error) {
         reportError('pgn_parse_error', 'Failed to parse the starting PGN', { 
           pgn: startingPgn, 
@@ -326,173 +350,665 @@ const AnalysisBoard = ({
     }
   }, [startingPgn, startingFen, setTree, reportError]);
 
-  // Find a node in the tree by its path
-  const getNode = useCallback((path, sourceTree = tree) => {
-    let node = sourceTree;
-    for (const index of path) {
-      node = node.children[index];
+  // Parse and check a study saved from onStudyChange or getStudy, given as an
+  // object or a JSON string. Returns null after reporting what is wrong with it.
+  const readStudy = useCallback((input) => {
+    let study = input;
+    if (typeof input === 'string') {
+      try {
+        study = JSON.parse(input);
+      } catch (error) {
+        reportError('invalid_study', 'The study is not valid JSON', { problems: [error.message] });
+        return null;
+      }
     }
-    return node;
-  }, [tree]);
+    const problems = validateStudy(study);
+    if (problems.length > 0) {
+      reportError('invalid_study', 'The study could not be loaded', { problems });
+      return null;
+    }
+    return fromStudy(study);
+  }, [reportError]);
+
+  // Load the starting study when the prop changes. It's declared after the PGN
+  // effect so a study wins when both props are given.
+  useEffect(() => {
+    if (!startingStudy) return;
+    const loaded = readStudy(startingStudy);
+    if (!loaded) return;
+    setCurrentStartingFen(loaded.tree.fen);
+    setHeaders(loaded.headers);
+    setTree(loaded.tree);
+    setHistory(EMPTY_HISTORY);
+    setCurrentPath(loaded.ui.currentPath);
+    setComment(GameTree.getNode(loaded.tree, loaded.ui.currentPath).comment || '');
+    setBoardOrientation(loaded.ui.orientation);
+    setCollapsedMoves(loaded.ui.movesCollapsed);
+    setBookmarks(loaded.ui.bookmarks);
+    setVariationToggles(loaded.ui.variationToggles);
+  }, [startingStudy, readStudy, setTree]);
+
+  // Find a node in the tree by its path
+  const getNode = useCallback((path, sourceTree = tree) => GameTree.getNode(sourceTree, path), [tree]);
+
+  // The tree, selection, headers and history as of the last edit or navigation.
+  // Edits read and update this rather than the render's state, so several ref
+  // calls made before React re-renders build on each other.
+  const latest = useRef(null);
+  latest.current = { tree, currentPath, headers, history };
+
+  const setLatestHistory = (nextHistory) => {
+    latest.current = { ...latest.current, history: nextHistory };
+    setHistory(nextHistory);
+  };
+
+  // Commit an edited tree, select `path` in it and push the change onto the undo
+  // stack. Consecutive edits with the same `group` (typing a comment) undo as one step.
+  const recordEdit = (nextTree, patches, inversePatches, { path, headers: nextHeaders = latest.current.headers, group = null }) => {
+    const { currentPath: pathBefore, headers: headersBefore, history: historyBefore } = latest.current;
+    if (patches.length === 0 && nextHeaders === headersBefore) return;
+    latest.current = { ...latest.current, tree: nextTree, headers: nextHeaders };
+    setTree(nextTree);
+    setHeaders(nextHeaders);
+    navigateToPath(path, nextTree);
+
+    const last = historyBefore.past[historyBefore.past.length - 1];
+    const merge = group && last && last.group === group;
+    const entry = merge
+      ? { ...last, patches, pathAfter: path, headersAfter: nextHeaders }
+      : { patches, inversePatches, pathBefore, pathAfter: path, headersBefore, headersAfter: nextHeaders, group };
+    const past = merge ? historyBefore.past.slice(0, -1) : historyBefore.past;
+    setLatestHistory({ past: [...past, entry].slice(-MAX_HISTORY), future: [] });
+  };
+
+  // Run a GameTree edit against an immer draft of the tree. The recipe's result
+  // is returned and passed to `getPath` to pick the move selected afterwards.
+  const editTree = (recipe, { getPath = () => latest.current.currentPath, group = null } = {}) => {
+    let result;
+    const [nextTree, patches, inversePatches] = produceWithPatches(latest.current.tree, draft => {
+      result = recipe(draft);
+    });
+    recordEdit(nextTree, patches, inversePatches, { path: getPath(result), group });
+    return result;
+  };
+
+  // Header edits leave the tree alone but are undoable all the same. Typing in
+  // one header field undoes as one step.
+  const editHeaders = (nextHeaders, field = null) => {
+    const { tree: currentTree, currentPath: path } = latest.current;
+    recordEdit(currentTree, [], [], { path, headers: nextHeaders, group: field && `header:${field}` });
+  };
+
+  // Swap in a whole new tree (PGN and FEN loads) as a single undoable step
+  const replaceTree = (newTree, newHeaders) => {
+    const [nextTree, patches, inversePatches] = produceWithPatches(latest.current.tree, () => newTree);
+    setCurrentStartingFen(newTree.fen);
+    setTraining(null);
+    setGuessSession(null);
+    recordEdit(nextTree, patches, inversePatches, { path: [], headers: newHeaders });
+  };
+
+  const restoreHistoryEntry = (entry, patches, path, restoredHeaders) => {
+    const restoredTree = applyPatches(latest.current.tree, patches);
+    latest.current = { ...latest.current, tree: restoredTree, headers: restoredHeaders };
+    setTree(restoredTree);
+    setHeaders(restoredHeaders);
+    setCurrentStartingFen(restoredTree.fen);
+    navigateToPath(path, restoredTree);
+  };
+
+  const undo = () => {
+    const { past, future } = latest.current.history;
+    const entry = past[past.length - 1];
+    if (!entry) return false;
+    restoreHistoryEntry(entry, entry.inversePatches, entry.pathBefore, entry.headersBefore);
+    setLatestHistory({ past: past.slice(0, -1), future: [entry, ...future] });
+    return true;
+  };
+
+  const redo = () => {
+    const { past, future: [entry, ...future] } = latest.current.history;
+    if (!entry) return false;
+    restoreHistoryEntry(entry, entry.patches, entry.pathAfter, entry.headersAfter);
+    setLatestHistory({ past: [...past, entry], future });
+    return true;
+  };
 
   // Get the FEN for a given path by replaying moves
   const getFenForPath = useCallback((path) => {
-    const game = new Chess(currentStartingFen);
+    const game = createGame(tree.fen);
     let currentNode = tree;
     for (const index of path) {
         currentNode = currentNode.children[index];
         game.move(currentNode.san);
     }
     return game.fen();
-  }, [tree, currentStartingFen]);
+  }, [tree]);
 
   const currentNode = getNode(currentPath);
   const gameFen = getFenForPath(currentPath);
 
-  function onDrop(sourceSquare, targetSquare) {
-    const game = new Chess(gameFen);
-    console.log(`chess _history before move is ${JSON.stringify(game._history)}`);
-    
-    const move = game.move({
-      from: sourceSquare,
-      to: targetSquare,
-      promotion: 'q',
+  // Engine analysis follows the current position whenever an engine transport is supplied
+  const uciEngineRef = useRef(null);
+  const [engineEnabled, setEngineEnabled] = useState(true);
+  const [engineResults, setEngineResults] = useState([]);
+  // The best score the engine has reported for each position, for the eval graph
+  const [engineEvals, setEngineEvals] = useState(() => new Map());
+
+  useEffect(() => {
+    if (!engine) return;
+    try {
+      uciEngineRef.current = createUciEngine(engine);
+    } catch (error) {
+      reportError('engine_error', 'Failed to start the engine', { error: error.message });
+    }
+    return () => {
+      if (uciEngineRef.current) uciEngineRef.current.destroy();
+      uciEngineRef.current = null;
+    };
+  }, [engine, reportError]);
+
+  // Add an engine line below the current node, reusing moves that already exist
+  const handleSelectEngineLine = (sanMoves) => {
+    editTree(draft => GameTree.addLine(draft, currentPath, sanMoves), {
+      getPath: linePath => linePath.slice(0, currentPath.length + 1),
     });
+  };
 
-    console.log(`chess _history after move is ${JSON.stringify(game._history)}`);
-
-    if (!move) return false;
-
-    setTree(draft => {
-      const parentNode = getNode(currentPath, draft);
-      const newNode = {
-        id: nextId++,
-        move,
-        san: move.san,
-        comment: '',
-        fen: game.fen(),
-        ply: parentNode.ply + 1,
-        children: [],
-      };
-      
-      // Check if this move already exists as a variation
-      const existingChildIndex = parentNode.children.findIndex(child => child.san === newNode.san);
-
-      if (existingChildIndex !== -1) {
-        // If it exists, we just navigate to it
-        setCurrentPath([...currentPath, existingChildIndex]);
-        // Update comment for existing move
-        setComment(parentNode.children[existingChildIndex].comment || '');
+  // Repertoire training: the board plays the other side's moves from the tree and
+  // the trainee has to find one of the moves stored for the current position.
+  // Answers feed a spaced-repetition schedule the host app can persist.
+  const [training, setTraining] = useState(null);
+  const [trainingSchedule, setTrainingSchedule] = useState(createSchedule);
+
+  // Guess the move: the game after the current position is hidden and the
+  // student's guesses for one side are scored against the main line
+  const [guessSession, setGuessSession] = useState(null);
+  const guessSummary = useMemo(
+    () => (guessSession ? summarizeGuesses(guessSession.side, guessSession.guesses) : null),
+    [guessSession]
+  );
+
+  // Both modes hide the moves still to come
+  const studying = Boolean(training || guessSession);
+
+  // The engine pauses while studying: its best move is the answer
+  useEffect(() => {
+    const uciEngine = uciEngineRef.current;
+    if (!uciEngine) return;
+    setEngineResults([]);
+    if (!engineEnabled || studying) {
+      uciEngine.stop();
+      return;
+    }
+    try {
+      uciEngine.analyze(gameFen, {
+        multiPv: engineLines,
+        depth: engineDepth,
+        onUpdate: (lines) => {
+          setEngineResults(lines);
+          if (lines[0]) setEngineEvals(prev => new Map(prev).set(GameTree.positionKey(gameFen), lines[0].score));
+        },
+      });
+    } catch (error) {
+      reportError('engine_error', 'Engine analysis failed', { fen: gameFen, error: error.message });
+    }
+  }, [engine, gameFen, engineEnabled, engineLines, engineDepth, reportError, studying]);
+
+  // 'complete' at the end of the line, otherwise whose turn it is for a student playing `side`
+  const studyStatus = (side) => {
+    if (currentNode.children.length === 0) return 'complete';
+    return gameFen.split(' ')[1] === side ? 'yourMove' : 'opponent';
+  };
+  const trainingStatus = training ? studyStatus(training.side) : null;
+  const guessStatus = guessSession ? studyStatus(guessSession.side) : null;
+
+  // Feedback for the position being trained; it's tied to the FEN so it clears on the next move
+  const trainingAttempt = training && training.attempt && training.attempt.fen === gameFen ? training.attempt : null;
+
+  const updateTrainingSchedule = (keys, correct) => {
+    const schedule = recordReview(trainingSchedule, keys, correct, Date.now());
+    setTrainingSchedule(schedule);
+    if (onTrainingScheduleChange) onTrainingScheduleChange(schedule);
+  };
+
+  const startTraining = (side, startPath = currentPath) => {
+    setSearch(null);
+    setSelection(null);
+    setGuessSession(null);
+    setTraining({ side, startPath, attempt: null, stats: { correct: 0, mistakes: 0 } });
+    navigateToPath(startPath);
+  };
+
+  // Only the first answer in a position counts towards the schedule
+  const missTrainingMove = (attempt) => {
+    const firstMiss = !trainingAttempt;
+    if (firstMiss) {
+      updateTrainingSchedule(currentNode.children.map(child => cardKey(currentNode.fen, child.san)), false);
+    }
+    setTraining(prev => ({
+      ...prev,
+      attempt: { fen: gameFen, ...trainingAttempt, ...attempt },
+      stats: firstMiss ? { ...prev.stats, mistakes: prev.stats.mistakes + 1 } : prev.stats,
+    }));
+  };
+
+  // Training replaces playing moves into the tree: a move is accepted only if it's
+  // one of the current node's children. Returns the move, or null if it's rejected.
+  const playTrainingMove = (moveInput) => {
+    if (trainingStatus !== 'yourMove') return null;
+    let move;
+    try {
+      move = createGame(gameFen).move(moveInput);
+    } catch {
+      return null;
+    }
+
+    const index = currentNode.children.findIndex(child => child.san === move.san);
+    if (index === -1) {
+      missTrainingMove({ wrongMove: move.san, wrongSquares: { from: move.from, to: move.to } });
+      return null;
+    }
+
+    if (!trainingAttempt) {
+      updateTrainingSchedule([cardKey(currentNode.fen, move.san)], true);
+      setTraining(prev => ({ ...prev, stats: { ...prev.stats, correct: prev.stats.correct + 1 } }));
+    }
+    navigateToPath([...currentPath, index]);
+    return move;
+  };
+
+  const showTrainingMove = () => missTrainingMove({ revealed: true, wrongMove: null, wrongSquares: null });
+
+  const startGuessing = (side, startPath = currentPath) => {
+    setSearch(null);
+    setSelection(null);
+    setTraining(null);
+    setGuessSession({ side, guesses: [] });
+    navigateToPath(startPath);
+  };
+
+  // Any legal move is a guess; the board then continues with the game move
+  const playGuessMove = (moveInput) => {
+    if (guessStatus !== 'yourMove') return null;
+    let move;
+    try {
+      move = createGame(gameFen).move(moveInput);
+    } catch {
+      return null;
+    }
+    const guess = createGuess(currentNode, move.san);
+    setGuessSession(prev => ({ ...prev, guesses: [...prev.guesses, guess] }));
+    navigateToPath([...currentPath, 0]);
+    return move;
+  };
+
+  // The summary goes to the host app once: at the end of the game, or when the student stops early
+  const reportGuessSummaryRef = useRef(null);
+  reportGuessSummaryRef.current = () => {
+    if (onGuessSummary) onGuessSummary(guessSummary);
+  };
+
+  useEffect(() => {
+    if (guessStatus === 'complete') reportGuessSummaryRef.current();
+  }, [guessStatus]);
+
+  const stopGuessing = () => {
+    if (guessSession && guessStatus !== 'complete') reportGuessSummaryRef.current();
+    setGuessSession(null);
+    return guessSummary;
+  };
+
+  // The opponent's reply is chosen when its timer fires, so keep the latest state in a ref.
+  // Training picks among the stored replies; guessing follows the game.
+  const playOpponentMoveRef = useRef(null);
+  playOpponentMoveRef.current = () => {
+    const index = training ? chooseOpponentMove(currentNode, training.side, trainingSchedule, Date.now()) : 0;
+    navigateToPath([...currentPath, index]);
+  };
+  const currentPathKey = currentPath.join('-');
+  const opponentToMove = trainingStatus === 'opponent' || guessStatus === 'opponent';
+
+  useEffect(() => {
+    if (!opponentToMove) return;
+    const timer = setTimeout(() => playOpponentMoveRef.current(), OPPONENT_DELAY);
+    return () => clearTimeout(timer);
+  }, [opponentToMove, currentPathKey]);
+
+  const trainingDueCounts = useMemo(() => {
+    const now = Date.now();
+    return { w: countDue(tree, 'w', trainingSchedule, now), b: countDue(tree, 'b', trainingSchedule, now) };
+  }, [tree, trainingSchedule]);
+
+  // Play a move from the current position. An existing child with the same SAN
+  // is followed rather than duplicated. Returns the move, or null if it's illegal.
+  const playMove = (moveInput) => {
+    if (training) return playTrainingMove(moveInput);
+    if (guessSession) return playGuessMove(moveInput);
+    try {
+      const result = editTree(draft => GameTree.addMove(draft, latest.current.currentPath, moveInput), {
+        getPath: ({ path }) => path,
+      });
+      return result.node.move;
+    } catch {
+      return null;
+    }
+  };
+
+  // Ask the board for a promotion piece only when a legal move from this square promotes
+  const isPromotionMove = (sourceSquare, targetSquare) =>
+    createGame(gameFen)
+      .moves({ square: sourceSquare, verbose: true })
+      .some(move => move.to === targetSquare && move.promotion);
+
+  // Click-to-move: the first click selects a piece of the side to move, the second
+  // plays it. Selections are tied to the position so navigating clears them.
+  const [selection, setSelection] = useState(null);
+  const [pendingPromotion, setPendingPromotion] = useState(null);
+  const selectedSquare = selection && selection.fen === gameFen ? selection.square : null;
+  const promotionToPlay = pendingPromotion && pendingPromotion.fen === gameFen ? pendingPromotion : null;
+
+  const selectedMoves = useMemo(
+    () => (selectedSquare ? createGame(gameFen).moves({ square: selectedSquare, verbose: true }) : []),
+    [selectedSquare, gameFen]
+  );
+
+  // In Chess960 the king can also castle by clicking its rook
+  const handleSquareClick = (square) => {
+    const target = selectedMoves.find(move => move.to === square || move.rook === square);
+    if (target) {
+      setSelection(null);
+      if (target.promotion && !effectiveSettings.autoQueen) {
+        setPendingPromotion({ fen: gameFen, from: selectedSquare, to: square });
       } else {
-        // If it's a new move, add it as a new variation/child
-        parentNode.children.push(newNode);
-        setCurrentPath([...currentPath, parentNode.children.length - 1]);
-        // Clear comment for new move
-        setComment('');
+        playMove({ from: selectedSquare, to: square, promotion: 'q' });
       }
+      return;
+    }
+
+    const piece = createGame(gameFen).get(square);
+    const ownPiece = piece && piece.color === gameFen.split(' ')[1];
+    setSelection(ownPiece && square !== selectedSquare ? { fen: gameFen, square } : null);
+  };
+
+  // The board's piece picker reports here first. Click-to-move promotions are
+  // played directly (returning false so the board doesn't treat them as a drop);
+  // clicking outside the picker passes no piece and cancels.
+  const handlePromotionPieceSelect = (piece) => {
+    if (!promotionToPlay) return true;
+    if (piece) playMove({ from: promotionToPlay.from, to: promotionToPlay.to, promotion: piece[1].toLowerCase() });
+    setPendingPromotion(null);
+    return false;
+  };
+
+  // After a promotion the board passes the chosen piece (e.g. 'bN') instead of the pawn
+  function onDrop(sourceSquare, targetSquare, piece) {
+    const pieceType = piece ? piece[1].toLowerCase() : 'q';
+    const move = playMove({
+      from: sourceSquare,
+      to: targetSquare,
+      promotion: 'qrbn'.includes(pieceType) ? pieceType : 'q',
     });
-    return true;
+    return move !== null;
   }
 
-  const navigateToPath = (path) => {
+  const navigateToPath = (path, sourceTree = latest.current.tree) => {
+    latest.current = { ...latest.current, currentPath: path };
     setCurrentPath(path);
-    const node = getNode(path);
+    const node = getNode(path, sourceTree);
     setComment(node.comment || '');
   };
   
   const [comment, setComment] = useState(currentNode.comment || '');
 
+  const goToPreviousMove = () => {
+    const { currentPath: path } = latest.current;
+    if (path.length > 0) {
+      navigateToPath(path.slice(0, -1));
+    }
+  };
+
+  const goToNextMove = () => {
+    const { tree: latestTree, currentPath: path } = latest.current;
+    if (GameTree.getNode(latestTree, path).children.length > 0) {
+      navigateToPath([...path, 0]); // Go to main line
+    }
+  };
+
+  const latestFen = () => GameTree.getNode(latest.current.tree, latest.current.currentPath).fen;
+
+  // Lichess-style chooser shown when stepping forward into a fork. It stays
+  // open only while the position it was opened for is selected.
+  const [variationChooser, setVariationChooser] = useState(null);
+  const chooserIndex = variationChooser && variationChooser.path.join('-') === currentPath.join('-')
+    ? variationChooser.index
+    : null;
+
+  const goToNextMoveOrChoose = () => {
+    if (effectiveSettings.variationChooser && currentNode.children.length > 1) {
+      setVariationChooser({ path: currentPath, index: 0 });
+    } else {
+      goToNextMove();
+    }
+  };
+
+  // Go to a path from a variation key; keys that lead nowhere do nothing
+  const navigateIfPath = (path) => {
+    if (path) navigateToPath(path);
+  };
+
   const handleCommentChange = (e) => {
     const newComment = e.target.value;
-    setComment(newComment);
-    setTree(draft => {
+    editTree(draft => {
       getNode(currentPath, draft).comment = newComment;
+    }, { group: `comment:${currentPath.join('-')}` });
+  };
+
+  // Toggle a NAG on a move; the root position can't carry annotations
+  const handleToggleNag = (nag, path = currentPath) => {
+    if (path.length === 0) return;
+    editTree(draft => {
+      const node = getNode(path, draft);
+      node.nags = toggleNag(node.nags, nag);
+    });
+  };
+
+  // Right-button drags on the board draw arrows (or highlight a square when
+  // released where they started) on the current node
+  const drawStartRef = useRef(null);
+
+  const squareFromEvent = (event) => {
+    const squareElement = event.target.closest && event.target.closest('[data-square]');
+    return squareElement ? squareElement.getAttribute('data-square') : null;
+  };
+
+  const handleBoardMouseDown = (event) => {
+    if (event.button !== 2) return;
+    drawStartRef.current = squareFromEvent(event);
+  };
+
+  // Opening of the selected position, and the moves where each line leaves the book
+  const currentOpening = useMemo(() => openingForLine(GameTree.getLine(tree, currentPath)), [tree, currentPath]);
+  const bookExits = useMemo(() => findBookExits(tree), [tree]);
+
+  // Each side's clock at the selected move, and the think time of every move in
+  // the line through it, from [%clk]/[%emt] annotations
+  const clocks = useMemo(() => clocksAt(GameTree.getLine(tree, currentPath)), [tree, currentPath]);
+  const hasClocks = clocks.w !== null || clocks.b !== null;
+  const lineEndKey = GameTree.getMainLineEnd(tree, currentPath).join('-');
+  const thinkTimeMoves = useMemo(() => {
+    const endPath = lineEndKey ? lineEndKey.split('-').map(Number) : [];
+    const line = GameTree.getLine(tree, endPath);
+    const times = thinkTimes(line, { timeControl: headers.TimeControl });
+    if (times.every(time => time === null)) return null;
+    const sides = line.slice(1).map(node => node.move.color);
+    const long = findLongThinks(times, { sides });
+    return times.map((time, index) => ({
+      path: endPath.slice(0, index + 1),
+      label: GameTree.moveLabel(tree, endPath.slice(0, index + 1)),
+      time,
+      side: sides[index],
+      long: long.has(index),
+    }));
+  }, [tree, lineEndKey, headers.TimeControl]);
+
+  // The main line's evaluations, from [%eval] annotations or the engine, with
+  // the moves that threw away a big part of the advantage marked
+  const evalPoints = useMemo(() => {
+    const mainLine = GameTree.getMainLine(tree);
+    const scoreOf = (node) => node.evaluation || engineEvals.get(GameTree.positionKey(node.fen)) || null;
+    const scores = mainLine.map(({ node }) => scoreOf(node));
+    if (scores.every(score => score === null)) return null;
+    const swings = classifySwings([scoreOf(tree), ...scores], { sides: mainLine.map(({ node }) => node.move.color) });
+    return mainLine.map(({ path }, index) => ({
+      path,
+      label: GameTree.moveLabel(tree, path),
+      score: scores[index],
+      swing: swings[index],
+    }));
+  }, [tree, engineEvals]);
+  // Variations keep the cursor on the main line move they branch from
+  const mainLineDepth = currentPath.findIndex(index => index !== 0);
+  const evalCursor = (mainLineDepth === -1 ? currentPath.length : mainLineDepth) - 1;
+
+  // Mate, stalemate and the draws, automatic or claimable, for every node of the tree
+  const gameOvers = useMemo(() => GameTree.findGameOvers(tree), [tree]);
+  const currentGameOver = gameOvers.get(currentNode.id) || null;
+  const mainLineGameOver = gameOvers.get(GameTree.getNode(tree, GameTree.getMainLineEnd(tree)).id) || null;
+
+  // A result set by hand goes into the Result header; "*" hands it back to the rules
+  const handleResultChange = (result) => {
+    const next = { ...headers };
+    if (result === '*') delete next.Result;
+    else next.Result = result;
+    editHeaders(next);
+  };
+
+  // Positions reached by more than one move order
+  const transpositions = useMemo(() => GameTree.findTranspositions(tree), [tree]);
+  const [showTranspositionReport, setShowTranspositionReport] = useState(false);
+
+  const otherOccurrences = (path) => {
+    const occurrences = transpositions.get(GameTree.positionKey(getNode(path).fen)) || [];
+    return occurrences.filter(occurrence => occurrence.join('-') !== path.join('-'));
+  };
+
+  // Cycle through the other places the position at `path` is reached, in PGN order
+  const goToOtherOccurrence = (path) => {
+    const occurrences = transpositions.get(GameTree.positionKey(getNode(path).fen));
+    if (!occurrences) return;
+    const index = occurrences.findIndex(occurrence => occurrence.join('-') === path.join('-'));
+    navigateToPath(occurrences[(index + 1) % occurrences.length]);
+  };
+
+  // Bookmarked moves still in the tree, in PGN order
+  const bookmarkedMoves = useMemo(() => {
+    const ids = new Set(bookmarks);
+    const found = [];
+    GameTree.walk(tree, (node, path) => {
+      if (ids.has(node.id)) found.push({ id: node.id, path, label: GameTree.moveLabel(tree, path) });
+    });
+    return found;
+  }, [tree, bookmarks]);
+  const bookmarkIds = useMemo(() => new Set(bookmarkedMoves.map(({ id }) => id)), [bookmarkedMoves]);
+
+  const toggleBookmark = (path) => {
+    const { id } = getNode(path);
+    setBookmarks(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]));
+  };
+
+  // Search over comments, moves and positions (Ctrl/Cmd+F). `search` is the
+  // query, or null while the search box is closed.
+  const [search, setSearch] = useState(null);
+  const searchInputRef = useRef(null);
+  const searchResults = useMemo(() => (search ? searchTree(tree, search) : []), [tree, search]);
+  const searchMatches = useMemo(() => new Set(searchResults.map(({ path }) => path.join('-'))), [searchResults]);
+  const currentSearchIndex = searchResults.findIndex(({ path }) => path.join('-') === currentPath.join('-'));
+
+  const openSearch = () => {
+    // Hits can't be shown while the move list is collapsed
+    if (collapsedMoves) toggleCollapseMoves();
+    if (search === null) setSearch('');
+    else if (searchInputRef.current) searchInputRef.current.select();
+  };
+
+  const stepSearch = (offset) => {
+    if (searchResults.length === 0) return;
+    const index = currentSearchIndex === -1
+      ? (offset > 0 ? 0 : searchResults.length - 1)
+      : (currentSearchIndex + offset + searchResults.length) % searchResults.length;
+    navigateToPath(searchResults[index].path);
+  };
+
+  // Immer keeps unchanged arrays identical, so these only change when the shapes do
+  // While studying, the study's own shapes could give the answer away, so only
+  // the revealed move and a rejected training move are drawn
+  const trainingHint = trainingAttempt && trainingAttempt.revealed ? currentNode.children[0].move : null;
+  const boardArrows = useMemo(
+    () => toBoardArrows(studying ? (trainingHint ? [{ from: trainingHint.from, to: trainingHint.to, color: 'G' }] : []) : currentNode.arrows),
+    [studying, trainingHint, currentNode.arrows]
+  );
+  const squareStyles = useMemo(() => mergeSquareStyles(
+    effectiveSettings.showLastMove ? lastMoveStyles(currentNode.move) : {},
+    effectiveSettings.showCheck ? checkStyles(gameFen) : {},
+    studying ? wrongMoveStyles(trainingAttempt && trainingAttempt.wrongSquares) : toSquareStyles(currentNode.highlights),
+    effectiveSettings.showLegalMoves ? legalMoveStyles(selectedSquare, selectedMoves) : {}
+  ), [
+    currentNode.move, currentNode.highlights, gameFen, selectedSquare, selectedMoves, studying, trainingAttempt,
+    effectiveSettings.showLastMove, effectiveSettings.showCheck, effectiveSettings.showLegalMoves,
+  ]);
+
+  const handleBoardMouseUp = (event) => {
+    if (event.button !== 2 || !drawStartRef.current) return;
+    const from = drawStartRef.current;
+    const to = squareFromEvent(event);
+    drawStartRef.current = null;
+    // Shapes are hidden while studying, so don't draw ones the student can't see
+    if (!to || studying) return;
+
+    const color = colorForEvent(event);
+    editTree(draft => {
+      const node = getNode(currentPath, draft);
+      const { arrows, highlights } = toggleShape(node, from, to, color);
+      node.arrows = arrows;
+      node.highlights = highlights;
     });
   };
 
   const handlePgnInputChange = (event) => {
     setPgnInput(event.target.value);
   };
-  
-  // Load PGN from a given string (shared logic)
+
+  // Replace the tree with a game that has already been parsed
+  const loadGameAst = (pgnAst) => {
+    const loaded = GameTree.fromParsedGame(pgnAst);
+    replaceTree(loaded.tree, withoutOpeningHeaders(loaded.headers, loaded.tree));
+  };
+
+  // Load PGN from a given string (shared logic). Files with several games
+  // open the first one and keep the rest in the game database, so it's the
+  // first game that needs moves.
   const loadPgnFromString = (pgnString) => {
     console.log('pgnString is:', pgnString);
     try {
       // The pgn-parser library returns null for an empty string.
       if (!pgnString) return false;
 
-      // Use the new library to parse the PGN string into a structured object (Abstract Syntax Tree)
-      const pgnAst = parse(pgnString, { startRule: 'game' });
-      console.log('pgnAst is:', pgnAst);
+      // Use the new library to parse the PGN string into structured objects (Abstract Syntax Trees)
+      const games = GameTree.parseGames(pgnString);
       
-      if (!pgnAst || pgnAst.moves.length === 0) {
+      if (!games || games.length === 0 || games[0].moves.length === 0) {
         reportError('invalid_pgn', 'Could not parse any moves from the PGN', { pgn: pgnString });
         return false;
       }
 
-      // Extract FEN from PGN tags if present
-      let startingFenFromPgn = new Chess().fen(); // default starting position
-      if (pgnAst.tags && pgnAst.tags.FEN) {
-        startingFenFromPgn = pgnAst.tags.FEN;
-        setCurrentStartingFen(startingFenFromPgn);
+      if (games.length > 1) {
+        setGameDatabase(games.map((game, index) => ({ index, tags: normalizeTags(game.tags), game })));
+      } else {
+        setGameDatabase(null);
       }
-
-      setTree(draft => {
-        // Reset the initial tree state
-        draft.id = 'root';
-        draft.san = null;
-        draft.comment = '';
-        draft.fen = startingFenFromPgn;
-        draft.ply = -1;
-        draft.children = [];
-        
-        // This recursive function walks the parsed PGN's Abstract Syntax Tree
-        const addMovesToNode = (currentParentNode, moves) => {
-          if (!moves || moves.length === 0) {
-            return;
-          }
-
-          let lastNodeForThisLine = currentParentNode;
-
-          for (const move of moves) {
-            const game = new Chess(lastNodeForThisLine.fen);
-            const moveResult = game.move(move.notation.notation);
-            
-            if (moveResult) {
-              const newNode = {
-                id: nextId++,
-                move: moveResult,
-                san: moveResult.san,
-                // Comments can be before or after a move, so we combine them.
-                comment: [
-                  ...(move.commentBefore ? [move.commentBefore] : []),
-                  ...(move.commentMove ? [move.commentMove] : []),
-                  ...(move.commentAfter ? [move.commentAfter] : [])
-                ].join(' ').trim(),
-                fen: game.fen(),
-                ply: lastNodeForThisLine.ply + 1,
-                children: [],
-              };
-              lastNodeForThisLine.children.push(newNode);
-
-              // Variations are direct children of the move they are an alternative to.
-              if (move.variations) {
-                move.variations.forEach(variation => {
-                  addMovesToNode(lastNodeForThisLine, variation);
-                });
-              }
-              
-              // The next move in the main line follows the node we just added.
-              lastNodeForThisLine = newNode;
-            }
-          }
-        };
-        
-        // Start building the tree from the root node using the parsed moves
-        addMovesToNode(draft, pgnAst.moves);
-      });
-
-      setCurrentPath([]);
+      setSelectedGameIndex(0);
+      loadGameAst(games[0]);
       return true;
 
     } catch (error) {
@@ -501,6 +1017,28 @@ const AnalysisBoard = ({
     }
   };
 
+  const loadStudy = (input) => {
+    const loaded = readStudy(input);
+    if (!loaded) return false;
+    setGameDatabase(null);
+    replaceTree(loaded.tree, loaded.headers);
+    navigateToPath(loaded.ui.currentPath, loaded.tree);
+    setBoardOrientation(loaded.ui.orientation);
+    if (loaded.ui.movesCollapsed !== collapsedMoves) toggleCollapseMoves();
+    setBookmarks(loaded.ui.bookmarks);
+    setVariationToggles(loaded.ui.variationToggles);
+    return true;
+  };
+
+  const handleSelectGame = (index) => {
+    try {
+      loadGameAst(gameDatabase[index].game);
+      setSelectedGameIndex(index);
+    } catch (error) {
+      reportError('pgn_parse_error', 'Failed to load the selected game', { index, error: error.message });
+    }
+  };
+
   const handleLoadPgn = () => {
     const success = loadPgnFromString(pgnInput);
     if (!success) {
@@ -510,46 +1048,74 @@ const AnalysisBoard = ({
   
   const [copyStatus, setCopyStatus] = useState('');
 
-  const handleCopyPgn = () => {
-    navigator.clipboard.writeText(pgnInput).then(() => {
+  const copyText = (text, what) => {
+    navigator.clipboard.writeText(text).then(() => {
         setCopyStatus('Copied!');
         setTimeout(() => setCopyStatus(''), 2000);
     }, (err) => {
-        console.error('Could not copy PGN: ', err);
+        console.error(`Could not copy ${what}: `, err);
         setCopyStatus('Failed to copy');
         setTimeout(() => setCopyStatus(''), 2000);
     });
   };
 
+  const handleCopyPgn = () => copyText(pgnInput, 'PGN');
+
   const handleFenInputChange = (event) => {
     setFenInput(event.target.value);
   };
 
-  const handleLoadFen = () => {
+  // Why a FEN can't be analysed, or [] if it can. chess.js checks the syntax;
+  // validateSetup catches positions it accepts but that can't occur in a game.
+  // Chess960 castling rights are checked against the rooks by toChess960Fen.
+  const fenProblems = (fen) => {
+    const chess960 = needsChess960(fen);
     try {
-      // Validate the FEN
-      const chess = new Chess(fenInput);
-      const newFen = chess.fen();
-      
-      setCurrentStartingFen(newFen);
-      
-      // Reset the tree with the new starting position
-      setTree({
-        id: 'root',
-        san: null,
-        comment: '',
-        fen: newFen,
-        ply: -1,
-        children: [],
-      });
-      
-      setCurrentPath([]);
-      setFenInput(''); // Clear the input after successful load
-      
+      if (chess960) toChess960Fen(fen);
+      else new Chess(fen);
     } catch (error) {
-      console.error("Invalid FEN:", error);
-      alert("The FEN is invalid and could not be loaded.");
+      const reason = error.message.replace(/^Invalid FEN: /, '');
+      return [reason[0].toUpperCase() + reason.slice(1)];
+    }
+    const setup = setupFromFen(fen);
+    return validateSetup(chess960 ? { ...setup, castling: '' } : setup);
+  };
+
+  // Reset the tree to a new starting position. Returns false if the FEN is invalid.
+  const loadFenString = (fen) => {
+    const reasons = fenProblems(fen);
+    if (reasons.length > 0) {
+      reportError('invalid_fen', 'The FEN is invalid and could not be loaded', { fen, error: reasons.join('; '), reasons });
+      return false;
     }
+
+    // Start a new game from the position; the old game's headers don't belong to it
+    const position = setupToFen(withoutIdleEnPassant(setupFromFen(fen)));
+    replaceTree(GameTree.createRootForPosition(needsChess960(position) ? position : new Chess(position).fen()), {});
+    return true;
+  };
+
+  const [fenErrors, setFenErrors] = useState([]);
+
+  const handleLoadFen = () => {
+    const reasons = fenProblems(fenInput);
+    setFenErrors(reasons);
+    if (reasons.length === 0 && loadFenString(fenInput)) {
+      setFenInput(''); // Clear the input after successful load
+    }
+  };
+
+  // Setup mode replaces the board with the position editor until it's committed or cancelled
+  const [editingPosition, setEditingPosition] = useState(false);
+
+  const openBoardEditor = () => {
+    setTraining(null);
+    setGuessSession(null);
+    setEditingPosition(true);
+  };
+
+  const handleCommitSetup = (fen) => {
+    if (loadFenString(fen)) setEditingPosition(false);
   };
 
 
@@ -567,212 +1133,302 @@ const AnalysisBoard = ({
     setContextMenu({ x: event.clientX, y: event.clientY, path });
   };
 
-  const handleDeleteMove = () => {
-    if (!contextMenu) return;
-    const { path } = contextMenu;
-    setContextMenu(null);
+  // Keyboard equivalent of right-clicking the selected move
+  const openContextMenuForCurrentMove = () => {
+    const anchor = document.getElementById(`move-${currentPath.join('-')}`) || movesListRef.current;
+    const rect = anchor ? anchor.getBoundingClientRect() : { left: 0, bottom: 0 };
+    setContextMenu({ x: rect.left, y: rect.bottom, path: currentPath });
+  };
 
+  const handleDeleteMove = (path) => {
     if (window.confirm('Are you sure you want to delete this move and all subsequent moves?')) {
-      const parentPath = path.slice(0, -1);
-      const childIndex = path[path.length - 1];
-      
-      setTree(draft => {
-        const parentNode = getNode(parentPath, draft);
-        parentNode.children.splice(childIndex, 1);
-      });
-      
-      navigateToPath(parentPath);
+      editTree(draft => GameTree.deleteNode(draft, path), { getPath: () => path.slice(0, -1) });
     }
   };
 
-  const handlePromoteVariation = () => {
-    if (!contextMenu) return;
-    const { path } = contextMenu;
-    setContextMenu(null);
-    
-    const parentPath = path.slice(0, -1);
-    const childIndex = path[path.length - 1];
-
-    if (childIndex === 0) return; // Already the main line
+  // Reordering edits select the moved move at its new place
+  const handleReorder = (recipe) => editTree(recipe, { getPath: newPath => newPath });
 
-    setTree(draft => {
-        const parentNode = getNode(parentPath, draft);
-        const [variation] = parentNode.children.splice(childIndex, 1);
-        parentNode.children.unshift(variation);
+  // Keep the selection if it survives the deletion, otherwise fall back to the edited move
+  const handleDeleteVariations = (path) => {
+    const selectionSurvives = path.every((index, depth) => currentPath[depth] === index)
+      && currentPath.slice(path.length).every(index => index === 0);
+    editTree(draft => GameTree.deleteVariations(draft, path), {
+      getPath: () => (selectionSurvives ? currentPath : path),
     });
-    // The path of the promoted move is now [..., 0]
-    navigateToPath([...parentPath, 0]);
   };
 
-  const [pgn, setPgn] = useState('');
-
-  const generatePgnRecursive = useCallback((node) => {
-    if (!node || !node.children || node.children.length === 0) {
-        return '';
-    }
-
-    let pgnString = '';
-    const mainLine = node.children[0];
-    const variations = node.children.slice(1);
+  // Diagrams of the position at `path` for worksheets and slides, with the
+  // move as the caption. Resolves with an SVG string, or a PNG Blob.
+  const exportDiagram = (path, { format = 'svg', caption = true, coordinates = true, orientation = boardOrientation, size } = {}) => {
+    const { tree: sourceTree } = latest.current;
+    const node = GameTree.getNode(sourceTree, path);
+    const svg = renderDiagram(node.fen, {
+      orientation,
+      coordinates,
+      size,
+      highlights: node.highlights,
+      arrows: node.arrows,
+      caption: caption ? GameTree.moveLabel(sourceTree, path) : '',
+    });
+    return format === 'png' ? diagramToPng(svg) : Promise.resolve(svg);
+  };
 
-    // Add move number for white's move.
-    if (mainLine.ply % 2 === 0) {
-        pgnString += `${mainLine.ply / 2 + 1}. `;
-    }
+  const downloadDiagram = (path, format) => {
+    exportDiagram(path, { format }).then((diagram) => {
+      const blob = format === 'png' ? diagram : new Blob([diagram], { type: 'image/svg+xml' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `diagram-${(GameTree.moveLabel(tree, path) || 'start').replace(/[^\w.-]+/g, '-')}.${format}`;
+      link.click();
+      // Some browsers start the download after click() returns, so the URL has to outlive it
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }, (err) => {
+      reportError('diagram_export_error', 'Could not export the diagram', { path, format, error: err.message });
+    });
+  };
 
-    pgnString += `${mainLine.san} `;
-    if (mainLine.comment) pgnString += `{ ${mainLine.comment} } `;
-    
-    // Add variations
-    variations.forEach(variation => {
-        const variationGame = new Chess(node.fen);
-        variationGame.move(variation.san);
-        
-        let variationPgn = '';
-        if (variation.ply % 2 !== 0) {
-             variationPgn += `${Math.floor(variation.ply / 2) + 1}... `;
-        }
-        variationPgn += `${variation.san} `;
-        if (variation.comment) variationPgn += `{ ${variation.comment} } `;
-        variationPgn += generatePgnRecursive(variation);
+  const handleAnalyzeFrom = (path) => {
+    replaceTree(GameTree.createRoot(getNode(path).fen, tree.variant), {});
+  };
 
-        pgnString += `(${variationPgn.trim()}) `;
+  const contextMenuItems = (path) => {
+    const node = getNode(path);
+    const index = path.length > 0 ? path[path.length - 1] : 0;
+    const siblingCount = path.length > 0 ? getNode(path.slice(0, -1)).children.length : 1;
+    let hasVariations = false;
+    let hasComments = false;
+    GameTree.walk(node, (child) => {
+      if (child.children.length > 1) hasVariations = true;
+      if (child.comment) hasComments = true;
     });
-    
-    // Recurse down the main line
-    pgnString += generatePgnRecursive(mainLine);
-    return pgnString;
-  }, []);
+
+    return [
+      { label: 'Delete', disabled: path.length === 0, onSelect: () => handleDeleteMove(path) },
+      { label: 'Promote variation', disabled: index === 0, onSelect: () => handleReorder(draft => GameTree.promoteVariation(draft, path)) },
+      { label: 'Make main line', disabled: path.every(i => i === 0), onSelect: () => handleReorder(draft => GameTree.makeMainLine(draft, path)) },
+      { label: 'Move variation up', disabled: index === 0, onSelect: () => handleReorder(draft => GameTree.reorderVariation(draft, path, index - 1)) },
+      { label: 'Move variation down', disabled: index === siblingCount - 1, onSelect: () => handleReorder(draft => GameTree.reorderVariation(draft, path, index + 1)) },
+      { separator: true, key: 'cleanup' },
+      { label: 'Delete variations after this point', disabled: !hasVariations, onSelect: () => handleDeleteVariations(path) },
+      { label: 'Delete comments from here', disabled: !hasComments, onSelect: () => editTree(draft => GameTree.deleteComments(draft, path)) },
+      { separator: true, key: 'export' },
+      { label: 'Go to other occurrence', disabled: otherOccurrences(path).length === 0, onSelect: () => goToOtherOccurrence(path) },
+      { label: bookmarkIds.has(node.id) ? 'Remove bookmark' : 'Add bookmark', disabled: path.length === 0, onSelect: () => toggleBookmark(path) },
+      { separator: true, key: 'positions' },
+      { label: 'Copy line as PGN', onSelect: () => copyText(GameTree.lineToPgn(tree, path, { headers }), 'line') },
+      { label: 'Copy FEN', onSelect: () => copyText(node.fen, 'FEN') },
+      { label: 'Export diagram (SVG)', onSelect: () => downloadDiagram(path, 'svg') },
+      { label: 'Export diagram (PNG)', onSelect: () => downloadDiagram(path, 'png') },
+      { label: 'Analyze from here', onSelect: () => handleAnalyzeFrom(path) },
+    ];
+  };
 
   useEffect(() => {
-    const pgnString = generatePgnRecursive(tree);
-    
-    // Check if we need to include the FEN header (when not starting from standard position)
-    const standardStartingFen = new Chess().fen();
-    let fullPgn = '';
-    
-    if (currentStartingFen !== standardStartingFen) {
-      fullPgn = `[FEN "${currentStartingFen}"]\n\n`;
-    }
-    
-    fullPgn += pgnString.trim();
-    
-    // Add game termination marker if there are no moves
-    if (pgnString.trim() === '') {
-      fullPgn = fullPgn === '' ? ' *' : fullPgn + ' *';
-    } else if (!fullPgn.endsWith('*') && !fullPgn.match(/[10\/\-]$/)) {
-      fullPgn += ' *';
-    }
-    
+    const fullPgn = exportPgn(tree, headers);
     setPgnInput(fullPgn);
     
     // Notify parent component of PGN changes
     if (onPgnChange) {
       onPgnChange(fullPgn);
     }
-  }, [tree, generatePgnRecursive, onPgnChange, currentStartingFen]);
+  }, [tree, onPgnChange, headers]);
 
   useEffect(() => {
-    const handleKeyDown = (event) => {
-      // Robustly detect if the user is typing in an editable field (use both event.target and document.activeElement)
-      const isEditable = (el) => {
-        if (!el || !el.tagName) return false;
-        const tag = el.tagName;
-        if (tag === 'TEXTAREA') return true;
-        if (tag === 'INPUT') {
-          const type = (el.getAttribute && el.getAttribute('type')) || 'text';
-          const textLike = ['text','search','email','url','tel','password','number'];
-          return textLike.includes(type.toLowerCase());
-        }
-        if (el.isContentEditable) return true;
-        if (el.getAttribute && el.getAttribute('contenteditable') === 'true') return true;
-        if (el.getAttribute && el.getAttribute('role') === 'textbox') return true;
-        return false;
-      };
-      const isTypingInInput = isEditable(event.target) || isEditable(document.activeElement);
+    if (onStudyChange) {
+      onStudyChange(toStudy(tree, {
+        headers,
+        ui: { currentPath, orientation: boardOrientation, movesCollapsed: collapsedMoves, bookmarks, variationToggles },
+      }));
+    }
+  }, [tree, headers, currentPath, boardOrientation, collapsedMoves, bookmarks, variationToggles, onStudyChange]);
+
+  // Shortcuts need the latest tree, selection and settings, so the listener,
+  // registered once, calls whatever handler the last render left in the ref
+  const handleKeyDownRef = useRef(null);
+  handleKeyDownRef.current = (event) => {
+    // Robustly detect if the user is typing in an editable field (use both event.target and document.activeElement)
+    const isEditable = (el) => {
+      if (!el || !el.tagName) return false;
+      const tag = el.tagName;
+      if (tag === 'TEXTAREA') return true;
+      if (tag === 'INPUT') {
+        const type = (el.getAttribute && el.getAttribute('type')) || 'text';
+        const textLike = ['text','search','email','url','tel','password','number'];
+        return textLike.includes(type.toLowerCase());
+      }
+      if (el.isContentEditable) return true;
+      if (el.getAttribute && el.getAttribute('contenteditable') === 'true') return true;
+      if (el.getAttribute && el.getAttribute('role') === 'textbox') return true;
+      return false;
+    };
+    const isTypingInInput = isEditable(event.target) || isEditable(document.activeElement);
 
-      // Handle Escape key
-      if (event.key === 'Escape') {
-        event.preventDefault();
-        
-        // If settings is open, close it
-        if (effectiveShowSettings) {
-          handleToggleSettings(false);
-          return;
-        }
-        
-        // If user is typing in an input field, defocus it
-        if (isTypingInInput) {
-          event.target.blur();
-          return;
-        }
+    // Handle Escape key
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      
+      // If settings is open, close it
+      if (effectiveShowSettings) {
+        handleToggleSettings(false);
+        return;
+      }
+      
+      // If user is typing in an input field, defocus it
+      if (isTypingInInput) {
+        event.target.blur();
+        return;
       }
+    }
+
+    // Check for settings shortcut (Cmd+, or Ctrl+,) - should work even when typing
+    if ((event.metaKey || event.ctrlKey) && event.key === ',') {
+      event.preventDefault();
+      handleToggleSettings(true);
+      return;
+    }
+
+    // Don't handle other shortcuts when settings is open
+    if (effectiveShowSettings) return;
+
+    // Search the tree (Ctrl/Cmd+F) when the board or nothing in particular has focus
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'f'
+        && (event.target === document.body || (containerRef.current && containerRef.current.contains(event.target)))) {
+      event.preventDefault();
+      openSearch();
+      return;
+    }
 
-      // Check for settings shortcut (Cmd+, or Ctrl+,) - should work even when typing
-      if ((event.metaKey || event.ctrlKey) && event.key === ',') {
+    // Don't handle other shortcuts when user is typing in input fields
+    if (isTypingInInput) return;
+
+    // Moving through the tree would give the answers away; only flipping is allowed
+    if (studying) {
+      if (event.key.toLowerCase() === effectiveSettings.flipBoard.toLowerCase() && !event.shiftKey) {
         event.preventDefault();
-        handleToggleSettings(true);
-        return;
+        setBoardOrientation(prev => prev === 'white' ? 'black' : 'white');
       }
+      return;
+    }
 
-      // Don't handle other shortcuts when settings is open
-      if (effectiveShowSettings) return;
+    // Undo (Ctrl/Cmd+Z) and redo (Ctrl/Cmd+Shift+Z) tree edits
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) redo();
+      else undo();
+      return;
+    }
 
-      // Don't handle other shortcuts when user is typing in input fields
-      if (isTypingInInput) return;
+    const matchesKey = (setting) => Boolean(setting) && event.key.toLowerCase() === setting.toLowerCase();
 
-      // Handle FEN input toggle (Shift+F by default) - only if FEN input is enabled
-      if (enableFenInput && event.key === effectiveSettings.toggleFen && event.shiftKey) {
+    // While the variation chooser is open, up/down (or the variation keys) pick
+    // a branch, next/Enter follows it and previous/Escape closes it
+    if (chooserIndex !== null) {
+      const branchCount = currentNode.children.length;
+      if (event.key === 'ArrowDown' || matchesKey(effectiveSettings.nextVariation)) {
         event.preventDefault();
-        setShowFenInput(prev => !prev);
+        setVariationChooser({ path: currentPath, index: (chooserIndex + 1) % branchCount });
         return;
       }
-
-      // Handle board flip (only if not shift+f)
-      if (event.key.toLowerCase() === effectiveSettings.flipBoard.toLowerCase() && !event.shiftKey) {
+      if (event.key === 'ArrowUp' || matchesKey(effectiveSettings.previousVariation)) {
         event.preventDefault();
-        setBoardOrientation(prev => prev === 'white' ? 'black' : 'white');
+        setVariationChooser({ path: currentPath, index: (chooserIndex - 1 + branchCount) % branchCount });
         return;
       }
-
-      // Handle jump to start
-      if (event.key === effectiveSettings.jumpToStart) {
+      if (event.key === 'Enter' || event.key === 'ArrowRight' || matchesKey(effectiveSettings.nextMove)) {
         event.preventDefault();
-        navigateToPath([]);
+        setVariationChooser(null);
+        navigateToPath([...currentPath, chooserIndex]);
         return;
       }
-
-      // Handle jump to end
-      if (event.key === effectiveSettings.jumpToEnd) {
+      if (event.key === 'Escape' || event.key === 'ArrowLeft' || matchesKey(effectiveSettings.previousMove)) {
         event.preventDefault();
-        // Find the end of the main line
-        let currentNode = tree;
-        let endPath = [];
-        while (currentNode.children.length > 0) {
-          currentNode = currentNode.children[0]; // Always follow main line
-          endPath.push(0);
-        }
-        navigateToPath(endPath);
+        setVariationChooser(null);
         return;
       }
+    }
 
-      // Handle move navigation
-      if (event.key.toLowerCase() === effectiveSettings.previousMove.toLowerCase() || event.key === 'ArrowLeft') {
-        event.preventDefault(); // Prevent default horizontal scrolling
-        if (currentPath.length > 0) {
-          navigateToPath(currentPath.slice(0, -1));
-        }
-      } else if (event.key.toLowerCase() === effectiveSettings.nextMove.toLowerCase() || event.key === 'ArrowRight') {
-        event.preventDefault(); // Prevent default horizontal scrolling
-        const node = getNode(currentPath);
-        if (node.children.length > 0) {
-          navigateToPath([...currentPath, 0]); // Go to main line
-        }
-      }
-    };
+    // Open the move menu for the selected move
+    if (event.key === 'ContextMenu' || (event.key === 'F10' && event.shiftKey) || matchesKey(effectiveSettings.moveMenu)) {
+      event.preventDefault();
+      openContextMenuForCurrentMove();
+      return;
+    }
+
+    // Moving between variations
+    if (matchesKey(effectiveSettings.nextVariation)) {
+      event.preventDefault();
+      navigateIfPath(GameTree.getSiblingPath(tree, currentPath, 1));
+      return;
+    }
+    if (matchesKey(effectiveSettings.previousVariation)) {
+      event.preventDefault();
+      navigateIfPath(GameTree.getSiblingPath(tree, currentPath, -1));
+      return;
+    }
+    if (matchesKey(effectiveSettings.enterVariation)) {
+      event.preventDefault();
+      navigateIfPath(GameTree.getVariationEntryPath(tree, currentPath));
+      return;
+    }
+    if (matchesKey(effectiveSettings.exitVariation)) {
+      event.preventDefault();
+      navigateIfPath(GameTree.getBranchPointPath(currentPath));
+      return;
+    }
+
+    // Annotation glyphs on the number row (1-6 move quality, 7-0 and - evaluation)
+    if (NAG_SHORTCUTS[event.key] && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      event.preventDefault();
+      handleToggleNag(NAG_SHORTCUTS[event.key]);
+      return;
+    }
+
+    // Handle FEN input toggle (Shift+F by default) - only if FEN input is enabled
+    if (enableFenInput && event.key === effectiveSettings.toggleFen && event.shiftKey) {
+      event.preventDefault();
+      setShowFenInput(prev => !prev);
+      return;
+    }
+
+    // Handle board flip (only if not shift+f)
+    if (event.key.toLowerCase() === effectiveSettings.flipBoard.toLowerCase() && !event.shiftKey) {
+      event.preventDefault();
+      setBoardOrientation(prev => prev === 'white' ? 'black' : 'white');
+      return;
+    }
+
+    // Handle jump to start
+    if (event.key === effectiveSettings.jumpToStart) {
+      event.preventDefault();
+      navigateToPath([]);
+      return;
+    }
+
+    // Handle jump to end
+    if (event.key === effectiveSettings.jumpToEnd) {
+      event.preventDefault();
+      // Find the end of the main line
+      navigateToPath(GameTree.getMainLineEnd(tree));
+      return;
+    }
+
+    // Handle move navigation
+    if (event.key.toLowerCase() === effectiveSettings.previousMove.toLowerCase() || event.key === 'ArrowLeft') {
+      event.preventDefault(); // Prevent default horizontal scrolling
+      goToPreviousMove();
+    } else if (event.key.toLowerCase() === effectiveSettings.nextMove.toLowerCase() || event.key === 'ArrowRight') {
+      event.preventDefault(); // Prevent default horizontal scrolling
+      goToNextMoveOrChoose();
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => handleKeyDownRef.current(event);
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-      }, [currentPath, getNode, navigateToPath, effectiveSettings, setBoardOrientation, effectiveShowSettings, handleToggleSettings]);
+  }, []);
 
   // Auto-scroll to keep the selected move centered
   useEffect(() => {
@@ -821,6 +1477,116 @@ const AnalysisBoard = ({
     return () => clearTimeout(timeoutId);
   }, [currentPath, autoScrollEnabled]);
 
+  // Imperative API for host applications (toolbars, native menus, tests).
+  // Failures go through reportError like every other error the board reports.
+  // The methods go through `latest`, so calls made one after another without a
+  // re-render in between see each other's edits
+  useImperativeHandle(ref, () => ({
+    loadPgn: (pgnString) => loadPgnFromString(pgnString),
+    loadFen: (fen) => loadFenString(fen),
+    loadStudy: (study) => loadStudy(study),
+    getStudy: () => toStudy(latest.current.tree, {
+      headers: latest.current.headers,
+      ui: { currentPath: latest.current.currentPath, orientation: boardOrientation, movesCollapsed: collapsedMoves, bookmarks, variationToggles },
+    }),
+    goTo: (path) => {
+      if (!GameTree.isValidPath(latest.current.tree, path)) {
+        reportError('invalid_path', 'The path does not point to a move in the tree', { path });
+        return false;
+      }
+      navigateToPath(path);
+      return true;
+    },
+    next: () => goToNextMove(),
+    prev: () => goToPreviousMove(),
+    makeMove: (san) => {
+      const move = playMove(san);
+      if (!move) {
+        reportError('illegal_move', 'The move is not legal in the current position', { move: san, fen: latestFen() });
+        return false;
+      }
+      return true;
+    },
+    getTree: () => latest.current.tree,
+    getCurrentPath: () => latest.current.currentPath,
+    getCurrentFen: () => latestFen(),
+    getPgn: () => exportPgn(latest.current.tree, latest.current.headers),
+    flip: () => setBoardOrientation(prev => prev === 'white' ? 'black' : 'white'),
+    setComment: (text) => {
+      if (typeof text !== 'string') {
+        reportError('invalid_comment', 'Comments must be strings', { comment: text });
+        return false;
+      }
+      const { currentPath: path } = latest.current;
+      editTree(draft => {
+        getNode(path, draft).comment = text;
+      }, { group: `comment:${path.join('-')}` });
+      return true;
+    },
+    startTraining: (side, path = []) => {
+      if (side !== 'w' && side !== 'b') {
+        reportError('invalid_training_side', 'Training side must be "w" or "b"', { side });
+        return false;
+      }
+      if (!GameTree.isValidPath(latest.current.tree, path)) {
+        reportError('invalid_path', 'The path does not point to a move in the tree', { path });
+        return false;
+      }
+      startTraining(side, path);
+      return true;
+    },
+    stopTraining: () => setTraining(null),
+    startGuessing: (side, path = latest.current.currentPath) => {
+      if (side !== 'w' && side !== 'b') {
+        reportError('invalid_training_side', 'Training side must be "w" or "b"', { side });
+        return false;
+      }
+      if (!GameTree.isValidPath(latest.current.tree, path)) {
+        reportError('invalid_path', 'The path does not point to a move in the tree', { path });
+        return false;
+      }
+      startGuessing(side, path);
+      return true;
+    },
+    stopGuessing: () => stopGuessing(),
+    getGuessSummary: () => guessSummary,
+    openBoardEditor: () => openBoardEditor(),
+    exportDiagram: (path = latest.current.currentPath, options) => {
+      if (!GameTree.isValidPath(latest.current.tree, path)) {
+        reportError('invalid_path', 'The path does not point to a move in the tree', { path });
+        return Promise.reject(new Error('The path does not point to a move in the tree'));
+      }
+      return exportDiagram(path, options);
+    },
+    // One diagram per commented position, in PGN order
+    exportCommentDiagrams: (options) => {
+      const { tree: sourceTree } = latest.current;
+      const paths = [];
+      GameTree.walk(sourceTree, (node, path) => {
+        if (node.comment) paths.push(path);
+      });
+      return Promise.all(paths.map(path => exportDiagram(path, options).then(diagram => ({
+        path,
+        caption: GameTree.moveLabel(sourceTree, path),
+        comment: GameTree.getNode(sourceTree, path).comment,
+        diagram,
+      }))));
+    },
+    getTrainingSchedule: () => trainingSchedule,
+    loadTrainingSchedule: (schedule) => {
+      if (!isSchedule(schedule)) {
+        reportError('invalid_schedule', 'The training schedule is not in a supported format', { schedule });
+        return false;
+      }
+      setTrainingSchedule(schedule);
+      return true;
+    },
+    undo: () => undo(),
+    redo: () => redo(),
+    canUndo: () => latest.current.history.past.length > 0,
+    canRedo: () => latest.current.history.future.length > 0,
+  }));
+
   const MoveRenderer = ({ node, path, isVariation, showMoveNumber, ...props }) => {
     const isSelected = JSON.stringify(path) === JSON.stringify(props.currentPath);
     const moveNumber = Math.floor(node.ply / 2) + 1;
@@ -833,20 +1599,71 @@ const AnalysisBoard = ({
                     {moveNumber}.{node.ply % 2 !== 0 ? '..' : ''}
                 </span>
             )}
+            {props.transpositions && props.transpositions.has(GameTree.positionKey(node.fen)) && (
+                <span
+                    className="transposition-marker"
+                    role="button"
+                    tabIndex={-1}
+                    aria-label="Go to other occurrence"
+                    title="This position is also reached by another move order"
+                    onClick={() => props.goToOtherOccurrence(path)}
+                >
+                    ⇄
+                </span>
+            )}
+            {props.bookmarkIds && props.bookmarkIds.has(node.id) && (
+                <span className="bookmark-marker" role="img" aria-label="Bookmarked" title="Bookmarked">★</span>
+            )}
+            {props.bookExits && props.bookExits.has(node.id) && (
+                <span className="book-exit" role="img" aria-label="Out of book" title="First move out of the opening book" />
+            )}
             <span
-                className={`move ${isSelected ? 'selected-move' : ''}`}
+                className={`move ${isSelected ? 'selected-move' : ''} ${props.searchMatches && props.searchMatches.has(path.join('-')) ? 'search-match' : ''}`}
                 onClick={() => props.navigateToPath(path)}
                 onContextMenu={(e) => props.handleContextMenu(e, path)}
             >
                 {node.san}
             </span>
+            {node.nags && node.nags.length > 0 && (
+                <span className="move-nags">{formatNagsForDisplay(node.nags)}</span>
+            )}
+            {node.clock && <span className="move-clock">{formatClock(parseClock(node.clock))}</span>}
+            {props.gameOvers && props.gameOvers.has(node.id) && (
+                <span className="game-over-marker">{GameTree.GAME_OVER_LABELS[props.gameOvers.get(node.id).reason]}</span>
+            )}
         </span>
     );
   };
 
-  const VariationRenderer = ({ variations, basePath, depth = 1, ...props }) => {
+  const VariationRenderer = ({ variations, basePath, parentId, depth = 1, inline = false, ...props }) => {
     if (!variations || variations.length === 0) return null;
 
+    const open = props.isBlockOpen(parentId, basePath, depth);
+    const toggle = (
+        <button
+            type="button"
+            className="variation-toggle"
+            aria-expanded={open}
+            aria-label={open ? 'Collapse variations' : 'Expand variations'}
+            onClick={() => props.toggleVariationBlock(parentId, basePath, !open)}
+        >
+            {open ? '−' : `+${variations.length}`}
+        </button>
+    );
+
+    if (inline) {
+        return (
+            <span className="variations-block inline">
+                {toggle}
+                {open && variations.map((variationNode, index) => (
+                    <span key={variationNode.id} className={`inline-variation depth-${depth}`}>
+                        ({renderInlineLine(getNode(basePath), variationNode, [...basePath, index + 1], depth, props)})
+                    </span>
+                ))}
+            </span>
+        );
+    }
+
     const renderVariationLine = (lineNode, linePath) => {
         if (!lineNode) return null;
         
@@ -883,6 +1700,7 @@ const AnalysisBoard = ({
                         <VariationRenderer 
                             variations={subVariations} 
                             basePath={currentPath}
+                            parentId={currentNode.id}
                             depth={depth + 1}
                             {...props} 
                         />
@@ -903,7 +1721,8 @@ const AnalysisBoard = ({
 
     return (
         <div className="variations-block">
-            {variations.map((variationNode, index) => {
+            {toggle}
+            {open && variations.map((variationNode, index) => {
                 const variationPath = [...basePath, index + 1];
                 return (
                     <div key={variationNode.id} className={`variation-line depth-${depth}`}>
@@ -915,17 +1734,88 @@ const AnalysisBoard = ({
     );
   };
 
-  const MovesDisplay = ({ tree, ...props }) => {
-    const mainLine = [];
-    let current = tree;
-    let path = [];
-    while (current && current.children.length > 0) {
-        const mainMoveNode = current.children[0];
-        const parentNode = current;
-        path.push(0);
-        mainLine.push({ node: mainMoveNode, path: [...path], parentNode });
-        current = mainMoveNode;
+  // The side to move's clock is the one running
+  const playerClock = (side) => (
+    <div
+      className={`player-clock ${side === 'w' ? 'white' : 'black'}${gameFen.split(' ')[1] === side ? ' running' : ''}`}
+      role="timer"
+      aria-label={side === 'w' ? 'White clock' : 'Black clock'}
+    >
+      {clocks[side] === null ? '–' : formatClock(clocks[side])}
+    </div>
+  );
+
+  // Side lines are grouped in blocks, one per branch point, that fold open and shut.
+  // Blocks past the depth limit start folded, but the block holding the selected
+  // move or a search hit is always open.
+  const isInsideBlock = (path, basePath) =>
+    path.length > basePath.length && path[basePath.length] > 0 && basePath.every((index, i) => path[i] === index);
+
+  const isBlockOpen = (parentId, basePath, depth) => {
+    if (isInsideBlock(currentPath, basePath)) return true;
+    if ([...searchMatches].some(key => isInsideBlock(key.split('-').map(Number), basePath))) return true;
+    if (variationToggles.has(parentId)) return variationToggles.get(parentId);
+    return effectiveSettings.variationDepth === null || depth <= effectiveSettings.variationDepth;
+  };
+
+  const toggleVariationBlock = (parentId, basePath, open) => {
+    // Folding away the selected move leaves the selection at the branch point
+    if (!open && isInsideBlock(currentPath, basePath)) navigateToPath(basePath);
+    setVariationToggles(prev => new Map(prev).set(parentId, open));
+  };
+
+  // A line in book order: alternatives to a move follow it in parentheses, and
+  // the move number is repeated after anything that interrupts the line
+  const renderInlineLine = (parent, firstNode, firstPath, depth, props) => {
+    const elements = [];
+    let node = firstNode;
+    let path = firstPath;
+    let showNumber = true;
+    while (node) {
+        elements.push(
+            <MoveRenderer key={node.id} node={node} path={path} showMoveNumber={showNumber || node.ply % 2 === 0} {...props} />
+        );
+        showNumber = false;
+        if (node.comment && node.comment.trim()) {
+            elements.push(
+                <span key={`comment-${node.id}`} className="inline-comment">{` ${node.comment.trim()} `}</span>
+            );
+            showNumber = true;
+        }
+        if (node === parent.children[0] && parent.children.length > 1) {
+            elements.push(
+                <VariationRenderer
+                    key={`variations-${node.id}`}
+                    inline
+                    variations={parent.children.slice(1)}
+                    basePath={path.slice(0, -1)}
+                    parentId={parent.id}
+                    depth={depth + 1}
+                    {...props}
+                />
+            );
+            showNumber = true;
+        }
+        parent = node;
+        path = [...path, 0];
+        node = node.children[0];
     }
+    return elements;
+  };
+
+  const InlineMovesDisplay = ({ tree, ...props }) => (
+    <div className="moves-paragraph">
+        {tree.children.length > 0 && renderInlineLine(tree, tree.children[0], [0], 0, props)}
+    </div>
+  );
+
+  const moveListProps = {
+    currentPath, navigateToPath, handleContextMenu, bookExits, transpositions, goToOtherOccurrence,
+    searchMatches, gameOvers, isBlockOpen, toggleVariationBlock, bookmarkIds,
+  };
+
+  const MovesDisplay = ({ tree, ...props }) => {
+    const mainLine = GameTree.getMainLine(tree).map(({ node, path, parent }) => ({ node, path, parentNode: parent }));
 
     const rows = [];
     for (let i = 0; i < mainLine.length; i += 2) {
@@ -952,7 +1842,7 @@ const AnalysisBoard = ({
             if(whiteHasVariations) {
                 const whiteVariations = white.parentNode.children.slice(1);
                 const whiteBasePath = white.path.slice(0, -1);
-                rows.push(<div key={`${i}-wv`}><VariationRenderer variations={whiteVariations} basePath={whiteBasePath} {...props} /></div>);
+                rows.push(<div key={`${i}-wv`}><VariationRenderer variations={whiteVariations} basePath={whiteBasePath} parentId={white.parentNode.id} {...props} /></div>);
             }
 
             if(black) {
@@ -969,7 +1859,7 @@ const AnalysisBoard = ({
                 if(blackHasVariations) {
                     const blackVariations = black.parentNode.children.slice(1);
                     const blackBasePath = black.path.slice(0, -1);
-                    rows.push(<div key={`${i}-bv`}><VariationRenderer variations={blackVariations} basePath={blackBasePath} {...props} /></div>);
+                    rows.push(<div key={`${i}-bv`}><VariationRenderer variations={blackVariations} basePath={blackBasePath} parentId={black.parentNode.id} {...props} /></div>);
                 }
             }
         } else {
@@ -1001,13 +1891,50 @@ const AnalysisBoard = ({
             width: collapsedMoves ? '100%' : `${Math.round(boardWidthPx)}px`
           } : undefined}
         >
-          <div ref={boardContainerRef}>
+          {editingPosition ? (
+            <BoardEditor
+              initialFen={gameFen}
+              orientation={boardOrientation}
+              onCommit={handleCommitSetup}
+              onCancel={() => setEditingPosition(false)}
+            />
+          ) : (
+          <>
+          {hasClocks && playerClock(boardOrientation === 'white' ? 'b' : 'w')}
+          <div
+            ref={boardContainerRef}
+            className={engine && engineEnabled && !studying ? 'board-area with-eval-bar' : 'board-area'}
+            onMouseDown={handleBoardMouseDown}
+            onMouseUp={handleBoardMouseUp}
+            onContextMenu={(e) => e.preventDefault()}
+          >
+            {engine && engineEnabled && !studying && (
+              <EvalBar score={engineResults[0]?.score} orientation={boardOrientation} />
+            )}
             <Chessboard 
             position={gameFen} 
             onPieceDrop={onDrop} 
+            onSquareClick={handleSquareClick}
+            onPromotionCheck={isPromotionMove}
+            onPromotionPieceSelect={handlePromotionPieceSelect}
+            showPromotionDialog={!!promotionToPlay}
+            promotionToSquare={promotionToPlay ? promotionToPlay.to : null}
+            autoPromoteToQueen={effectiveSettings.autoQueen}
             boardOrientation={boardOrientation}
+            areArrowsAllowed={false}
+            customArrows={boardArrows}
+            customSquareStyles={squareStyles}
             />
           </div>
+          {currentGameOver && (
+            <div className="game-over-banner" role="status">
+              {GameTree.GAME_OVER_LABELS[currentGameOver.reason]}: {currentGameOver.claimable ? 'Draw can be claimed' : GameTree.RESULT_LABELS[currentGameOver.result]}
+            </div>
+          )}
+          {hasClocks && playerClock(boardOrientation === 'white' ? 'w' : 'b')}
+          {evalPoints && !studying && (
+            <EvalGraph points={evalPoints} cursor={evalCursor >= 0 ? evalCursor : null} onSelect={navigateToPath} />
+          )}
           <div className="comment-box">
             <textarea
               value={comment}
@@ -1015,6 +1942,13 @@ const AnalysisBoard = ({
               placeholder="Add a comment to the current move..."
             />
           </div>
+          <AnnotationPalette
+            nags={currentNode.nags}
+            disabled={currentPath.length === 0}
+            onToggleNag={(nag) => handleToggleNag(nag)}
+          />
+          </>
+          )}
         </div>
         {containerMode === 'embedded' && !collapsedMoves && (
           <div
@@ -1028,14 +1962,113 @@ const AnalysisBoard = ({
         )}
         {!collapsedMoves && (
         <div className="move-history" style={containerMode === 'embedded' && boardPixelHeight ? { height: boardPixelHeight } : undefined}>
-          <div className="moves-list" ref={movesListRef}>
-             <MovesDisplay tree={tree} currentPath={currentPath} navigateToPath={navigateToPath} handleContextMenu={handleContextMenu} />
+          {engine && !studying && (
+            <EngineLines
+              fen={gameFen}
+              lines={engineResults}
+              enabled={engineEnabled}
+              onToggle={setEngineEnabled}
+              onSelectLine={handleSelectEngineLine}
+            />
+          )}
+          {tree.variant === CHESS960 && <div className="variant-name">Chess960</div>}
+          {currentOpening && (
+            <div className="opening-name">
+              <span className="opening-eco">{currentOpening.eco}</span> {currentOpening.name}
+            </div>
+          )}
+          {search !== null && !studying && (
+            <SearchPanel
+              tree={tree}
+              query={search}
+              results={searchResults}
+              currentIndex={currentSearchIndex}
+              inputRef={searchInputRef}
+              onQueryChange={setSearch}
+              onStep={stepSearch}
+              onSelect={(index) => navigateToPath(searchResults[index].path)}
+              onClose={() => setSearch(null)}
+            />
+          )}
+          {!studying && (
+          <div className={`moves-list${effectiveSettings.moveListLayout === 'inline' ? ' inline-layout' : ''}`} ref={movesListRef}>
+             {effectiveSettings.moveListLayout === 'inline' ? (
+               <InlineMovesDisplay tree={tree} {...moveListProps} />
+             ) : (
+               <MovesDisplay tree={tree} {...moveListProps} />
+             )}
           </div>
-          {currentNode.children.length > 1 && (
-            <div className="branch-selection">
+          )}
+          {tree.children.length > 0 && !studying && (
+            <GameResult result={headers.Result || '*'} gameOver={mainLineGameOver} onChange={handleResultChange} />
+          )}
+          {thinkTimeMoves && !studying && (
+            <ThinkTimeChart moves={thinkTimeMoves} currentPath={currentPath} onSelect={navigateToPath} />
+          )}
+          {!guessSession && (training || tree.children.length > 0) && (
+            <TrainingPanel
+              training={training}
+              status={trainingStatus}
+              dueCounts={trainingDueCounts}
+              onStart={(side) => startTraining(side)}
+              onStop={() => setTraining(null)}
+              onRestart={() => startTraining(training.side, training.startPath)}
+              onShowMove={showTrainingMove}
+            />
+          )}
+          {!training && (guessSession || tree.children.length > 0) && (
+            <GuessPanel
+              session={guessSession}
+              status={guessStatus}
+              summary={guessSummary}
+              onStart={(side) => startGuessing(side)}
+              onStop={stopGuessing}
+            />
+          )}
+          {bookmarkedMoves.length > 0 && !studying && (
+            <div className="bookmarks">
+              <h4>Bookmarks</h4>
+              {bookmarkedMoves.map(({ id, path, label }) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => navigateToPath(path)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {transpositions.size > 0 && !studying && (
+            <div className="transpositions">
+              <button
+                type="button"
+                className="transpositions-toggle"
+                aria-expanded={showTranspositionReport}
+                onClick={() => setShowTranspositionReport(prev => !prev)}
+              >
+                Transpositions ({transpositions.size})
+              </button>
+              {showTranspositionReport && (
+                <TranspositionReport
+                  tree={tree}
+                  transpositions={transpositions}
+                  currentPath={currentPath}
+                  onSelect={navigateToPath}
+                />
+              )}
+            </div>
+          )}
+          {currentNode.children.length > 1 && !studying && (
+            <div className={`branch-selection${chooserIndex !== null ? ' choosing' : ''}`}>
               <h4>Variations</h4>
               {currentNode.children.map((child, index) => (
-                <button key={child.id} onClick={() => navigateToPath([...currentPath, index])}>
+                <button
+                  key={child.id}
+                  className={chooserIndex === index ? 'chosen' : undefined}
+                  aria-pressed={chooserIndex === null ? undefined : chooserIndex === index}
+                  onClick={() => navigateToPath([...currentPath, index])}
+                >
                   {child.san}
                 </button>
               ))}
@@ -1048,6 +2081,12 @@ const AnalysisBoard = ({
         <div className={`fen-display ${containerMode === 'embedded' ? 'embedded-mode' : 'standalone-mode'}`}>
           <div className="fen-header">
             <h3>Starting Position (FEN)</h3>
+            <button onClick={openBoardEditor} className="fen-button setup-position-button" disabled={editingPosition}>
+              Set up position
+            </button>
+            <button onClick={() => loadFenString(randomChess960Fen())} className="fen-button random-960-button">
+              Random Chess960
+            </button>
           </div>
           <div className="fen-input-container">
             <textarea 
@@ -1059,13 +2098,31 @@ const AnalysisBoard = ({
             />
             <button onClick={handleLoadFen} className="fen-button load-fen-button">Load FEN</button>
           </div>
+          {fenErrors.length > 0 && (
+            <ul className="fen-errors" role="alert">
+              {fenErrors.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+          )}
         </div>
       )}
-      {enablePgnBox && (
+      {gameDatabase && (
+        <div className={`game-database-display ${containerMode === 'embedded' ? 'embedded-mode' : 'standalone-mode'}`}>
+          <GameDatabase games={gameDatabase} selectedIndex={selectedGameIndex} onSelectGame={handleSelectGame} />
+        </div>
+      )}
+      {/* The PGN holds the whole game, so it's hidden while studying like the move list */}
+      {enablePgnBox && !studying && (
         <div className={`pgn-display ${containerMode === 'embedded' ? 'embedded-mode' : 'standalone-mode'}`}>
           <div className="pgn-header">
               <h3>Live PGN</h3>
+              <button
+                onClick={() => setShowHeaderEditor(prev => !prev)}
+                className="pgn-button header-toggle-button"
+              >
+                {showHeaderEditor ? 'Hide headers' : 'Edit headers'}
+              </button>
           </div>
+          {showHeaderEditor && <HeaderEditor headers={headers} onChange={editHeaders} />}
           <div className="pgn-textarea-container">
             <textarea 
                 value={pgnInput}
@@ -1085,10 +2142,12 @@ const AnalysisBoard = ({
         </div>
       )}
       {contextMenu && (
-        <div className="context-menu" style={{ top: contextMenu.y, left: contextMenu.x }}>
-          <div className="context-menu-item" onClick={handleDeleteMove}>Delete</div>
-          <div className="context-menu-item" onClick={handlePromoteVariation}>Promote variation</div>
-        </div>
+        <MoveContextMenu
+          x={contextMenu.x}
+          y={contextMenu.y}
+          items={contextMenuItems(contextMenu.path)}
+          onClose={() => setContextMenu(null)}
+        />
       )}
       {effectiveShowSettings && (
         <div className="settings-overlay" onClick={() => handleToggleSettings(false)}>
@@ -1166,6 +2225,35 @@ const AnalysisBoard = ({
                     maxLength="1"
                   />
                 </div>
+                {[
+                  ['nextVariation', 'Next Variation:'],
+                  ['previousVariation', 'Previous Variation:'],
+                  ['enterVariation', 'Enter Variation:'],
+                  ['exitVariation', 'Back to Parent Line:'],
+                  ['moveMenu', 'Move Menu:'],
+                ].map(([setting, label]) => (
+                  <div className="shortcut-item" key={setting}>
+                    <label htmlFor={`setting-${setting}`}>{label}</label>
+                    <input
+                      id={`setting-${setting}`}
+                      type="text"
+                      value={effectiveSettings[setting]}
+                      onChange={(e) => handleSettingsChange({
+                        ...effectiveSettings,
+                        [setting]: e.target.value.toLowerCase()
+                      })}
+                      maxLength="1"
+                    />
+                  </div>
+                ))}
+                <div className="shortcut-item">
+                  <label>Move Annotations (! ? !! ?? !? ?!):</label>
+                  <span className="shortcut-display">1–6</span>
+                </div>
+                <div className="shortcut-item">
+                  <label>Evaluation Annotations (= ± ∓ +− −+):</label>
+                  <span className="shortcut-display">7 8 9 0 -</span>
+                </div>
                 {enableFenInput && (
                   <div className="shortcut-item">
                     <label>Toggle FEN Input:</label>
@@ -1179,6 +2267,39 @@ const AnalysisBoard = ({
                   <label>Current Orientation:</label>
                   <span className="board-orientation">{boardOrientation === 'white' ? 'White' : 'Black'}</span>
                 </div>
+                <div className="shortcut-item">
+                  <label htmlFor="auto-queen">Always promote to a queen:</label>
+                  <input
+                    id="auto-queen"
+                    type="checkbox"
+                    checked={!!effectiveSettings.autoQueen}
+                    onChange={(e) => handleSettingsChange({
+                      ...effectiveSettings,
+                      autoQueen: e.target.checked
+                    })}
+                    className="checkbox-input"
+                  />
+                </div>
+                {[
+                  ['showLegalMoves', 'Show legal moves of the selected piece:'],
+                  ['showLastMove', 'Highlight the last move:'],
+                  ['showCheck', 'Highlight a king in check:'],
+                  ['variationChooser', 'Ask which variation to follow at forks:'],
+                ].map(([setting, label]) => (
+                  <div className="shortcut-item" key={setting}>
+                    <label htmlFor={`setting-${setting}`}>{label}</label>
+                    <input
+                      id={`setting-${setting}`}
+                      type="checkbox"
+                      checked={!!effectiveSettings[setting]}
+                      onChange={(e) => handleSettingsChange({
+                        ...effectiveSettings,
+                        [setting]: e.target.checked
+                      })}
+                      className="checkbox-input"
+                    />
+                  </div>
+                ))}
               </div>
               <div className="settings-section">
                 <h3>UI Settings</h3>
@@ -1191,6 +2312,35 @@ const AnalysisBoard = ({
                     className="checkbox-input"
                   />
                 </div>
+                <div className="shortcut-item">
+                  <label htmlFor="setting-moveListLayout">Move list layout:</label>
+                  <select
+                    id="setting-moveListLayout"
+                    value={effectiveSettings.moveListLayout}
+                    onChange={(e) => handleSettingsChange({
+                      ...effectiveSettings,
+                      moveListLayout: e.target.value
+                    })}
+                  >
+                    <option value="columns">Columns</option>
+                    <option value="inline">Inline</option>
+                  </select>
+                </div>
+                <div className="shortcut-item">
+                  <label htmlFor="setting-variationDepth">Show variations to depth:</label>
+                  <select
+                    id="setting-variationDepth"
+                    value={effectiveSettings.variationDepth === null ? 'all' : effectiveSettings.variationDepth}
+                    onChange={(e) => handleSettingsChange({
+                      ...effectiveSettings,
+                      variationDepth: e.target.value === 'all' ? null : Number(e.target.value)
+                    })}
+                  >
+                    <option value="all">All</option>
+                    <option value="0">Main line only</option>
+                    {[1, 2, 3].map(depth => <option key={depth} value={depth}>{depth}</option>)}
+                  </select>
+                </div>
               </div>
               <div className="settings-footer">
                 <p><strong>Tip:</strong> Press Cmd+, (or Ctrl+,) to open settings</p>
@@ -1201,6 +2351,6 @@ const AnalysisBoard = ({
       )}
     </>
   );
-};
+});
 
 export default AnalysisBoard; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+import React from 'react';
+import { MOVE_NAGS, POSITION_NAGS, NAG_SHORTCUTS, nagToSymbol } from '../pgn/nags';
+
+const NAG_TITLES = {
+  $1: 'Good move',
+  $2: 'Mistake',
+  $3: 'Brilliant move',
+  $4: 'Blunder',
+  $5: 'Interesting move',
+  $6: 'Dubious move',
+  $10: 'Equal position',
+  $13: 'Unclear position',
+  $14: 'White is slightly better',
+  $15: 'Black is slightly better',
+  $16: 'White is better',
+  $17: 'Black is better',
+  $18: 'White is winning',
+  $19: 'Black is winning',
+};
+
+const shortcutFor = (nag) => Object.keys(NAG_SHORTCUTS).find(key => NAG_SHORTCUTS[key] === nag);
+
+// Buttons for toggling move-quality and evaluation glyphs on the current move
+const AnnotationPalette = ({ nags = [], disabled, onToggleNag }) => {
+  const renderButton = (nag) => {
+    const shortcut = shortcutFor(nag);
+    return (
+      <button
+        key={nag}
+        className={`annotation-button ${nags.includes(nag) ? 'active' : ''}`}
+        onClick={() => onToggleNag(nag)}
+        disabled={disabled}
+        title={shortcut !== undefined ? `${NAG_TITLES[nag]} (${shortcut})` : NAG_TITLES[nag]}
+        aria-pressed={nags.includes(nag)}
+      >
+        {nagToSymbol(nag)}
+      </button>
+    );
+  };
+
+  return (
+    <div className="annotation-palette" role="toolbar" aria-label="Move annotations">
+      <div className="annotation-group">{MOVE_NAGS.map(renderButton)}</div>
+      <div className="annotation-group">{POSITION_NAGS.map(renderButton)}</div>
+    </div>
+  );
+};
+
+export default AnnotationPalette;
@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from 'react';
+import { Chess } from 'chess.js';
+import { Chessboard, ChessboardDnDProvider, SparePiece } from 'react-chessboard';
+import { emptySetup, setupFromFen, setupToFen, enPassantCandidates, validateSetup } from '../board/setup';
+
+const BOARD_ID = 'board-editor';
+const PIECE_TYPES = ['K', 'Q', 'R', 'B', 'N', 'P'];
+const SPARE_PIECE_WIDTH = 40;
+const CASTLING_RIGHTS = [
+  ['K', 'White O-O'],
+  ['Q', 'White O-O-O'],
+  ['k', 'Black O-O'],
+  ['q', 'Black O-O-O'],
+];
+
+// Setup mode: pieces are dragged on from the spare-piece palettes, moved freely
+// and dragged off the board to remove them. Clicking a palette piece (or the
+// eraser) and then squares does the same without dragging. Nothing reaches the
+// analysis until the position is valid and committed.
+const BoardEditor = ({ initialFen, orientation, onCommit, onCancel }) => {
+  const [setup, setSetup] = useState(() => setupFromFen(initialFen));
+  // A palette piece (e.g. 'wN') or 'erase' for click placement
+  const [tool, setTool] = useState(null);
+
+  const reasons = useMemo(() => validateSetup(setup), [setup]);
+  const fen = setupToFen(setup);
+  const candidates = enPassantCandidates(setup);
+
+  const updatePieces = (update) => setSetup(prev => {
+    const pieces = { ...prev.pieces };
+    update(pieces);
+    return { ...prev, pieces };
+  });
+
+  const handlePieceDrop = (from, to, piece) => {
+    updatePieces(pieces => {
+      delete pieces[from];
+      pieces[to] = piece;
+    });
+    return true;
+  };
+
+  const handleSparePieceDrop = (piece, square) => {
+    updatePieces(pieces => {
+      pieces[square] = piece;
+    });
+    return true;
+  };
+
+  const handlePieceDropOffBoard = (square) => updatePieces(pieces => {
+    delete pieces[square];
+  });
+
+  const handleSquareClick = (square) => {
+    if (!tool) return;
+    updatePieces(pieces => {
+      if (tool === 'erase' || pieces[square] === tool) delete pieces[square];
+      else pieces[square] = tool;
+    });
+  };
+
+  const selectTool = (nextTool) => setTool(prev => (prev === nextTool ? null : nextTool));
+
+  const toggleCastling = (right) => setSetup(prev => ({
+    ...prev,
+    castling: prev.castling.includes(right) ? prev.castling.replace(right, '') : prev.castling + right,
+  }));
+
+  const palette = (color) => (
+    <div className="setup-palette" role="toolbar" aria-label={`${color === 'w' ? 'White' : 'Black'} pieces`}>
+      {PIECE_TYPES.map(type => {
+        const piece = `${color}${type}`;
+        return (
+          // Not a <button>: Firefox doesn't start drags inside buttons
+          <div
+            key={piece}
+            role="button"
+            tabIndex={0}
+            className={`setup-spare-piece${tool === piece ? ' selected' : ''}`}
+            aria-label={piece}
+            aria-pressed={tool === piece}
+            onClick={() => selectTool(piece)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                selectTool(piece);
+              }
+            }}
+          >
+            <SparePiece piece={piece} width={SPARE_PIECE_WIDTH} dndId={BOARD_ID} />
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  // The palette nearest each player matches the board orientation
+  const [topColor, bottomColor] = orientation === 'white' ? ['b', 'w'] : ['w', 'b'];
+
+  return (
+    <div className="board-editor">
+      <ChessboardDnDProvider>
+        {palette(topColor)}
+        <Chessboard
+          id={BOARD_ID}
+          position={setup.pieces}
+          boardOrientation={orientation}
+          onPieceDrop={handlePieceDrop}
+          onSparePieceDrop={handleSparePieceDrop}
+          onPieceDropOffBoard={handlePieceDropOffBoard}
+          dropOffBoardAction="trash"
+          onSquareClick={handleSquareClick}
+          onPromotionCheck={() => false}
+          areArrowsAllowed={false}
+        />
+        {palette(bottomColor)}
+      </ChessboardDnDProvider>
+
+      <div className="setup-controls">
+        <button
+          type="button"
+          className={tool === 'erase' ? 'selected' : ''}
+          aria-pressed={tool === 'erase'}
+          onClick={() => selectTool('erase')}
+        >
+          Eraser
+        </button>
+        <button type="button" onClick={() => setSetup({ ...emptySetup(), turn: setup.turn })}>Clear board</button>
+        <button type="button" onClick={() => setSetup(setupFromFen(new Chess().fen()))}>Starting position</button>
+      </div>
+
+      <div className="setup-controls">
+        <label>
+          Side to move
+          <select value={setup.turn} onChange={(e) => setSetup({ ...setup, turn: e.target.value, enPassant: null })}>
+            <option value="w">White</option>
+            <option value="b">Black</option>
+          </select>
+        </label>
+        <label>
+          En passant
+          <select
+            value={setup.enPassant || ''}
+            onChange={(e) => setSetup({ ...setup, enPassant: e.target.value || null })}
+          >
+            <option value="">None</option>
+            {[...new Set([...candidates, ...(setup.enPassant ? [setup.enPassant] : [])])].map(square => (
+              <option key={square} value={square}>{square}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Move number
+          <input
+            type="number"
+            min="1"
+            value={Number.isNaN(setup.fullmove) ? '' : setup.fullmove}
+            onChange={(e) => setSetup({ ...setup, fullmove: e.target.value === '' ? NaN : Number(e.target.value) })}
+          />
+        </label>
+      </div>
+
+      <fieldset className="setup-castling">
+        <legend>Castling rights</legend>
+        {CASTLING_RIGHTS.map(([right, label]) => (
+          <label key={right}>
+            <input type="checkbox" checked={setup.castling.includes(right)} onChange={() => toggleCastling(right)} />
+            {label}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="setup-fen" aria-label="FEN of the position">{fen}</div>
+      {reasons.length > 0 && (
+        <ul className="setup-errors" aria-label="Problems with the position">
+          {reasons.map(reason => <li key={reason}>{reason}</li>)}
+        </ul>
+      )}
+
+      <div className="setup-controls">
+        <button type="button" className="setup-done" disabled={reasons.length > 0} onClick={() => onCommit(fen)}>
+          Analyze this position
+        </button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default BoardEditor;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { formatScore, pvToSan } from '../engine/uci';
+
+// MultiPV panel: one row per engine line, each clickable to add it to the tree
+const EngineLines = ({ fen, lines, enabled, onToggle, onSelectLine, maxMoves = 10 }) => {
+  const blackToMove = fen.split(' ')[1] === 'b';
+  const moveNumber = fen.split(' ')[5];
+  const depth = lines.length > 0 ? Math.max(...lines.map(line => line.depth || 0)) : null;
+
+  const formatLine = (sanMoves) => {
+    let number = parseInt(moveNumber, 10) || 1;
+    let black = blackToMove;
+    return sanMoves.slice(0, maxMoves).map((san, index) => {
+      let text = san;
+      if (!black) text = `${number}. ${san}`;
+      else if (index === 0) text = `${number}... ${san}`;
+      if (black) number++;
+      black = !black;
+      return text;
+    }).join(' ');
+  };
+
+  return (
+    <div className="engine-lines">
+      <div className="engine-lines-header">
+        <label>
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => onToggle(e.target.checked)}
+            className="checkbox-input"
+          />
+          Engine
+        </label>
+        {enabled && depth !== null && <span className="engine-depth">depth {depth}</span>}
+      </div>
+      {enabled && lines.map(line => {
+        const sanMoves = pvToSan(fen, line.pv);
+        if (sanMoves.length === 0) return null;
+        return (
+          <div
+            key={line.multipv}
+            className="engine-line"
+            onClick={() => onSelectLine(sanMoves)}
+            title="Add this line as a variation"
+          >
+            <span className="engine-line-score">{formatScore(line.score)}</span>
+            <span className="engine-line-moves">{formatLine(sanMoves)}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default EngineLines;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { formatScore, scoreToWhitePercent } from '../engine/uci';
+
+// Vertical evaluation bar shown beside the board. White's share grows from the
+// bottom when the board is viewed from White's side and from the top otherwise.
+const EvalBar = ({ score, orientation = 'white' }) => {
+  const whitePercent = scoreToWhitePercent(score);
+
+  return (
+    <div
+      className={`eval-bar ${orientation === 'black' ? 'flipped' : ''}`}
+      role="meter"
+      aria-label="Engine evaluation"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(whitePercent)}
+      aria-valuetext={formatScore(score)}
+    >
+      <div className="eval-bar-white" style={{ height: `${whitePercent}%` }} />
+      <span className="eval-bar-label">{formatScore(score)}</span>
+    </div>
+  );
+};
+
+export default EvalBar;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { formatScore, scoreToWhitePercent } from '../engine/uci';
+
+const WIDTH = 600;
+const HEIGHT = 80;
+
+// Evaluation over the main line, White's share of the eval bar growing from the
+// bottom. `points` is [{ path, label, score, swing }], one per main line move,
+// with score null where nothing is known. `cursor` is the index of the move
+// the board is on, or null before the first move.
+const EvalGraph = ({ points, cursor, onSelect }) => {
+  const step = WIDTH / Math.max(points.length - 1, 1);
+  const xOf = (index) => (points.length === 1 ? WIDTH / 2 : index * step);
+  const yOf = (score) => HEIGHT - (scoreToWhitePercent(score) / 100) * HEIGHT;
+
+  // Unknown scores break the line into separate runs
+  const runs = [];
+  points.forEach((point, index) => {
+    if (!point.score) return;
+    const previous = points[index - 1];
+    if (!previous || !previous.score) runs.push([]);
+    runs[runs.length - 1].push(`${xOf(index)},${yOf(point.score)}`);
+  });
+
+  return (
+    <div className="eval-graph">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" role="img" aria-label="Evaluation graph">
+        <line className="eval-graph-middle" x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} />
+        {runs.map(run => (
+          <polygon
+            key={run[0]}
+            className="eval-graph-white"
+            points={`${run[0].split(',')[0]},${HEIGHT} ${run.join(' ')} ${run[run.length - 1].split(',')[0]},${HEIGHT}`}
+          />
+        ))}
+        {runs.map(run => <polyline key={run[0]} className="eval-graph-line" points={run.join(' ')} />)}
+        {cursor !== null && (
+          <line className="eval-graph-cursor" x1={xOf(cursor)} y1="0" x2={xOf(cursor)} y2={HEIGHT} />
+        )}
+        {points.map((point, index) => point.swing && (
+          <circle
+            key={`swing-${point.path.length}`}
+            className={`eval-swing ${point.swing}`}
+            data-move={point.label}
+            cx={xOf(index)}
+            cy={yOf(point.score)}
+            r="4"
+          >
+            <title>{`${point.label}: ${point.swing}`}</title>
+          </circle>
+        ))}
+        {/* A full-height strip per move so the whole graph is clickable */}
+        {points.map((point, index) => (
+          <rect
+            key={point.path.length}
+            className="eval-graph-target"
+            data-move={point.label}
+            x={xOf(index) - step / 2}
+            y="0"
+            width={step}
+            height={HEIGHT}
+            onClick={() => onSelect(point.path)}
+          >
+            <title>{point.score ? `${point.label} ${formatScore(point.score)}` : point.label}</title>
+          </rect>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+export default EvalGraph;
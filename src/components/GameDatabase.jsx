@@ -0,0 +1,83 @@
+import React, { useMemo, useState } from 'react';
+
+const COLUMNS = ['White', 'Black', 'Event', 'Date', 'Result', 'ECO'];
+
+// Browser for a multi-game PGN file. Games are parsed once by the board and
+// kept in memory; this component only filters, sorts and reports the pick.
+const GameDatabase = ({ games, selectedIndex, onSelectGame }) => {
+  const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState({ column: null, direction: 'asc' });
+
+  const visibleGames = useMemo(() => {
+    const activeFilters = COLUMNS.filter(column => filters[column]);
+    const filtered = games.filter(game => activeFilters.every(column =>
+      (game.tags[column] || '').toLowerCase().includes(filters[column].toLowerCase())
+    ));
+    if (!sort.column) return filtered;
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) =>
+      (a.tags[sort.column] || '').localeCompare(b.tags[sort.column] || '', undefined, { numeric: true }) * direction
+    );
+  }, [games, filters, sort]);
+
+  const handleSort = (column) => {
+    setSort(prev => ({
+      column,
+      direction: prev.column === column && prev.direction === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  return (
+    <div className="game-database">
+      <div className="game-database-header">
+        <h3>Games</h3>
+        <span className="game-database-count">
+          {visibleGames.length === games.length ? games.length : `${visibleGames.length} / ${games.length}`}
+        </span>
+      </div>
+      <div className="game-database-table-container">
+        <table className="game-database-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              {COLUMNS.map(column => (
+                <th key={column} onClick={() => handleSort(column)} className="sortable">
+                  {column}
+                  {sort.column === column && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+            <tr className="game-database-filters">
+              <th />
+              {COLUMNS.map(column => (
+                <th key={column}>
+                  <input
+                    type="text"
+                    value={filters[column] || ''}
+                    onChange={(e) => setFilters({ ...filters, [column]: e.target.value })}
+                    placeholder="Filter"
+                    aria-label={`Filter by ${column}`}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleGames.map(game => (
+              <tr
+                key={game.index}
+                className={game.index === selectedIndex ? 'selected-game' : ''}
+                onClick={() => onSelectGame(game.index)}
+              >
+                <td>{game.index + 1}</td>
+                {COLUMNS.map(column => <td key={column}>{game.tags[column] || ''}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default GameDatabase;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { GAME_OVER_LABELS, RESULT_LABELS } from '../gameTree/GameTree';
+
+// The game's result. "*" leaves it to the rules: whatever the main line ends in,
+// or a game in progress. The others are for resignations, agreed draws (including
+// claimed ones) and the like.
+const describeRules = (gameOver) => {
+  if (!gameOver) return 'Game in progress';
+  const reason = GAME_OVER_LABELS[gameOver.reason].toLowerCase();
+  return gameOver.claimable ? `Game in progress (draw claimable by ${reason})` : `${gameOver.result} by ${reason}`;
+};
+
+const GameResult = ({ result, gameOver, onChange }) => (
+  <div className="game-result">
+    <label htmlFor="game-result-select">Game result</label>
+    <select id="game-result-select" value={result} onChange={(e) => onChange(e.target.value)}>
+      <option value="*">
+        {describeRules(gameOver)}
+      </option>
+      {Object.entries(RESULT_LABELS).map(([value, label]) => (
+        <option key={value} value={value}>{`${value} ${label}`}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default GameResult;
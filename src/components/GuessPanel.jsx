@@ -0,0 +1,66 @@
+import React from 'react';
+
+const SIDES = [['w', 'White'], ['b', 'Black']];
+const RESULT_MARKS = { match: '✓', variation: '½', miss: '✗' };
+
+const moveText = (guess, san) => `${guess.moveNumber}${guess.color === 'w' ? '.' : '...'} ${san}`;
+
+const feedback = (guess) => {
+  if (guess.result === 'match') return `${moveText(guess, guess.gameMove)} is the game move`;
+  if (guess.result === 'variation') return `${moveText(guess, guess.guess)} is in the notes; the game went ${moveText(guess, guess.gameMove)}`;
+  return `The game went ${moveText(guess, guess.gameMove)}`;
+};
+
+// Guess-the-move session: the board hides the game after the current position,
+// the student guesses one side's moves and this panel scores them.
+// `status` is 'yourMove', 'opponent' or 'complete'.
+const GuessPanel = ({ session, status, summary, onStart, onStop }) => {
+  if (!session) {
+    return (
+      <div className="guess-panel">
+        <h4>Guess the move</h4>
+        <div className="training-actions">
+          {SIDES.map(([side, name]) => (
+            <button key={side} type="button" onClick={() => onStart(side)}>Guess {name}</button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const lastGuess = session.guesses[session.guesses.length - 1];
+  let message = 'Guess the game move';
+  if (status === 'opponent') message = 'Opponent to move…';
+  else if (status === 'complete') message = 'End of the game';
+
+  return (
+    <div className="guess-panel active">
+      <h4>Guessing {session.side === 'w' ? 'White' : 'Black'}</h4>
+      {lastGuess && (
+        <div className={`guess-feedback ${lastGuess.result}`}>
+          <p>{RESULT_MARKS[lastGuess.result]} {feedback(lastGuess)}</p>
+          {lastGuess.comment && <p className="guess-comment">{lastGuess.comment}</p>}
+        </div>
+      )}
+      <p className="training-message" role="status">{message}</p>
+      <p className="training-stats">
+        Score: {summary.score} / {summary.maxScore} ({summary.matches} found, {summary.variations} in the notes, {summary.misses} missed)
+      </p>
+      {session.guesses.length > 0 && (
+        <ol className="guess-list">
+          {session.guesses.map((guess, index) => (
+            <li key={index} className={guess.result}>
+              {moveText(guess, guess.gameMove)} {RESULT_MARKS[guess.result]}
+              {guess.result !== 'match' && <span className="guess-played"> (you: {guess.guess})</span>}
+            </li>
+          ))}
+        </ol>
+      )}
+      <div className="training-actions">
+        <button type="button" onClick={onStop}>{status === 'complete' ? 'Close' : 'Stop guessing'}</button>
+      </div>
+    </div>
+  );
+};
+
+export default GuessPanel;
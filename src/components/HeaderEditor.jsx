@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { SEVEN_TAG_ROSTER } from '../pgn/tags';
+
+const RESULTS = ['*', '1-0', '0-1', '1/2-1/2'];
+
+// Form for the PGN headers: the Seven Tag Roster first, then any custom tags.
+// onChange gets the new headers, plus the tag name while typing in its field.
+const HeaderEditor = ({ headers, onChange }) => {
+  const [newTagName, setNewTagName] = useState('');
+  const [newTagValue, setNewTagValue] = useState('');
+
+  const customTags = Object.keys(headers).filter(name => !SEVEN_TAG_ROSTER.includes(name));
+
+  const setTag = (name, value, typing = false) => {
+    onChange({ ...headers, [name]: value }, typing ? name : null);
+  };
+
+  const removeTag = (name) => {
+    const next = { ...headers };
+    delete next[name];
+    onChange(next);
+  };
+
+  const handleAddTag = () => {
+    const name = newTagName.trim();
+    // Tag names are PGN symbols: letters, digits and underscores, no spaces
+    if (!/^[A-Za-z0-9_]+$/.test(name) || name === 'FEN' || name === 'SetUp') return;
+    setTag(name, newTagValue);
+    setNewTagName('');
+    setNewTagValue('');
+  };
+
+  return (
+    <div className="header-editor">
+      {SEVEN_TAG_ROSTER.map(name => (
+        <div key={name} className="header-editor-row">
+          <label htmlFor={`pgn-header-${name}`}>{name}</label>
+          {name === 'Result' ? (
+            <select
+              id={`pgn-header-${name}`}
+              value={headers.Result || '*'}
+              onChange={(e) => setTag('Result', e.target.value)}
+            >
+              {RESULTS.map(result => <option key={result} value={result}>{result}</option>)}
+            </select>
+          ) : (
+            <input
+              id={`pgn-header-${name}`}
+              type="text"
+              value={headers[name] || ''}
+              onChange={(e) => setTag(name, e.target.value, true)}
+              placeholder={name === 'Date' ? 'YYYY.MM.DD' : '?'}
+            />
+          )}
+        </div>
+      ))}
+      {customTags.map(name => (
+        <div key={name} className="header-editor-row">
+          <label htmlFor={`pgn-header-${name}`}>{name}</label>
+          <input
+            id={`pgn-header-${name}`}
+            type="text"
+            value={headers[name]}
+            onChange={(e) => setTag(name, e.target.value, true)}
+          />
+          <button className="header-remove-button" onClick={() => removeTag(name)} title={`Remove ${name}`}>×</button>
+        </div>
+      ))}
+      <div className="header-editor-row header-editor-add">
+        <input
+          type="text"
+          value={newTagName}
+          onChange={(e) => setNewTagName(e.target.value)}
+          placeholder="Tag name"
+          aria-label="New tag name"
+        />
+        <input
+          type="text"
+          value={newTagValue}
+          onChange={(e) => setNewTagValue(e.target.value)}
+          placeholder="Value"
+          aria-label="New tag value"
+        />
+        <button className="pgn-button" onClick={handleAddTag}>Add tag</button>
+      </div>
+    </div>
+  );
+};
+
+export default HeaderEditor;
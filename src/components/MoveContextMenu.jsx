@@ -0,0 +1,65 @@
+import React, { useEffect, useRef } from 'react';
+
+// Right-click (or keyboard) menu of tree actions for one move. Focus moves into
+// the menu when it opens; arrows move between items, Enter activates, Escape closes.
+const MoveContextMenu = ({ x, y, items, onClose }) => {
+  const menuRef = useRef(null);
+
+  const enabledButtons = () => Array.from(menuRef.current.querySelectorAll('button:not([disabled])'));
+
+  useEffect(() => {
+    const [first] = enabledButtons();
+    if (first) first.focus();
+  }, []);
+
+  const handleKeyDown = (event) => {
+    // Keep the board's own shortcuts from firing while the menu has focus
+    event.stopPropagation();
+
+    const buttons = enabledButtons();
+    const index = buttons.indexOf(document.activeElement);
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      buttons[(index + step + buttons.length) % buttons.length].focus();
+    } else if (event.key === 'Home' || event.key === 'End') {
+      event.preventDefault();
+      buttons[event.key === 'Home' ? 0 : buttons.length - 1].focus();
+    } else if (event.key === 'Escape' || event.key === 'Tab') {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      ref={menuRef}
+      className="context-menu"
+      role="menu"
+      aria-label="Move actions"
+      style={{ top: y, left: x }}
+      onKeyDown={handleKeyDown}
+      onClick={(event) => event.stopPropagation()}
+    >
+      {items.map(item => (item.separator ? (
+        <div key={item.key} className="context-menu-separator" role="separator" />
+      ) : (
+        <button
+          key={item.label}
+          type="button"
+          role="menuitem"
+          className="context-menu-item"
+          disabled={item.disabled}
+          onClick={() => {
+            onClose();
+            item.onSelect();
+          }}
+        >
+          {item.label}
+        </button>
+      )))}
+    </div>
+  );
+};
+
+export default MoveContextMenu;
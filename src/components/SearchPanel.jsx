@@ -0,0 +1,65 @@
+import React from 'react';
+import { lineToSan, moveLabel } from '../gameTree/GameTree';
+
+// Search box over the tree. The board owns the query and the results so it can
+// highlight hits in the move list; the current hit is the selected move.
+const SearchPanel = ({ tree, query, results, currentIndex, inputRef, onQueryChange, onStep, onSelect, onClose }) => {
+  const handleKeyDown = (event) => {
+    // Keep the board's own shortcuts from firing while typing a query
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      onStep(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  let status = '';
+  if (query.trim()) {
+    if (results.length === 0) status = 'No results';
+    else if (currentIndex === -1) status = `${results.length} result${results.length === 1 ? '' : 's'}`;
+    else status = `${currentIndex + 1} of ${results.length}`;
+  }
+
+  return (
+    <div className="search-panel" role="search">
+      <div className="search-bar">
+        <input
+          ref={inputRef}
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Comments, moves (Nf6 c4), pieces (N@f5) or FEN"
+          aria-label="Search moves, comments and positions"
+          autoFocus
+        />
+        <span className="search-status" aria-live="polite">{status}</span>
+        <button type="button" onClick={() => onStep(-1)} disabled={results.length === 0} aria-label="Previous result">▲</button>
+        <button type="button" onClick={() => onStep(1)} disabled={results.length === 0} aria-label="Next result">▼</button>
+        <button type="button" onClick={onClose} aria-label="Close search">×</button>
+      </div>
+      {results.length > 0 && (
+        <ol className="search-results">
+          {results.map(({ path, node, matches }, index) => (
+            <li key={path.join('-')}>
+              <button
+                type="button"
+                className={`search-result ${index === currentIndex ? 'current' : ''}`}
+                title={lineToSan(tree, path) || undefined}
+                onClick={() => onSelect(index)}
+              >
+                <span className="search-result-move">{moveLabel(tree, path) || 'Starting position'}</span>
+                {matches.includes('comment') && <span className="search-result-comment">{node.comment}</span>}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
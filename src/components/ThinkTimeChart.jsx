@@ -0,0 +1,60 @@
+import React from 'react';
+import { formatClock } from '../pgn/clock';
+
+const BAR_WIDTH = 6;
+const HALF_HEIGHT = 30;
+
+// Time spent on each move of the line: White's bars rise from the middle and
+// Black's hang below it. Long thinks are picked out and listed underneath.
+// `moves` is [{ path, label, time, side, long }], with time in seconds or null.
+const ThinkTimeChart = ({ moves, currentPath, onSelect }) => {
+  const currentKey = currentPath.join('-');
+  const longest = Math.max(...moves.map(move => move.time || 0), 1);
+  const longThinks = moves.filter(move => move.long);
+
+  return (
+    <div className="think-time-chart">
+      <svg
+        viewBox={`0 0 ${moves.length * BAR_WIDTH} ${HALF_HEIGHT * 2}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label="Think time per move"
+      >
+        <line x1="0" y1={HALF_HEIGHT} x2={moves.length * BAR_WIDTH} y2={HALF_HEIGHT} className="think-time-axis" />
+        {moves.map((move, index) => {
+          if (move.time === null) return null;
+          const height = Math.max(1, (move.time / longest) * HALF_HEIGHT);
+          const classes = ['think-bar', move.side === 'w' ? 'white' : 'black'];
+          if (move.long) classes.push('long-think');
+          if (move.path.join('-') === currentKey) classes.push('current');
+          return (
+            <rect
+              key={move.path.join('-')}
+              className={classes.join(' ')}
+              data-move={move.label}
+              x={index * BAR_WIDTH + 1}
+              y={move.side === 'w' ? HALF_HEIGHT - height : HALF_HEIGHT}
+              width={BAR_WIDTH - 2}
+              height={height}
+              onClick={() => onSelect(move.path)}
+            >
+              <title>{`${move.label}: ${formatClock(move.time)}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      {longThinks.length > 0 && (
+        <div className="long-thinks">
+          Long thinks:
+          {longThinks.map(move => (
+            <button key={move.path.join('-')} type="button" className="long-think-link" onClick={() => onSelect(move.path)}>
+              {move.label} ({formatClock(move.time)})
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThinkTimeChart;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+const SIDES = [['w', 'White'], ['b', 'Black']];
+
+// Controls and feedback for repertoire training. The board runs the session;
+// `status` is 'yourMove', 'opponent' or 'complete'.
+const TrainingPanel = ({ training, status, dueCounts, onStart, onStop, onRestart, onShowMove }) => {
+  if (!training) {
+    return (
+      <div className="training-panel">
+        <h4>Repertoire training</h4>
+        <div className="training-actions">
+          {SIDES.map(([side, name]) => (
+            <button key={side} type="button" onClick={() => onStart(side)}>
+              Train {name} ({dueCounts[side]} due)
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const { attempt, stats } = training;
+  let message = 'Find your repertoire move';
+  if (status === 'opponent') message = 'Opponent to move…';
+  else if (status === 'complete') message = 'Line complete';
+  else if (attempt && attempt.wrongMove) message = `${attempt.wrongMove} is not in your repertoire. Try again.`;
+  else if (attempt && attempt.revealed) message = 'Play the move shown on the board';
+
+  return (
+    <div className={`training-panel active${attempt && attempt.wrongMove ? ' wrong' : ''}`}>
+      <h4>Training {training.side === 'w' ? 'White' : 'Black'}</h4>
+      <p className="training-message" role="status">{message}</p>
+      <p className="training-stats">Correct: {stats.correct} · Mistakes: {stats.mistakes}</p>
+      <div className="training-actions">
+        {status === 'yourMove' && <button type="button" onClick={onShowMove}>Show move</button>}
+        {status === 'complete' && <button type="button" onClick={onRestart}>Next line</button>}
+        <button type="button" onClick={onStop}>Stop training</button>
+      </div>
+    </div>
+  );
+};
+
+export default TrainingPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { lineToSan } from '../gameTree/GameTree';
+
+// Every position reached through more than one move order, with a link to each occurrence
+const TranspositionReport = ({ tree, transpositions, currentPath, onSelect }) => {
+  const currentKey = currentPath.join('-');
+
+  return (
+    <div className="transposition-report">
+      <ol>
+        {[...transpositions].map(([key, paths]) => (
+          <li key={key}>
+            {paths.map(path => (
+              <button
+                key={path.join('-')}
+                type="button"
+                className={`transposition-link ${path.join('-') === currentKey ? 'current' : ''}`}
+                onClick={() => onSelect(path)}
+              >
+                {lineToSan(tree, path) || 'Starting position'}
+              </button>
+            ))}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default TranspositionReport;
@@ -1,20 +1,41 @@
-import { render, screen, waitFor, within, fireEvent } from '@testing-library/react'
+import { render, screen, waitFor, within, fireEvent, act } from '@testing-library/react'
+import { createRef } from 'react'
 import userEvent from '@testing-library/user-event'
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import AnalysisBoard from '../AnalysisBoard'
+import { createScriptedEngine } from '../../engine/scriptedEngine'
+
+// The props of the last rendered board, for driving drops and promotions
+const chessboardProps = vi.hoisted(() => ({ current: null }))
 
 // Mock react-chessboard since it's complex to test
 vi.mock('react-chessboard', () => ({
-  Chessboard: ({ position, onPieceDrop }) => (
-    <div data-testid="chessboard" data-position={position}>
-      Mock Chessboard
-    </div>
-  ),
+  Chessboard: (props) => {
+    chessboardProps.current = props
+    const { position, boardOrientation, customArrows = [], customSquareStyles = {} } = props
+    return (
+      <div
+        data-testid="chessboard"
+        data-position={position}
+        data-orientation={boardOrientation}
+        data-arrows={customArrows.map(([from, to]) => `${from}${to}`).join(',')}
+        data-highlights={Object.keys(customSquareStyles).join(',')}
+      >
+        Mock Chessboard
+        {['e2', 'e4', 'd4', 'd5'].map(square => <div key={square} data-square={square} />)}
+      </div>
+    )
+  },
+  SparePiece: ({ piece }) => <span data-testid={`spare-${piece}`} />,
+  ChessboardDnDProvider: ({ children }) => children,
 }))
 
 describe('AnalysisBoard', () => {
   const mockOnPgnChange = vi.fn()
   const mockOnError = vi.fn()
+  // The movetext of a PGN, without the headers the board fills in
+  const movetext = (pgn) => pgn.split('\n\n').at(-1)
+  const lastMovetext = () => movetext(mockOnPgnChange.mock.calls.at(-1)[0])
 
   beforeEach(() => {
     vi.clearAllMocks()
@@ -392,4 +413,1701 @@ describe('AnalysisBoard', () => {
       })
     })
   })
+
+  describe('Engine Analysis', () => {
+    const startFen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+
+    it('shows the eval bar and engine lines for the current position', async () => {
+      const engine = createScriptedEngine({
+        [startFen]: [
+          'info depth 16 multipv 1 score cp 32 pv e2e4 e7e5 g1f3',
+          'info depth 16 multipv 2 score cp 25 pv d2d4 d7d5',
+        ],
+      })
+      render(<AnalysisBoard engine={engine} engineLines={2} />)
+
+      await waitFor(() => {
+        expect(screen.getByText('1. e4 e5 2. Nf3')).toBeInTheDocument()
+        expect(screen.getByText('1. d4 d5')).toBeInTheDocument()
+        expect(screen.getByRole('meter', { name: 'Engine evaluation' })).toHaveAttribute('aria-valuetext', '+0.32')
+      })
+      expect(engine.commands).toContain('setoption name MultiPV value 2')
+    })
+
+    it('inserts a clicked engine line as a variation under the current node', async () => {
+      const user = userEvent.setup()
+      const engine = createScriptedEngine({
+        [startFen]: ['info depth 16 multipv 1 score cp 32 pv e2e4 e7e5 g1f3'],
+      })
+      render(<AnalysisBoard engine={engine} startingPgn="1. d4 d5 *" onPgnChange={mockOnPgnChange} />)
+
+      const line = await screen.findByText('1. e4 e5 2. Nf3')
+      await user.click(line)
+
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. d4 (e4 e5 2. Nf3) d5 *')
+      })
+    })
+
+    it('stops analysing when the engine is switched off', async () => {
+      const user = userEvent.setup()
+      const engine = createScriptedEngine({ '*': ['info depth 1 score cp 0 pv e2e4'] })
+      render(<AnalysisBoard engine={engine} />)
+
+      await screen.findByRole('meter', { name: 'Engine evaluation' })
+      await user.click(screen.getByLabelText('Engine'))
+
+      expect(screen.queryByRole('meter', { name: 'Engine evaluation' })).not.toBeInTheDocument()
+      expect(engine.commands).toContain('stop')
+    })
+  })
+
+  describe('Game Database', () => {
+    const database = `[Event "Club Championship"]
+[Date "2024.01.10"]
+[White "Carlsen"]
+[Black "Nakamura"]
+[Result "1-0"]
+[ECO "C65"]
+
+1. e4 e5 2. Nf3 Nc6 3. Bb5 1-0
+
+[Event "Club Championship"]
+[Date "2024.01.11"]
+[White "Anand"]
+[Black "Carlsen"]
+[Result "0-1"]
+[ECO "D37"]
+
+1. d4 d5 2. c4 e6 0-1
+
+[Event "Rapid Open"]
+[Date "2023.06.02"]
+[White "Nakamura"]
+[Black "Anand"]
+[Result "1/2-1/2"]
+[ECO "A10"]
+
+1. c4 1/2-1/2`
+
+    const loadDatabase = async (user) => {
+      const textarea = document.querySelector('.pgn-textarea')
+      fireEvent.change(textarea, { target: { value: database } })
+      await user.click(document.querySelector('.load-pgn-button'))
+      return document.querySelector('.game-database')
+    }
+
+    it('lists every game and loads the first one', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard />)
+
+      const table = await loadDatabase(user)
+      expect(within(table).getAllByRole('row')).toHaveLength(5) // two header rows + three games
+      const movesList = document.querySelector('.moves-list')
+      expect(within(movesList).getByText('Bb5')).toBeInTheDocument()
+    })
+
+    it('opens the game list for a startingPgn with several games', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn={database} />)
+
+      const movesList = document.querySelector('.moves-list')
+      await within(movesList).findByText('Bb5')
+      const table = document.querySelector('.game-database')
+      expect(within(table).getAllByRole('row')).toHaveLength(5)
+
+      await user.click(within(table).getByText('A10'))
+      await waitFor(() => {
+        expect(within(movesList).queryByText('Bb5')).not.toBeInTheDocument()
+      })
+      expect(within(movesList).getByText('c4')).toBeInTheDocument()
+    })
+
+    it('loads the picked game into the tree', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard />)
+
+      const table = await loadDatabase(user)
+      await user.click(within(table).getByText('D37'))
+
+      const movesList = document.querySelector('.moves-list')
+      await waitFor(() => {
+        expect(within(movesList).getByText('c4')).toBeInTheDocument()
+        expect(within(movesList).queryByText('Bb5')).not.toBeInTheDocument()
+      })
+    })
+
+    it('filters by header values', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard />)
+
+      const table = await loadDatabase(user)
+      await user.type(within(table).getByLabelText('Filter by Black'), 'carl')
+
+      const rows = within(table).getAllByRole('row').slice(2)
+      expect(rows).toHaveLength(1)
+      expect(within(rows[0]).getByText('Anand')).toBeInTheDocument()
+    })
+
+    it('sorts by a column and reverses on a second click', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard />)
+
+      const table = await loadDatabase(user)
+      const dateHeader = within(table).getByText('Date')
+      await user.click(dateHeader)
+      let firstRow = within(table).getAllByRole('row')[2]
+      expect(within(firstRow).getByText('2023.06.02')).toBeInTheDocument()
+
+      await user.click(dateHeader)
+      firstRow = within(table).getAllByRole('row')[2]
+      expect(within(firstRow).getByText('2024.01.11')).toBeInTheDocument()
+    })
+
+    it('refuses a file whose first game has no moves', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onError={mockOnError} />)
+      act(() => { ref.current.loadPgn('1. e4 e5 *') })
+
+      let loaded
+      act(() => { loaded = ref.current.loadPgn('[White "Nobody"]\n\n*\n\n[White "Tal"]\n\n1. d4 *') })
+
+      expect(loaded).toBe(false)
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({ type: 'invalid_pgn' }))
+      expect(ref.current.getTree().children[0].san).toBe('e4')
+      expect(document.querySelector('.game-database')).not.toBeInTheDocument()
+    })
+
+    it('does not show a game list for a single game', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard />)
+
+      const textarea = document.querySelector('.pgn-textarea')
+      fireEvent.change(textarea, { target: { value: '1. e4 e5 *' } })
+      await user.click(document.querySelector('.load-pgn-button'))
+
+      expect(document.querySelector('.game-database')).not.toBeInTheDocument()
+    })
+  })
+
+  describe('PGN Headers', () => {
+    const pgn = `[Event "Casual Game"]
+[Site "London"]
+[Date "1851.06.21"]
+[Round "?"]
+[White "Anderssen"]
+[Black "Kieseritzky"]
+[Result "1-0"]
+[Annotator "Steinitz"]
+
+1. e4 e5 1-0`
+
+    it('keeps headers through import and export', async () => {
+      render(<AnalysisBoard startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+
+      // ECO and Opening are filled in from the opening book
+      await waitFor(() => {
+        expect(mockOnPgnChange).toHaveBeenLastCalledWith(
+          pgn.replace('[Annotator "Steinitz"]', '[Annotator "Steinitz"]\n[ECO "C20"]\n[Opening "King\'s Pawn Game"]')
+        )
+      })
+    })
+
+    it('writes SetUp next to FEN', async () => {
+      const customFen = 'rnbqkb1r/pp2pppp/2p2n2/3p4/3P1B2/2N5/PPP1PPPP/R2QKBNR w KQkq - 0 1'
+      render(<AnalysisBoard startingFen={customFen} onPgnChange={mockOnPgnChange} />)
+
+      await waitFor(() => {
+        expect(mockOnPgnChange).toHaveBeenCalledWith(
+          expect.stringContaining(`[SetUp "1"]\n[FEN "${customFen}"]`)
+        )
+      })
+    })
+
+    it('updates the PGN when headers are edited', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+
+      await user.click(screen.getByText('Edit headers'))
+      const whiteInput = screen.getByLabelText('White')
+      await user.clear(whiteInput)
+      await user.type(whiteInput, 'Morphy')
+      await user.selectOptions(screen.getByLabelText('Result'), '1/2-1/2')
+
+      await waitFor(() => {
+        const lastPgn = mockOnPgnChange.mock.calls.at(-1)[0]
+        expect(lastPgn).toContain('[White "Morphy"]')
+        expect(lastPgn).toContain('[Result "1/2-1/2"]')
+        expect(lastPgn.endsWith('1. e4 e5 1/2-1/2')).toBe(true)
+      })
+    })
+
+    it('adds and removes custom tags', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard onPgnChange={mockOnPgnChange} />)
+
+      await user.click(screen.getByText('Edit headers'))
+      await user.type(screen.getByLabelText('New tag name'), 'Opening')
+      await user.type(screen.getByLabelText('New tag value'), 'Italian Game')
+      await user.click(screen.getByText('Add tag'))
+
+      await waitFor(() => {
+        expect(mockOnPgnChange).toHaveBeenLastCalledWith(expect.stringContaining('[Opening "Italian Game"]'))
+      })
+
+      await user.click(screen.getByTitle('Remove Opening'))
+      await waitFor(() => {
+        expect(mockOnPgnChange).toHaveBeenLastCalledWith(expect.not.stringContaining('Opening'))
+      })
+    })
+  })
+
+  describe('Annotations', () => {
+    it('shows imported NAGs next to moves and exports them', async () => {
+      render(<AnalysisBoard startingPgn="1. e4! e5?! 2. Nf3 $16 *" onPgnChange={mockOnPgnChange} />)
+
+      await waitFor(() => {
+        const movesList = document.querySelector('.moves-list')
+        expect(within(movesList).getByText('!')).toBeInTheDocument()
+        expect(within(movesList).getByText('?!')).toBeInTheDocument()
+        expect(within(movesList).getByText('±')).toBeInTheDocument()
+        expect(lastMovetext()).toBe('1. e4 $1 e5 $6 2. Nf3 $16 *')
+      })
+    })
+
+    it('toggles glyphs from the palette', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 e5 *" onPgnChange={mockOnPgnChange} />)
+
+      await user.click(await screen.findByText('e5'))
+      await user.click(screen.getByTitle('Blunder (4)'))
+      await user.click(screen.getByTitle('White is winning (0)'))
+
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 $4 $18 *')
+      })
+
+      await user.click(screen.getByTitle('Dubious move (6)'))
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 $6 $18 *')
+      })
+    })
+
+    it('toggles glyphs from the keyboard', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 e5 *" onPgnChange={mockOnPgnChange} />)
+
+      await user.click(await screen.findByText('e4'))
+      await user.keyboard('5')
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 $5 e5 *')
+      })
+
+      await user.keyboard('5')
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 *')
+      })
+    })
+
+    it('disables the palette at the starting position', () => {
+      render(<AnalysisBoard />)
+      expect(screen.getByTitle('Good move (1)')).toBeDisabled()
+    })
+  })
+
+  describe('Board Shapes', () => {
+    const drawShape = (from, to, modifiers = {}) => {
+      const fromSquare = document.querySelector(`[data-square="${from}"]`)
+      const toSquare = document.querySelector(`[data-square="${to}"]`)
+      fireEvent.mouseDown(fromSquare, { button: 2, ...modifiers })
+      fireEvent.mouseUp(toSquare, { button: 2, ...modifiers })
+    }
+
+    it('imports [%cal]/[%csl] commands and writes them back', async () => {
+      const pgn = '1. e4 { [%csl Rd4][%cal Ge2e4,Bd4d5] Central control } e5 *'
+      render(<AnalysisBoard startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+
+      await waitFor(() => {
+        expect(lastMovetext()).toBe(pgn)
+      })
+      expect(screen.getByText('Central control')).toBeInTheDocument()
+    })
+
+    it('shows the shapes of the current node', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 { [%csl Rd4][%cal Ge2e4] } e5 *" externalSettings={{ showLastMove: false }} />)
+
+      const board = screen.getByTestId('chessboard')
+      expect(board).toHaveAttribute('data-arrows', '')
+
+      await user.click(await screen.findByText('e4'))
+      expect(board).toHaveAttribute('data-arrows', 'e2e4')
+      expect(board).toHaveAttribute('data-highlights', 'd4')
+
+      await user.click(screen.getByText('e5'))
+      expect(board).toHaveAttribute('data-arrows', '')
+    })
+
+    it('draws arrows and highlights with the right mouse button', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 e5 *" onPgnChange={mockOnPgnChange} />)
+
+      await user.click(await screen.findByText('e4'))
+      drawShape('d4', 'd5')
+      drawShape('e4', 'e4', { shiftKey: true })
+      drawShape('e2', 'e4', { altKey: true })
+
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 { [%csl Re4][%cal Gd4d5,Be2e4] } e5 *')
+      })
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-arrows', 'd4d5,e2e4')
+    })
+
+    it('removes a shape when it is drawn again in the same colour', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 { [%cal Gd4d5] } e5 *" onPgnChange={mockOnPgnChange} />)
+
+      await user.click(await screen.findByText('e4'))
+      drawShape('d4', 'd5')
+
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 *')
+      })
+    })
+  })
+
+  describe('Imperative API', () => {
+    const startFen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+    const afterE4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1'
+
+    it('loads PGN and navigates through it', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} />)
+
+      act(() => { ref.current.loadPgn('1. e4 e5 (1... c5) 2. Nf3 *') })
+      act(() => { ref.current.next() })
+      expect(ref.current.getCurrentFen()).toBe(afterE4)
+
+      act(() => { ref.current.goTo([0, 1]) })
+      expect(ref.current.getCurrentPath()).toEqual([0, 1])
+      expect(ref.current.getTree().children[0].children[1].san).toBe('c5')
+
+      act(() => { ref.current.prev() })
+      expect(ref.current.getCurrentPath()).toEqual([0])
+    })
+
+    it('builds on earlier calls made before the board re-renders', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onError={mockOnError} onPgnChange={mockOnPgnChange} />)
+
+      let results
+      act(() => { results = [ref.current.makeMove('e4'), ref.current.makeMove('e5')] })
+      expect(results).toEqual([true, true])
+
+      act(() => {
+        results = [
+          ref.current.loadPgn('1. e4 e5 2. Nf3 *'),
+          ref.current.next(),
+          ref.current.makeMove('Nc6'),
+          ref.current.goTo([0, 0]),
+          ref.current.setComment('Open game'),
+        ]
+      })
+      expect(results).toEqual([true, undefined, true, true, true])
+      expect(ref.current.getCurrentPath()).toEqual([0, 0])
+      expect(movetext(ref.current.getPgn())).toBe('1. e4 e5 { Open game } (1... Nc6) 2. Nf3 *')
+
+      act(() => { results = [ref.current.undo(), ref.current.undo(), ref.current.canUndo()] })
+      expect(results).toEqual([true, true, true])
+      expect(movetext(ref.current.getPgn())).toBe('1. e4 e5 2. Nf3 *')
+      expect(mockOnError).not.toHaveBeenCalled()
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 2. Nf3 *')
+      })
+    })
+
+    it('plays moves by SAN and reports illegal ones', () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onError={mockOnError} />)
+
+      let result
+      act(() => { result = ref.current.makeMove('e4') })
+      expect(result).toBe(true)
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', afterE4)
+
+      act(() => { result = ref.current.makeMove('e4') })
+      expect(result).toBe(false)
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({ type: 'illegal_move' }))
+    })
+
+    it('loads a FEN and reports invalid ones', () => {
+      const ref = createRef()
+      const customFen = '8/8/4k3/8/8/4P3/4K3/8 w - - 0 1'
+      render(<AnalysisBoard ref={ref} onError={mockOnError} />)
+
+      act(() => { ref.current.loadFen(customFen) })
+      expect(ref.current.getCurrentFen()).toBe(customFen)
+
+      act(() => { ref.current.loadFen('not a fen') })
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({ type: 'invalid_fen' }))
+      expect(ref.current.getCurrentFen()).toBe(customFen)
+    })
+
+    it('reports paths that are not in the tree', () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onError={mockOnError} />)
+
+      act(() => { ref.current.goTo([0, 3]) })
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'invalid_path',
+        details: { path: [0, 3] },
+      }))
+      expect(ref.current.getCurrentFen()).toBe(startFen)
+    })
+
+    it('sets comments and flips the board', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn="1. e4 *" onError={mockOnError} />)
+
+      await screen.findByText('e4')
+      act(() => { ref.current.next() })
+      act(() => { ref.current.setComment('King pawn') })
+      await waitFor(() => {
+        expect(movetext(ref.current.getPgn())).toBe('1. e4 { King pawn } *')
+      })
+      expect(screen.getByPlaceholderText('Add a comment to the current move...')).toHaveValue('King pawn')
+
+      act(() => { ref.current.flip() })
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-orientation', 'black')
+
+      act(() => { ref.current.setComment(42) })
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({ type: 'invalid_comment' }))
+    })
+  })
+
+  describe('Undo and Redo', () => {
+    it('undoes and redoes moves with the keyboard, restoring the selected move', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onPgnChange={mockOnPgnChange} />)
+
+      act(() => { ref.current.makeMove('e4') })
+      act(() => { ref.current.makeMove('e5') })
+      act(() => { ref.current.goTo([]) })
+
+      await user.keyboard('{Control>}z{/Control}')
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 *')
+      })
+      expect(ref.current.getCurrentPath()).toEqual([0])
+
+      await user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}')
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 *')
+      })
+      expect(ref.current.getCurrentPath()).toEqual([0, 0])
+    })
+
+    it('undoes a deletion from the context menu', async () => {
+      const user = userEvent.setup()
+      vi.spyOn(window, 'confirm').mockReturnValue(true)
+      render(<AnalysisBoard startingPgn="1. e4 e5 (1... c5) 2. Nf3 *" onPgnChange={mockOnPgnChange} />)
+
+      fireEvent.contextMenu(await screen.findByText('c5'))
+      await user.click(screen.getByText('Delete'))
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 2. Nf3 *')
+      })
+
+      await user.keyboard('{Meta>}z{/Meta}')
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 (1... c5) 2. Nf3 *')
+      })
+      window.confirm.mockRestore()
+    })
+
+    it('undoes a typed comment in one step', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn="1. e4 *" onPgnChange={mockOnPgnChange} />)
+
+      await user.click(await screen.findByText('e4'))
+      const commentBox = screen.getByPlaceholderText('Add a comment to the current move...')
+      await user.type(commentBox, 'Best by test')
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 { Best by test } *')
+      })
+
+      act(() => { ref.current.undo() })
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 *')
+      })
+      expect(commentBox).toHaveValue('')
+      expect(ref.current.canUndo()).toBe(false)
+      expect(ref.current.canRedo()).toBe(true)
+    })
+
+    it('undoes header and result edits, a typed header in one step', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn="1. e4 *" onPgnChange={mockOnPgnChange} />)
+      await screen.findByText('e4')
+
+      await user.click(screen.getByText('Edit headers'))
+      await user.type(screen.getByLabelText('White'), 'Tal')
+      await user.selectOptions(screen.getByRole('combobox', { name: 'Game result' }), '1-0')
+      await waitFor(() => {
+        expect(mockOnPgnChange.mock.calls.at(-1)[0]).toContain('[White "Tal"]')
+        expect(lastMovetext()).toBe('1. e4 1-0')
+      })
+
+      act(() => { ref.current.undo() })
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 *')
+      })
+      expect(mockOnPgnChange.mock.calls.at(-1)[0]).toContain('[White "Tal"]')
+
+      act(() => { ref.current.undo() })
+      expect(screen.getByLabelText('White')).toHaveValue('')
+      expect(ref.current.canUndo()).toBe(false)
+
+      act(() => { ref.current.redo() })
+      expect(screen.getByLabelText('White')).toHaveValue('Tal')
+    })
+
+    it('undoes a PGN load together with its headers', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onPgnChange={mockOnPgnChange} />)
+
+      act(() => { ref.current.makeMove('d4') })
+      act(() => { ref.current.loadPgn('[White "Tal"]\n\n1. e4 *') })
+      await waitFor(() => {
+        expect(mockOnPgnChange).toHaveBeenLastCalledWith(expect.stringContaining('[White "Tal"]'))
+      })
+
+      act(() => { ref.current.undo() })
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. d4 *')
+      })
+      expect(ref.current.getCurrentPath()).toEqual([0])
+    })
+
+    it('starts a FEN load without the old game\'s headers and brings them back on undo', () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} />)
+
+      act(() => { ref.current.loadPgn('[White "Tal"]\n[Result "1-0"]\n[Variant "Chess960"]\n\n1. e4 e5 2. Nf3 Nc6 3. Bc4 Bc5 1-0') })
+      act(() => { ref.current.loadFen('8/8/4k3/8/8/4P3/4K3/8 w - - 0 1') })
+      const pgn = ref.current.getPgn()
+      expect(pgn).not.toContain('Tal')
+      expect(pgn).not.toContain('Variant')
+      expect(pgn.endsWith('[FEN "8/8/4k3/8/8/4P3/4K3/8 w - - 0 1"]\n\n *')).toBe(true)
+
+      act(() => { ref.current.undo() })
+      expect(ref.current.getPgn()).toContain('[White "Tal"]')
+    })
+  })
+
+  describe('Promotion', () => {
+    const promotionFen = '8/4P3/8/8/8/8/k6K/8 w - - 0 1'
+
+    it('only asks for a piece on legal promotions', () => {
+      render(<AnalysisBoard startingFen={promotionFen} />)
+      expect(chessboardProps.current.onPromotionCheck('e7', 'e8', 'wP')).toBe(true)
+      expect(chessboardProps.current.onPromotionCheck('e7', 'd8', 'wP')).toBe(false)
+      expect(chessboardProps.current.autoPromoteToQueen).toBe(false)
+    })
+
+    it('plays the picked underpromotion', async () => {
+      render(<AnalysisBoard startingFen={promotionFen} onPgnChange={mockOnPgnChange} />)
+
+      act(() => { chessboardProps.current.onPieceDrop('e7', 'e8', 'wN') })
+      await waitFor(() => {
+        // A lone knight can't mate, so the game ends in a draw
+        expect(mockOnPgnChange).toHaveBeenLastCalledWith(expect.stringContaining('1. e8=N 1/2-1/2'))
+      })
+      expect(screen.getByText('e8=N')).toBeInTheDocument()
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', '4N3/8/8/8/8/8/k6K/8 b - - 0 1')
+    })
+
+    it('auto-queens when the setting is on', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingFen={promotionFen} />)
+
+      await user.keyboard('{Control>},{/Control}')
+      await user.click(screen.getByLabelText('Always promote to a queen:'))
+      expect(chessboardProps.current.autoPromoteToQueen).toBe(true)
+    })
+  })
+
+  describe('Click to Move', () => {
+    const highlights = () => screen.getByTestId('chessboard').getAttribute('data-highlights').split(',').filter(Boolean).sort()
+
+    it('selects a piece, shows its legal moves and plays the second click', async () => {
+      render(<AnalysisBoard onPgnChange={mockOnPgnChange} externalSettings={{ showLastMove: false }} />)
+
+      act(() => { chessboardProps.current.onSquareClick('e2', 'wP') })
+      expect(highlights()).toEqual(['e2', 'e3', 'e4'])
+
+      act(() => { chessboardProps.current.onSquareClick('e4') })
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 *')
+      })
+      expect(highlights()).toEqual([])
+    })
+
+    it('ignores pieces of the side not to move and deselects on a second click', () => {
+      render(<AnalysisBoard />)
+
+      act(() => { chessboardProps.current.onSquareClick('e7', 'bP') })
+      expect(highlights()).toEqual([])
+
+      act(() => { chessboardProps.current.onSquareClick('g1', 'wN') })
+      expect(highlights()).toEqual(['f3', 'g1', 'h3'])
+
+      act(() => { chessboardProps.current.onSquareClick('g1', 'wN') })
+      expect(highlights()).toEqual([])
+    })
+
+    it('opens the piece picker for click-to-move promotions', async () => {
+      render(<AnalysisBoard startingFen="8/4P3/8/8/8/8/k6K/8 w - - 0 1" onPgnChange={mockOnPgnChange} />)
+
+      act(() => { chessboardProps.current.onSquareClick('e7', 'wP') })
+      act(() => { chessboardProps.current.onSquareClick('e8') })
+      expect(chessboardProps.current.showPromotionDialog).toBe(true)
+      expect(chessboardProps.current.promotionToSquare).toBe('e8')
+
+      act(() => { chessboardProps.current.onPromotionPieceSelect('wR', undefined, 'e8') })
+      await waitFor(() => {
+        expect(mockOnPgnChange).toHaveBeenLastCalledWith(expect.stringContaining('1. e8=R *'))
+      })
+      expect(chessboardProps.current.showPromotionDialog).toBe(false)
+    })
+
+    it('highlights the last move and a king in check', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 f5 2. Qh5+ *" />)
+
+      await user.click(await screen.findByText('Qh5+'))
+      expect(highlights()).toEqual(['d1', 'e8', 'h5'])
+
+      await user.keyboard('{Control>},{/Control}')
+      await user.click(screen.getByLabelText('Highlight a king in check:'))
+      await user.click(screen.getByLabelText('Highlight the last move:'))
+      expect(highlights()).toEqual([])
+    })
+  })
+
+  describe('Variation Navigation', () => {
+    const pgn = '1. e4 e5 (1... c5 2. Nf3) (1... e6) 2. Nf3 *'
+
+    it('asks which variation to follow when stepping into a fork', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+
+      await user.click(await screen.findByText('e4'))
+      await user.keyboard('j')
+      const chooser = document.querySelector('.branch-selection')
+      expect(within(chooser).getByText('e5')).toHaveAttribute('aria-pressed', 'true')
+      expect(ref.current.getCurrentPath()).toEqual([0])
+
+      await user.keyboard('{ArrowDown}{ArrowDown}')
+      expect(within(chooser).getByText('e6')).toHaveAttribute('aria-pressed', 'true')
+
+      await user.keyboard('{Enter}')
+      expect(ref.current.getCurrentPath()).toEqual([0, 2])
+    })
+
+    it('closes the chooser with the previous key', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+
+      await user.click(await screen.findByText('e4'))
+      await user.keyboard('jk')
+      expect(within(document.querySelector('.branch-selection')).getByText('e5')).not.toHaveAttribute('aria-pressed')
+      expect(ref.current.getCurrentPath()).toEqual([0])
+    })
+
+    it('follows the main line directly when the chooser is turned off', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} externalSettings={{ variationChooser: false }} />)
+
+      await user.click(await screen.findByText('e4'))
+      await user.keyboard('j')
+      expect(ref.current.getCurrentPath()).toEqual([0, 0])
+    })
+
+    it('enters, switches and leaves variations from the keyboard', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+
+      await user.click(await screen.findByText('e4'))
+      await user.keyboard('v')
+      expect(ref.current.getCurrentPath()).toEqual([0, 1])
+
+      await user.keyboard('n')
+      expect(ref.current.getCurrentPath()).toEqual([0, 2])
+
+      await user.keyboard('p')
+      expect(ref.current.getCurrentPath()).toEqual([0, 1])
+
+      await user.keyboard('j')
+      expect(ref.current.getCurrentPath()).toEqual([0, 1, 0])
+
+      await user.keyboard('b')
+      expect(ref.current.getCurrentPath()).toEqual([0])
+    })
+
+    it('uses the keys configured in the settings', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+
+      await user.keyboard('{Control>},{/Control}')
+      const input = screen.getByLabelText('Enter Variation:')
+      await user.clear(input)
+      await user.type(input, 'x')
+      await user.keyboard('{Escape}{Escape}')
+
+      await user.click(await screen.findByText('e4'))
+      await user.keyboard('x')
+      expect(ref.current.getCurrentPath()).toEqual([0, 1])
+    })
+  })
+
+  describe('Move List Layout', () => {
+    const pgn = '1. e4 e5 (1... c5 { Sicilian } 2. Nf3 (2. c3 d5)) 2. Nf3 { Developing } Nc6 *'
+    const moveTexts = (container) => [...container.querySelectorAll('.moves-list .move-number, .moves-list .move')]
+      .map(element => element.textContent)
+      .filter(Boolean)
+
+    it('writes the game as one paragraph in the inline layout', async () => {
+      const { container } = render(<AnalysisBoard startingPgn={pgn} externalSettings={{ moveListLayout: 'inline' }} />)
+      await screen.findByText('Nc6')
+
+      expect(container.querySelector('.move-row')).toBeNull()
+      expect(moveTexts(container)).toEqual([
+        '1.', 'e4', 'e5', '1...', 'c5', '2.', 'Nf3', '2.', 'c3', 'd5', '2.', 'Nf3', '2...', 'Nc6',
+      ])
+      expect(container.querySelector('.inline-variation.depth-2')).toHaveTextContent('(2.c3d5)')
+    })
+
+    it('collapses and expands a block of variations', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      const { container } = render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+      await user.click(await screen.findByText('d5'))
+
+      const movesList = container.querySelector('.moves-list')
+      await user.click(movesList.querySelector('.variation-toggle'))
+      expect(within(movesList).queryByText('c5')).not.toBeInTheDocument()
+      expect(container.querySelector('.variation-toggle')).toHaveTextContent('+1')
+      // The selected move was folded away, so the selection goes back to where the side line starts
+      expect(ref.current.getCurrentPath()).toEqual([0])
+
+      await user.click(within(movesList).getByRole('button', { name: 'Expand variations' }))
+      expect(within(movesList).getByText('c5')).toBeInTheDocument()
+    })
+
+    it('stores the layout and depth limit as settings and opens folded lines for search hits', async () => {
+      const user = userEvent.setup()
+      const onSettingsChange = vi.fn()
+      const { container, rerender } = render(<AnalysisBoard startingPgn={pgn} onSettingsChange={onSettingsChange} />)
+      await screen.findByText('Nc6')
+
+      await user.keyboard('{Control>},{/Control}')
+      await user.selectOptions(screen.getByLabelText('Move list layout:'), 'inline')
+      expect(onSettingsChange).toHaveBeenLastCalledWith(expect.objectContaining({ moveListLayout: 'inline' }))
+      await user.selectOptions(screen.getByLabelText('Show variations to depth:'), '1')
+      expect(onSettingsChange).toHaveBeenLastCalledWith(expect.objectContaining({ variationDepth: 1 }))
+
+      rerender(<AnalysisBoard startingPgn={pgn} onSettingsChange={onSettingsChange} externalSettings={{ variationDepth: 1 }} />)
+      await user.keyboard('{Escape}')
+      const movesList = container.querySelector('.moves-list')
+      expect(within(movesList).getByText('c5')).toBeInTheDocument()
+      expect(within(movesList).queryByText('c3')).not.toBeInTheDocument()
+
+      await user.keyboard('{Control>}f{/Control}')
+      await user.type(screen.getByRole('searchbox', { name: 'Search moves, comments and positions' }), 'c3')
+      expect(within(movesList).getByText('c3')).toHaveClass('search-match')
+    })
+  })
+
+  describe('Move Context Menu', () => {
+    const pgn = '1. e4 e5 (1... c5 { Sicilian } 2. Nf3 (2. c3)) 2. Nf3 *'
+
+    it('makes a side line the main line from the right-click menu', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+
+      fireEvent.contextMenu(await screen.findByText('c3'))
+      await user.click(screen.getByRole('menuitem', { name: 'Make main line' }))
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 c5 { Sicilian } (1... e5 2. Nf3) 2. c3 (Nf3) *')
+      })
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0])
+      expect(screen.queryByRole('menu')).not.toBeInTheDocument()
+    })
+
+    it('is reachable from the keyboard', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+
+      await user.click(await screen.findByText('c5'))
+      await user.keyboard('m')
+      const menu = screen.getByRole('menu')
+      expect(within(menu).getByRole('menuitem', { name: 'Delete' })).toHaveFocus()
+
+      await user.keyboard('{ArrowDown}{ArrowDown}{ArrowDown}')
+      expect(within(menu).getByRole('menuitem', { name: 'Move variation up' })).toHaveFocus()
+
+      await user.keyboard('{Enter}')
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 c5 { Sicilian } (1... e5 2. Nf3) 2. Nf3 (c3) *')
+      })
+
+      await user.keyboard('{Shift>}{F10}{/Shift}')
+      expect(screen.getByRole('menu')).toBeInTheDocument()
+      await user.keyboard('{Escape}')
+      expect(screen.queryByRole('menu')).not.toBeInTheDocument()
+    })
+
+    it('deletes variations and comments below a move', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+
+      fireEvent.contextMenu(await screen.findByText('c5'))
+      await user.click(screen.getByRole('menuitem', { name: 'Delete comments from here' }))
+      fireEvent.contextMenu(screen.getByText('c5'))
+      await user.click(screen.getByRole('menuitem', { name: 'Delete variations after this point' }))
+
+      await waitFor(() => {
+        expect(lastMovetext()).toBe('1. e4 e5 (1... c5 2. Nf3) 2. Nf3 *')
+      })
+    })
+
+    it('copies the line and the FEN', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn={pgn} />)
+
+      fireEvent.contextMenu(await screen.findByText('c3'))
+      await user.click(screen.getByRole('menuitem', { name: 'Copy line as PGN' }))
+      await waitFor(async () => {
+        expect(await navigator.clipboard.readText()).toBe('1. e4 c5 { Sicilian } 2. c3 *')
+      })
+
+      fireEvent.contextMenu(screen.getByText('e4'))
+      await user.click(screen.getByRole('menuitem', { name: 'Copy FEN' }))
+      await waitFor(async () => {
+        expect(await navigator.clipboard.readText()).toBe('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1')
+      })
+    })
+
+    it('starts a new analysis from a position', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+
+      fireEvent.contextMenu(await screen.findByText('c5'))
+      await user.click(screen.getByRole('menuitem', { name: 'Analyze from here' }))
+      expect(ref.current.getTree().children).toHaveLength(0)
+      expect(ref.current.getCurrentFen()).toBe('rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2')
+    })
+
+    it('downloads a diagram of a position', async () => {
+      const user = userEvent.setup()
+      URL.createObjectURL = vi.fn(() => 'blob:diagram')
+      URL.revokeObjectURL = vi.fn()
+      // The browser starts the download after click() returns, so the URL must still be valid then
+      let revokedRightAfterClick = null
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {
+        queueMicrotask(() => { revokedRightAfterClick = URL.revokeObjectURL.mock.calls.length > 0 })
+      })
+      render(<AnalysisBoard startingPgn={pgn} />)
+
+      fireEvent.contextMenu(await screen.findByText('c5'))
+      await user.click(screen.getByRole('menuitem', { name: 'Export diagram (SVG)' }))
+      await waitFor(() => expect(click).toHaveBeenCalled())
+
+      const link = click.mock.instances[0]
+      expect(link.download).toBe('diagram-1...-c5.svg')
+      const svg = await new Promise(resolve => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(reader.result)
+        reader.readAsText(URL.createObjectURL.mock.calls[0][0])
+      })
+      expect(svg).toContain('1... c5')
+      expect(svg).toContain('data-square="c5" data-piece="p"')
+      expect(revokedRightAfterClick).toBe(false)
+      await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:diagram'))
+      click.mockRestore()
+    })
+
+    it('reports diagrams that could not be exported', async () => {
+      const user = userEvent.setup()
+      // An image that never loads, so the PNG conversion fails
+      vi.stubGlobal('Image', class {
+        set src(value) { this.onerror() }
+      })
+      render(<AnalysisBoard startingPgn={pgn} onError={mockOnError} />)
+
+      fireEvent.contextMenu(await screen.findByText('c5'))
+      await user.click(screen.getByRole('menuitem', { name: 'Export diagram (PNG)' }))
+
+      await waitFor(() => expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'diagram_export_error',
+        details: expect.objectContaining({ format: 'png', error: 'The diagram could not be loaded' }),
+      })))
+      vi.unstubAllGlobals()
+    })
+  })
+
+  describe('Study Format', () => {
+    const pgn = '[White "Tal"]\n\n1. e4 { [%cal Gg1f3] Best by test } e5 (1... c5 { Sicilian }) 2. Nf3 *'
+
+    it('emits the study and restores it with the selection, orientation and node ids', async () => {
+      const user = userEvent.setup()
+      const onStudyChange = vi.fn()
+      const { unmount } = render(<AnalysisBoard startingPgn={pgn} onStudyChange={onStudyChange} />)
+
+      await user.click(await screen.findByText('c5'))
+      await user.keyboard('f')
+      const study = onStudyChange.mock.calls.at(-1)[0]
+      expect(study).toMatchObject({ version: 3, headers: { White: 'Tal' }, ui: { currentPath: [0, 1], orientation: 'black' } })
+      unmount()
+
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingStudy={JSON.stringify(study)} />)
+      await screen.findByText('c5')
+      expect(ref.current.getCurrentPath()).toEqual([0, 1])
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-orientation', 'black')
+      expect(screen.getByPlaceholderText(/Add a comment/)).toHaveValue('Sicilian')
+      expect(ref.current.getStudy()).toEqual(study)
+      expect(ref.current.getTree().children[0].id).toBe(study.tree.children[0].id)
+    })
+
+    it('keeps bookmarks and folded side lines', async () => {
+      const user = userEvent.setup()
+      const onStudyChange = vi.fn()
+      const { container, unmount } = render(<AnalysisBoard startingPgn={pgn} onStudyChange={onStudyChange} />)
+
+      fireEvent.contextMenu(await screen.findByText('c5'))
+      await user.click(screen.getByRole('menuitem', { name: 'Add bookmark' }))
+      expect(within(container.querySelector('.bookmarks')).getByRole('button')).toHaveTextContent('1... c5')
+      await user.click(container.querySelector('.moves-list .variation-toggle'))
+      const study = onStudyChange.mock.calls.at(-1)[0]
+      const [e4] = study.tree.children
+      expect(study.ui).toMatchObject({ bookmarks: [e4.children[1].id], variationToggles: [{ id: e4.id, open: false }] })
+      unmount()
+
+      render(<AnalysisBoard startingStudy={JSON.stringify(study)} />)
+      const bookmarks = (await screen.findByRole('heading', { name: 'Bookmarks' })).parentElement
+      expect(screen.queryByText('c5')).not.toBeInTheDocument()
+      expect(screen.getByRole('button', { name: 'Expand variations' })).toHaveTextContent('+1')
+
+      // Going to a bookmark in a folded line opens it
+      await user.click(within(bookmarks).getByRole('button', { name: '1... c5' }))
+      expect(screen.getByText('c5').closest('.move-wrapper').querySelector('.bookmark-marker')).not.toBeNull()
+    })
+
+    it('loads a study through the ref as an undoable edit', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+      await screen.findByText('c5')
+      const study = ref.current.getStudy()
+
+      act(() => { ref.current.loadFen('4k3/8/8/8/8/8/8/4K3 w - - 0 1') })
+      act(() => { expect(ref.current.loadStudy(study)).toBe(true) })
+      await waitFor(() => {
+        expect(mockOnPgnChange).toHaveBeenLastCalledWith(expect.stringContaining('1. e4 { [%cal Gg1f3] Best by test } e5 (1... c5 { Sicilian }) 2. Nf3 *'))
+      })
+      act(() => { ref.current.undo() })
+      expect(ref.current.getCurrentFen()).toBe('4k3/8/8/8/8/8/8/4K3 w - - 0 1')
+    })
+
+    it('reports the problems with a broken study', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} onError={mockOnError} />)
+      await screen.findByText('c5')
+      const study = ref.current.getStudy()
+      study.tree.children[0].san = 'e5'
+
+      act(() => { expect(ref.current.loadStudy(study)).toBe(false) })
+      expect(mockOnError).toHaveBeenLastCalledWith(expect.objectContaining({
+        type: 'invalid_study',
+        details: { problems: ['tree.children[0].san e5 is not legal in the position before it'] },
+      }))
+
+      act(() => { expect(ref.current.loadStudy('{ not json')).toBe(false) })
+      expect(mockOnError).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'invalid_study' }))
+      expect(screen.getByText('c5')).toBeInTheDocument()
+    })
+  })
+
+  describe('Diagram Export', () => {
+    const pgn = '1. e4 { [%csl Rd5][%cal Gg1f3] Best by test } e5 2. Nf3 { Attacking e5 } *'
+
+    it('exports the selected position as seen on the board', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} onError={mockOnError} />)
+      await screen.findByText('Nf3')
+
+      act(() => { ref.current.goTo([0]) })
+      act(() => { ref.current.flip() })
+      const svg = await ref.current.exportDiagram()
+      expect(svg).toContain('>1. e4</text>')
+      expect(svg).toContain('class="highlight" data-square="d5"')
+      expect(svg).toContain('class="arrow" data-from="g1" data-to="f3"')
+      // Flipped, so h1 is in the top left corner
+      expect(svg).toContain('data-square="h1" x="20" y="20"')
+
+      const plain = await ref.current.exportDiagram([0, 0], { caption: false, coordinates: false, orientation: 'white' })
+      expect(plain).not.toContain('class="caption"')
+      expect(plain).not.toContain('class="coordinate"')
+      expect(plain).toContain('data-square="a8" x="0" y="0"')
+
+      await expect(ref.current.exportDiagram([3])).rejects.toThrow('The path does not point to a move in the tree')
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({ type: 'invalid_path' }))
+    })
+
+    it('exports a diagram for every commented position', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+      await screen.findByText('Nf3')
+
+      const diagrams = await ref.current.exportCommentDiagrams()
+      expect(diagrams.map(({ path, caption, comment }) => [path, caption, comment])).toEqual([
+        [[0], '1. e4', 'Best by test'],
+        [[0, 0, 0], '2. Nf3', 'Attacking e5'],
+      ])
+      expect(diagrams[1].diagram).toContain('>2. Nf3</text>')
+    })
+  })
+
+  describe('Opening Identification', () => {
+    it('names the opening of the selected position', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 *" />)
+
+      await user.click(await screen.findByText('Bb5'))
+      expect(document.querySelector('.opening-name')).toHaveTextContent('C60 Ruy Lopez')
+
+      await user.click(screen.getByText('a6'))
+      expect(document.querySelector('.opening-name')).toHaveTextContent('C68 Ruy Lopez: Morphy Defense')
+    })
+
+    it('names transpositions by position', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. c4 e6 2. Nc3 d5 3. d4 Nf6 *" />)
+
+      await user.click(await screen.findByText('Nf6'))
+      expect(document.querySelector('.opening-name')).toHaveTextContent("D35 Queen's Gambit Declined: Normal Defense")
+    })
+
+    it('marks the move that leaves the book', async () => {
+      render(<AnalysisBoard startingPgn="1. e4 e5 2. Nf3 Nc6 3. Bb5 Qh4 (3... a6) *" />)
+
+      const exits = await screen.findAllByRole('img', { name: 'Out of book' })
+      expect(exits).toHaveLength(1)
+      expect(exits[0].parentElement).toHaveTextContent('Qh4')
+    })
+
+    it('fills in ECO and Opening headers for games without headers', async () => {
+      render(<AnalysisBoard startingPgn="1. d4 d5 2. c4 *" onPgnChange={mockOnPgnChange} />)
+
+      // Without the Seven Tag Roster, which the game doesn't have
+      await waitFor(() => {
+        expect(mockOnPgnChange.mock.calls.at(-1)[0]).toBe('[ECO "D06"]\n[Opening "Queen\'s Gambit"]\n\n1. d4 d5 2. c4 *')
+      })
+    })
+
+    it('updates exported ECO and Opening headers after re-import when the moves change', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onPgnChange={mockOnPgnChange} />)
+
+      act(() => { ref.current.loadPgn('[ECO "D06"]\n[Opening "Queen\'s Gambit"]\n\n1. d4 d5 2. c4 *') })
+      act(() => {
+        ref.current.goTo([0, 0, 0])
+        ref.current.makeMove('dxc4')
+      })
+
+      expect(ref.current.getPgn()).toBe('[ECO "D20"]\n[Opening "Queen\'s Gambit Accepted"]\n\n1. d4 d5 2. c4 dxc4 *')
+    })
+
+    it('fills in ECO and Opening headers without overriding existing ones', async () => {
+      render(<AnalysisBoard startingPgn={'[White "Tal"]\n[Opening "Spanish"]\n\n1. e4 e5 2. Nf3 Nc6 3. Bb5 *'} onPgnChange={mockOnPgnChange} />)
+
+      await waitFor(() => {
+        const lastPgn = mockOnPgnChange.mock.calls.at(-1)[0]
+        expect(lastPgn).toContain('[ECO "C60"]')
+        expect(lastPgn).toContain('[Opening "Spanish"]')
+      })
+    })
+  })
+
+  describe('Transpositions', () => {
+    const pgn = '1. d4 Nf6 2. c4 e6 (2... g6) 3. Nf3 (3. Nc3) *'
+
+    it('marks transposed positions and jumps between them', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+      await screen.findByText('Nf3')
+      expect(screen.queryByRole('button', { name: 'Go to other occurrence' })).not.toBeInTheDocument()
+
+      act(() => { ref.current.goTo([]) })
+      for (const san of ['c4', 'e6', 'd4', 'Nf6']) act(() => { ref.current.makeMove(san) })
+
+      const markers = screen.getAllByRole('button', { name: 'Go to other occurrence' })
+      expect(markers).toHaveLength(2)
+
+      // The side line is printed right after 1. d4, so its marker comes first
+      fireEvent.click(markers[1])
+      expect(ref.current.getCurrentPath()).toEqual([1, 0, 0, 0])
+      fireEvent.click(screen.getAllByRole('button', { name: 'Go to other occurrence' })[0])
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 0])
+    })
+
+    it('offers the jump in the move menu', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+      await screen.findByText('Nf3')
+
+      act(() => { ref.current.goTo([]) })
+      for (const san of ['c4', 'e6', 'd4', 'Nf6']) act(() => { ref.current.makeMove(san) })
+
+      fireEvent.contextMenu(screen.getAllByText('Nf6').at(-1))
+      await user.click(screen.getByRole('menuitem', { name: 'Go to other occurrence' }))
+      expect(ref.current.getCurrentPath()).toEqual([1, 0, 0, 0])
+    })
+
+    it('lists every transposition in the report', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+      await screen.findByText('Nf3')
+
+      act(() => { ref.current.goTo([]) })
+      for (const san of ['c4', 'e6', 'd4', 'Nf6']) act(() => { ref.current.makeMove(san) })
+
+      await user.click(screen.getByRole('button', { name: 'Transpositions (1)' }))
+      const report = document.querySelector('.transposition-report')
+      await user.click(within(report).getByText('1. d4 Nf6 2. c4 e6'))
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 0])
+      expect(within(report).getByText('1. c4 e6 2. d4 Nf6')).toBeInTheDocument()
+    })
+  })
+
+  describe('Search', () => {
+    const pgn = '1. d4 Nf6 2. c4 e6 { Preparing the d5 break } (2... g6 3. Nc3 d5 { Grünfeld }) 3. Nf3 d5 *'
+
+    it('opens with Ctrl+F and steps through the hits', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+      await screen.findByText('Nf3')
+
+      await user.keyboard('{Control>}f{/Control}')
+      const input = screen.getByRole('searchbox', { name: 'Search moves, comments and positions' })
+      expect(input).toHaveFocus()
+
+      await user.type(input, 'd5')
+      expect(screen.getByText('3 results')).toBeInTheDocument()
+      expect(document.querySelectorAll('.move.search-match')).toHaveLength(3)
+
+      await user.keyboard('{Enter}')
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 0])
+      expect(screen.getByText('1 of 3')).toBeInTheDocument()
+
+      await user.keyboard('{Enter}{Enter}')
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 1, 0, 0])
+
+      await user.keyboard('{Enter}')
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 0])
+      await user.keyboard('{Shift>}{Enter}{/Shift}')
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 1, 0, 0])
+
+      await user.keyboard('{Escape}')
+      expect(screen.queryByRole('search')).not.toBeInTheDocument()
+      expect(document.querySelectorAll('.move.search-match')).toHaveLength(0)
+    })
+
+    it('lists results with their comments and jumps to a clicked one', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={pgn} />)
+      await screen.findByText('Nf3')
+
+      await user.keyboard('{Meta>}f{/Meta}')
+      await user.type(screen.getByRole('searchbox'), 'p@d5 N@c3')
+
+      const results = document.querySelector('.search-results')
+      expect(within(results).getAllByRole('button')).toHaveLength(1)
+      await user.click(within(results).getByText('3... d5'))
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 1, 0, 0])
+
+      await user.clear(screen.getByRole('searchbox'))
+      await user.type(screen.getByRole('searchbox'), 'break')
+      expect(within(document.querySelector('.search-results')).getByText('Preparing the d5 break')).toBeInTheDocument()
+      expect(screen.getByText('1 result')).toBeInTheDocument()
+    })
+
+    it('leaves the browser shortcut alone outside the board', async () => {
+      const user = userEvent.setup()
+      render(<><input aria-label="Elsewhere" /><AnalysisBoard startingPgn={pgn} /></>)
+      await screen.findByText('Nf3')
+
+      await user.click(screen.getByRole('textbox', { name: 'Elsewhere' }))
+      await user.keyboard('{Control>}f{/Control}')
+      expect(screen.queryByRole('search')).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Repertoire Training', () => {
+    const repertoire = '1. e4 e5 (1... c5 2. Nf3) 2. Nf3 Nc6 3. Bb5 *'
+
+    it('plays the opponent from the tree and accepts repertoire moves', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      const onTrainingScheduleChange = vi.fn()
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0)
+      render(<AnalysisBoard ref={ref} startingPgn={repertoire} onTrainingScheduleChange={onTrainingScheduleChange} />)
+      await screen.findByText('Bb5')
+
+      await user.click(screen.getByRole('button', { name: 'Train White (4 due)' }))
+      expect(document.querySelector('.moves-list')).not.toBeInTheDocument()
+      expect(screen.getByRole('status')).toHaveTextContent('Find your repertoire move')
+
+      let accepted
+      act(() => { accepted = chessboardProps.current.onPieceDrop('e2', 'e4', 'wP') })
+      expect(accepted).toBe(true)
+      expect(ref.current.getCurrentPath()).toEqual([0])
+      expect(onTrainingScheduleChange).toHaveBeenCalledTimes(1)
+
+      // The opponent replies with one of the stored moves
+      await waitFor(() => expect(ref.current.getCurrentPath()).toEqual([0, 0]))
+      act(() => { chessboardProps.current.onPieceDrop('g1', 'f3', 'wN') })
+      await waitFor(() => expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 0]))
+      act(() => { chessboardProps.current.onPieceDrop('f1', 'b5', 'wB') })
+
+      expect(screen.getByRole('status')).toHaveTextContent('Line complete')
+      expect(screen.getByText('Correct: 3 · Mistakes: 0')).toBeInTheDocument()
+      expect(ref.current.getTree().children).toHaveLength(1)
+      random.mockRestore()
+    })
+
+    it('rejects and shows moves outside the repertoire', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={repertoire} />)
+      await screen.findByText('Bb5')
+
+      await user.click(screen.getByRole('button', { name: /Train White/ }))
+      let accepted
+      act(() => { accepted = chessboardProps.current.onPieceDrop('d2', 'd4', 'wP') })
+      expect(accepted).toBe(false)
+      expect(ref.current.getCurrentPath()).toEqual([])
+      expect(screen.getByRole('status')).toHaveTextContent('d4 is not in your repertoire. Try again.')
+      expect(screen.getByTestId('chessboard').dataset.highlights).toBe('d2,d4')
+
+      // A second miss in the same position isn't counted again
+      act(() => { chessboardProps.current.onPieceDrop('c2', 'c4', 'wP') })
+      expect(screen.getByText('Correct: 0 · Mistakes: 1')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Show move' }))
+      expect(screen.getByTestId('chessboard').dataset.arrows).toBe('e2e4')
+
+      act(() => { chessboardProps.current.onPieceDrop('e2', 'e4', 'wP') })
+      expect(screen.getByText('Correct: 0 · Mistakes: 1')).toBeInTheDocument()
+      expect(Object.values(ref.current.getTrainingSchedule().cards)).toEqual([expect.objectContaining({ lapses: 1 })])
+
+      await user.click(screen.getByRole('button', { name: 'Stop training' }))
+      expect(document.querySelector('.moves-list')).toBeInTheDocument()
+    })
+
+    it('persists the schedule through the ref', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn={repertoire} onError={mockOnError} />)
+      await screen.findByText('Bb5')
+
+      expect(ref.current.getTrainingSchedule()).toEqual({ version: 1, cards: {} })
+
+      const e4Key = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - e4'
+      const future = Date.now() + 1000 * 60 * 60 * 24
+      act(() => {
+        expect(ref.current.loadTrainingSchedule({ version: 1, cards: { [e4Key]: { interval: 1, ease: 2.5, due: future, reps: 1, lapses: 0 } } })).toBe(true)
+      })
+      expect(screen.getByRole('button', { name: 'Train White (3 due)' })).toBeInTheDocument()
+
+      expect(ref.current.loadTrainingSchedule({ cards: [] })).toBe(false)
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({ type: 'invalid_schedule' }))
+
+      act(() => { ref.current.startTraining('b') })
+      await waitFor(() => expect(ref.current.getCurrentPath()).toEqual([0]))
+      expect(screen.getByRole('status')).toHaveTextContent('Find your repertoire move')
+    })
+
+    it('hides the PGN and pauses the engine while training', async () => {
+      const user = userEvent.setup()
+      const engine = createScriptedEngine({ '*': ['info depth 12 score cp 20 pv e2e4'] })
+      const { container } = render(<AnalysisBoard engine={engine} startingPgn={repertoire} />)
+      await waitFor(() => expect(container.querySelector('.eval-bar')).toHaveAttribute('aria-valuetext', '+0.20'))
+
+      await user.click(screen.getByRole('button', { name: 'Train White (4 due)' }))
+      expect(container.querySelector('.pgn-display')).toBeNull()
+      expect(container.querySelector('.eval-bar')).toBeNull()
+      expect(container.querySelector('.engine-lines')).toBeNull()
+      expect(engine.commands.at(-1)).toBe('stop')
+
+      await user.click(screen.getByRole('button', { name: 'Stop training' }))
+      expect(container.querySelector('.pgn-display')).toBeInTheDocument()
+      expect(container.querySelector('.engine-lines')).toBeInTheDocument()
+    })
+  })
+
+  describe('Guess the Move', () => {
+    const game = '1. e4 e5 2. Nf3 { Developing } (2. Bc4) (2. f4) Nc6 3. Bb5 { The Spanish } a6 *'
+
+    it('scores guesses against the game and reveals its comments', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      const onGuessSummary = vi.fn()
+      render(<AnalysisBoard ref={ref} startingPgn={game} onGuessSummary={onGuessSummary} />)
+      await screen.findByText('Bb5')
+      act(() => { ref.current.goTo([]) })
+
+      await user.click(screen.getByRole('button', { name: 'Guess White' }))
+      expect(document.querySelector('.moves-list')).not.toBeInTheDocument()
+
+      act(() => { chessboardProps.current.onPieceDrop('e2', 'e4', 'wP') })
+      expect(screen.getByText('✓ 1. e4 is the game move')).toBeInTheDocument()
+
+      await waitFor(() => expect(ref.current.getCurrentPath()).toEqual([0, 0]))
+      act(() => { chessboardProps.current.onPieceDrop('f2', 'f4', 'wP') })
+      expect(screen.getByText('½ 2. f4 is in the notes; the game went 2. Nf3')).toBeInTheDocument()
+      expect(document.querySelector('.guess-comment')).toHaveTextContent('Developing')
+      expect(ref.current.getCurrentPath()).toEqual([0, 0, 0])
+
+      await waitFor(() => expect(ref.current.getCurrentPath()).toEqual([0, 0, 0, 0]))
+      act(() => { chessboardProps.current.onPieceDrop('d2', 'd4', 'wP') })
+      expect(screen.getByText('✗ The game went 3. Bb5')).toBeInTheDocument()
+      expect(document.querySelector('.guess-comment')).toHaveTextContent('The Spanish')
+
+      await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('End of the game'))
+      expect(screen.getByText('Score: 1.5 / 3 (1 found, 1 in the notes, 1 missed)')).toBeInTheDocument()
+      expect(onGuessSummary).toHaveBeenCalledTimes(1)
+      expect(onGuessSummary).toHaveBeenCalledWith(expect.objectContaining({ side: 'w', score: 1.5, maxScore: 3, misses: 1 }))
+      expect(ref.current.getTree().children).toHaveLength(1)
+
+      await user.click(screen.getByRole('button', { name: 'Close' }))
+      expect(onGuessSummary).toHaveBeenCalledTimes(1)
+      expect(document.querySelector('.moves-list')).toBeInTheDocument()
+    })
+
+    it('reports the summary when the student stops early', async () => {
+      const ref = createRef()
+      const onGuessSummary = vi.fn()
+      render(<AnalysisBoard ref={ref} startingPgn={game} onGuessSummary={onGuessSummary} />)
+      await screen.findByText('Bb5')
+
+      act(() => { expect(ref.current.startGuessing('b', [0, 0, 0])).toBe(true) })
+      expect(screen.getByRole('status')).toHaveTextContent('Guess the game move')
+      act(() => { ref.current.makeMove('Nf6') })
+      expect(ref.current.getGuessSummary()).toMatchObject({ side: 'b', score: 0, maxScore: 1 })
+
+      let summary
+      act(() => { summary = ref.current.stopGuessing() })
+      expect(summary.guesses).toEqual([expect.objectContaining({ gameMove: 'Nc6', guess: 'Nf6', result: 'miss' })])
+      expect(onGuessSummary).toHaveBeenCalledWith(summary)
+      expect(ref.current.getGuessSummary()).toBeNull()
+    })
+
+    it('keeps the game out of the PGN box and the engine output', async () => {
+      const user = userEvent.setup()
+      const engine = createScriptedEngine({ '*': ['info depth 12 score cp 20 pv e2e4'] })
+      const { container } = render(<AnalysisBoard engine={engine} startingPgn={game} />)
+      await waitFor(() => expect(container.querySelector('.engine-lines')).toHaveTextContent('+0.20'))
+      expect(container.querySelector('.pgn-display')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Guess Black' }))
+      expect(container.querySelector('.pgn-display')).toBeNull()
+      expect(container.querySelector('.eval-bar')).toBeNull()
+      expect(container.querySelector('.engine-lines')).toBeNull()
+      expect(engine.commands.at(-1)).toBe('stop')
+    })
+  })
+
+  describe('Game Over', () => {
+    it('shows checkmate on the board and in the move list and writes the result', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. f3 e5 2. g4 *" onPgnChange={mockOnPgnChange} />)
+      await screen.findByText('g4')
+      expect(screen.queryByRole('status')).not.toBeInTheDocument()
+
+      await user.click(screen.getByText('g4'))
+      act(() => { chessboardProps.current.onPieceDrop('d8', 'h4', 'bQ') })
+
+      expect(screen.getByRole('status')).toHaveTextContent('Checkmate: Black wins')
+      expect(screen.getByText('Checkmate')).toHaveClass('game-over-marker')
+      expect(screen.getByRole('combobox', { name: 'Game result' })).toHaveDisplayValue('0-1 by checkmate')
+      expect(mockOnPgnChange.mock.calls.at(-1)[0]).toContain('[Result "0-1"]')
+      expect(mockOnPgnChange.mock.calls.at(-1)[0].endsWith('\n\n1. f3 e5 2. g4 Qh4# 0-1')).toBe(true)
+    })
+
+    it('lets the result be set by hand and handed back to the rules', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. e4 e5 *" onPgnChange={mockOnPgnChange} />)
+      await screen.findByText('e5')
+      const result = screen.getByRole('combobox', { name: 'Game result' })
+      expect(result).toHaveDisplayValue('Game in progress')
+
+      await user.selectOptions(result, '1/2-1/2')
+      expect(mockOnPgnChange.mock.calls.at(-1)[0]).toContain('[Result "1/2-1/2"]')
+      expect(mockOnPgnChange.mock.calls.at(-1)[0].endsWith('1. e4 e5 1/2-1/2')).toBe(true)
+
+      await user.selectOptions(result, '*')
+      expect(lastMovetext()).toBe('1. e4 e5 *')
+    })
+
+    it('shows draws by repetition as claimable without ending the game', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard startingPgn="1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 *" onPgnChange={mockOnPgnChange} />)
+      await screen.findByText('Threefold repetition')
+      await user.click(screen.getAllByText('Ng8').at(-1))
+      expect(screen.getByRole('status')).toHaveTextContent('Threefold repetition: Draw can be claimed')
+      const result = screen.getByRole('combobox', { name: 'Game result' })
+      expect(result).toHaveDisplayValue('Game in progress (draw claimable by threefold repetition)')
+      expect(mockOnPgnChange.mock.calls.at(-1)[0].endsWith('4. Ng1 Ng8 *')).toBe(true)
+
+      await user.selectOptions(result, '1/2-1/2')
+      expect(mockOnPgnChange.mock.calls.at(-1)[0].endsWith('4. Ng1 Ng8 1/2-1/2')).toBe(true)
+    })
+  })
+
+  describe('Evaluation Graph', () => {
+    const pgn = '1. e4 { [%eval 0.3] } e5 { [%eval 0.35] } 2. Nf3 { [%eval 0.3] } f6 { [%eval 1.8] } 3. Nxe5 { [%eval 1.7] } *'
+
+    it('plots the main line from [%eval], marks big swings and navigates on click', async () => {
+      const user = userEvent.setup()
+      const { container } = render(<AnalysisBoard startingPgn={pgn} />)
+      await screen.findByText('Nxe5')
+
+      const graph = screen.getByRole('img', { name: 'Evaluation graph' })
+      expect(graph.querySelectorAll('.eval-graph-target')).toHaveLength(5)
+      expect([...graph.querySelectorAll('.eval-swing')].map(swing => [swing.getAttribute('data-move'), swing.getAttribute('class')]))
+        .toEqual([['2... f6', 'eval-swing mistake']])
+      expect(graph.querySelector('.eval-graph-cursor')).toBeNull()
+
+      await user.click(graph.querySelector('.eval-graph-target[data-move="2. Nf3"]'))
+      expect(screen.getByText('Nf3')).toHaveClass('selected-move')
+      expect(graph.querySelector('.eval-graph-cursor')).toHaveAttribute('x1', '300')
+
+      await user.click(screen.getByText('e4'))
+      expect(container.querySelector('.eval-graph-cursor')).toHaveAttribute('x1', '0')
+    })
+
+    it('credits swings to the side that moved in games where Black moves first', async () => {
+      const fenGame = `[SetUp "1"]
+[FEN "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1"]
+
+1... f6 { [%eval 0.3] } 2. d4 { [%eval 0.4] } g5 { [%eval #1] } *`
+      const { container } = render(<AnalysisBoard startingPgn={fenGame} />)
+      await screen.findByText('g5')
+
+      expect([...container.querySelectorAll('.eval-swing')].map(swing => [swing.getAttribute('data-move'), swing.getAttribute('class')]))
+        .toEqual([['2... g5', 'eval-swing blunder']])
+    })
+
+    it('plots engine scores for positions that have been analysed', async () => {
+      const user = userEvent.setup()
+      const engine = createScriptedEngine({ '*': ['info depth 12 score cp 20 pv a7a6'] })
+      const { container } = render(<AnalysisBoard engine={engine} startingPgn="1. e4 e5 *" />)
+      await screen.findByText('e5')
+      expect(container.querySelector('.eval-graph')).toBeNull()
+      // Let the first analysis land before clicking, it redraws the move list
+      await waitFor(() => expect(container.querySelector('.eval-bar')).toHaveAttribute('aria-valuetext', '+0.20'))
+
+      await user.click(screen.getByText('e4'))
+      await waitFor(() => {
+        expect(container.querySelector('.eval-graph-line')).toHaveAttribute('points', expect.stringMatching(/^0,/))
+      })
+    })
+  })
+
+  describe('Clocks', () => {
+    const pgn = `[TimeControl "180+0"]
+
+1. e4 { [%clk 0:02:58] } e5 { [%clk 0:02:59] } 2. Nf3 { [%clk 0:02:55] Thinking } Nc6 { [%clk 0:02:57] }
+3. Bb5 { [%clk 0:02:52] } a6 { [%clk 0:01:50] } 4. Ba4 { [%clk 0:02:50] } Nf6 { [%clk 0:01:48] } *`
+
+    it('shows the clocks in the move list and beside the board', async () => {
+      const user = userEvent.setup()
+      const { container } = render(<AnalysisBoard startingPgn={pgn} onPgnChange={mockOnPgnChange} />)
+      await screen.findByText('Nf6')
+
+      const movesList = within(container.querySelector('.moves-list'))
+      expect(movesList.getByText('Thinking')).toBeInTheDocument()
+      expect(movesList.queryByText(/%clk/)).not.toBeInTheDocument()
+      expect(screen.getByText('1:50')).toHaveClass('move-clock')
+
+      await user.click(screen.getByText('Nc6'))
+      expect(screen.getByRole('timer', { name: 'White clock' })).toHaveTextContent('2:55')
+      expect(screen.getByRole('timer', { name: 'Black clock' })).toHaveTextContent('2:57')
+      expect(screen.getByRole('timer', { name: 'White clock' })).toHaveClass('running')
+
+      expect(mockOnPgnChange.mock.calls.at(-1)[0]).toContain('2. Nf3 { [%clk 0:02:55] Thinking } Nc6 { [%clk 0:02:57] }')
+    })
+
+    it('charts think times and picks out long thinks', async () => {
+      const user = userEvent.setup()
+      const { container } = render(<AnalysisBoard startingPgn={pgn} />)
+      await screen.findByText('Nf6')
+
+      expect(container.querySelectorAll('.think-bar')).toHaveLength(8)
+      expect(container.querySelector('.think-bar.long-think').getAttribute('data-move')).toBe('3... a6')
+
+      await user.click(screen.getByRole('button', { name: '3... a6 (1:07)' }))
+      expect(screen.getByText('a6')).toHaveClass('selected-move')
+    })
+
+    it('has no clocks or chart without clock annotations', async () => {
+      const { container } = render(<AnalysisBoard startingPgn="1. e4 e5 *" />)
+      await screen.findByText('e5')
+      expect(screen.queryByRole('timer')).not.toBeInTheDocument()
+      expect(container.querySelector('.think-time-chart')).toBeNull()
+    })
+  })
+
+  describe('Chess960', () => {
+    const xfen = 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w KQkq - 0 1'
+
+    it('castles by dropping or clicking the king onto its rook', async () => {
+      render(<AnalysisBoard startingFen={xfen} onPgnChange={mockOnPgnChange} />)
+      expect(screen.getByText('Chess960')).toBeInTheDocument()
+
+      act(() => { chessboardProps.current.onPieceDrop('b1', 'g1', 'wK') })
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 b ga - 1 1')
+
+      act(() => { chessboardProps.current.onSquareClick('b8') })
+      act(() => { chessboardProps.current.onSquareClick('a8') })
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', '2kr2r1/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 w - - 2 2')
+
+      const exported = mockOnPgnChange.mock.calls.at(-1)[0]
+      expect(exported).toContain('[Variant "Chess960"]')
+      expect(exported).toContain(`[FEN "${xfen}"]`)
+      expect(exported).toContain('1. O-O O-O-O *')
+    })
+
+    it('loads a random starting position', async () => {
+      const user = userEvent.setup()
+      vi.spyOn(Math, 'random').mockReturnValue(0)
+      render(<AnalysisBoard />)
+      await user.keyboard('{Shift>}F{/Shift}')
+      await user.click(screen.getByRole('button', { name: 'Random Chess960' }))
+      vi.restoreAllMocks()
+
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', 'bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w HFhf - 0 1')
+      expect(screen.getByText('Chess960')).toBeInTheDocument()
+    })
+  })
+
+  describe('Position Setup', () => {
+    const openEditor = async (user) => {
+      await user.keyboard('{Shift>}F{/Shift}')
+      await user.click(screen.getByRole('button', { name: 'Set up position' }))
+    }
+    const problems = () => within(screen.getByRole('list', { name: 'Problems with the position' })).getAllByRole('listitem').map(item => item.textContent)
+
+    it('builds a position from the palette and explains what is wrong with it', async () => {
+      const user = userEvent.setup()
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} startingPgn="1. e4 e5 *" />)
+      await screen.findByText('e5')
+      await openEditor(user)
+
+      await user.click(screen.getByRole('button', { name: 'Clear board' }))
+      expect(problems()).toEqual(['White has no king', 'Black has no king'])
+      expect(screen.getByRole('button', { name: 'Analyze this position' })).toBeDisabled()
+
+      await user.click(screen.getByRole('button', { name: 'wK' }))
+      act(() => { chessboardProps.current.onSquareClick('e1') })
+      act(() => { chessboardProps.current.onSparePieceDrop('bK', 'e8') })
+      act(() => { chessboardProps.current.onSparePieceDrop('wR', 'e4') })
+      expect(problems()).toEqual(['The side not to move is in check'])
+
+      await user.selectOptions(screen.getByRole('combobox', { name: 'Side to move' }), 'b')
+      expect(screen.queryByRole('list', { name: 'Problems with the position' })).not.toBeInTheDocument()
+      await user.click(screen.getByRole('button', { name: 'Analyze this position' }))
+
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', '4k3/8/8/8/4R3/8/8/4K3 b - - 0 1')
+      expect(ref.current.getTree().children).toHaveLength(0)
+      expect(screen.queryByRole('button', { name: 'Analyze this position' })).not.toBeInTheDocument()
+    })
+
+    it('moves and removes pieces and edits the position details', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard />)
+      await openEditor(user)
+
+      act(() => { chessboardProps.current.onPieceDrop('h1', 'h3', 'wR') })
+      expect(problems()).toEqual(['White has kingside castling rights without a rook on h1'])
+      await user.click(screen.getByRole('checkbox', { name: 'White O-O' }))
+
+      act(() => { chessboardProps.current.onPieceDropOffBoard('d7', 'bP') })
+      act(() => { chessboardProps.current.onPieceDrop('e2', 'e4', 'wP') })
+      act(() => { chessboardProps.current.onPieceDrop('d8', 'd4', 'bQ') })
+      act(() => { chessboardProps.current.onPieceDrop('e7', 'e4', 'bP') })
+      const moveNumber = screen.getByRole('spinbutton', { name: 'Move number' })
+      await user.clear(moveNumber)
+      expect(problems()).toEqual(['The move number must be a positive whole number'])
+      await user.type(moveNumber, '12')
+
+      expect(screen.getByLabelText('FEN of the position')).toHaveTextContent('rnb1kbnr/ppp2ppp/8/8/3qp3/7R/PPPP1PPP/RNBQKBN1 w Qkq - 0 12')
+
+      await user.click(screen.getByRole('button', { name: 'Starting position' }))
+      await user.click(screen.getByRole('button', { name: 'Cancel' }))
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1')
+    })
+
+    it('lists what is wrong with a pasted FEN', async () => {
+      const user = userEvent.setup()
+      render(<AnalysisBoard onError={mockOnError} />)
+      await user.keyboard('{Shift>}F{/Shift}')
+
+      await user.type(screen.getByPlaceholderText(/Paste FEN notation here/), '4k3/8/8/8/4R3/8/8/4K3 w - - 0 1')
+      await user.click(screen.getByText('Load FEN'))
+      expect(screen.getByRole('alert')).toHaveTextContent('The side not to move is in check')
+
+      await user.clear(screen.getByPlaceholderText(/Paste FEN notation here/))
+      await user.type(screen.getByPlaceholderText(/Paste FEN notation here/), '4k3/8/8/8/8/8/8/8 w - - 0 1')
+      await user.click(screen.getByText('Load FEN'))
+      expect(screen.getByRole('alert')).toHaveTextContent('Missing white king')
+      expect(screen.getByTestId('chessboard')).toHaveAttribute('data-position', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1')
+    })
+
+    it('loads a FEN naming an en passant square no pawn can take', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onError={mockOnError} />)
+
+      act(() => { expect(ref.current.loadFen('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1')).toBe(true) })
+      expect(mockOnError).not.toHaveBeenCalled()
+      expect(ref.current.getCurrentFen()).toBe('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1')
+    })
+
+    it('rejects illegal positions passed to loadFen', async () => {
+      const ref = createRef()
+      render(<AnalysisBoard ref={ref} onError={mockOnError} />)
+
+      act(() => { expect(ref.current.loadFen('4k3/8/8/8/8/8/8/RK2K3 w - - 0 1')).toBe(false) })
+      expect(mockOnError).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'invalid_fen',
+        details: expect.objectContaining({ reasons: ['Too many white kings'] }),
+      }))
+    })
+  })
 })
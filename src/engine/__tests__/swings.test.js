@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest'
+import { classifySwings } from '../swings'
+
+const cp = (value) => ({ type: 'cp', value })
+
+describe('classifySwings', () => {
+  it('grades each move by what it cost the side that played it', () => {
+    expect(classifySwings([cp(20), cp(30), cp(40), cp(-300), cp(-250), cp(-500)]))
+      .toEqual([null, null, 'blunder', null, 'mistake'])
+  })
+
+  it('counts from Black\'s side when Black moves first and skips unknown scores', () => {
+    expect(classifySwings([cp(0), cp(250), null, cp(0)], { sides: ['b', 'w', 'b'] })).toEqual(['blunder', null, null])
+    expect(classifySwings([cp(0), { type: 'mate', value: -2 }])).toEqual(['blunder'])
+  })
+})
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createUciEngine, parseInfoLine, toWhitePerspective, formatScore, scoreToWhitePercent, pvToSan } from '../uci'
+import { createScriptedEngine } from '../scriptedEngine'
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+const AFTER_E4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1'
+
+const CHESS960_FEN = 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w GAga - 0 1'
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('UCI parsing', () => {
+  it('parses scored info lines', () => {
+    const info = parseInfoLine('info depth 18 seldepth 24 multipv 2 score cp -35 nodes 1000 nps 5000 pv e7e5 g1f3 b8c6')
+    expect(info).toEqual({ multipv: 2, depth: 18, score: { type: 'cp', value: -35 }, pv: ['e7e5', 'g1f3', 'b8c6'] })
+  })
+
+  it('parses mate scores', () => {
+    const info = parseInfoLine('info depth 5 score mate 2 pv d1h5 g7g6')
+    expect(info.score).toEqual({ type: 'mate', value: 2 })
+    expect(info.multipv).toBe(1)
+  })
+
+  it('ignores lines without a usable score or pv', () => {
+    expect(parseInfoLine('info depth 10 currmove e2e4 currmovenumber 1')).toBeNull()
+    expect(parseInfoLine('info depth 10 score cp 20 lowerbound pv e2e4')).toBeNull()
+    expect(parseInfoLine('info string NNUE evaluation enabled')).toBeNull()
+    expect(parseInfoLine('bestmove e2e4')).toBeNull()
+  })
+
+  it('converts scores to white perspective', () => {
+    expect(toWhitePerspective({ type: 'cp', value: 40 }, START_FEN)).toEqual({ type: 'cp', value: 40 })
+    expect(toWhitePerspective({ type: 'cp', value: 40 }, AFTER_E4)).toEqual({ type: 'cp', value: -40 })
+  })
+
+  it('formats scores', () => {
+    expect(formatScore({ type: 'cp', value: 35 })).toBe('+0.35')
+    expect(formatScore({ type: 'cp', value: -120 })).toBe('-1.20')
+    expect(formatScore({ type: 'mate', value: 3 })).toBe('#3')
+    expect(formatScore({ type: 'mate', value: -2 })).toBe('-#2')
+  })
+
+  it('maps scores onto the eval bar', () => {
+    expect(scoreToWhitePercent(null)).toBe(50)
+    expect(scoreToWhitePercent({ type: 'cp', value: 0 })).toBe(50)
+    expect(scoreToWhitePercent({ type: 'cp', value: 300 })).toBeGreaterThan(75)
+    expect(scoreToWhitePercent({ type: 'mate', value: -1 })).toBe(0)
+  })
+
+  it('converts PVs to SAN and stops at illegal moves', () => {
+    expect(pvToSan(START_FEN, ['e2e4', 'e7e5', 'g1f3'])).toEqual(['e4', 'e5', 'Nf3'])
+    expect(pvToSan(START_FEN, ['e2e4', 'e2e4'])).toEqual(['e4'])
+    // Chess960 engines castle by taking their own rook
+    expect(pvToSan(CHESS960_FEN, ['b1g1', 'b8a8'])).toEqual(['O-O', 'O-O-O'])
+  })
+})
+
+describe('createUciEngine', () => {
+  it('performs the handshake before searching', async () => {
+    const transport = createScriptedEngine({ '*': ['info depth 1 score cp 10 pv e2e4'] })
+    const engine = createUciEngine(transport)
+    const onUpdate = vi.fn()
+
+    engine.analyze(START_FEN, { multiPv: 2, depth: 12, onUpdate })
+    await flush()
+
+    expect(transport.commands).toEqual([
+      'uci',
+      'isready',
+      'setoption name MultiPV value 2',
+      `position fen ${START_FEN}`,
+      'go depth 12',
+    ])
+    expect(onUpdate).toHaveBeenCalledWith([
+      { multipv: 1, depth: 1, score: { type: 'cp', value: 10 }, pv: ['e2e4'] },
+    ])
+  })
+
+  it('collects MultiPV lines and normalizes scores', async () => {
+    const transport = createScriptedEngine({
+      [AFTER_E4]: [
+        'info depth 10 multipv 1 score cp 25 pv e7e5 g1f3',
+        'info depth 10 multipv 2 score cp 10 pv c7c5',
+      ],
+    })
+    const engine = createUciEngine(transport)
+    const onUpdate = vi.fn()
+
+    engine.analyze(AFTER_E4, { multiPv: 2, onUpdate })
+    await flush()
+
+    const lastLines = onUpdate.mock.calls.at(-1)[0]
+    expect(lastLines).toHaveLength(2)
+    expect(lastLines[0].score).toEqual({ type: 'cp', value: -25 })
+    expect(lastLines[1].pv).toEqual(['c7c5'])
+  })
+
+  it('stops the running search before starting a new one', async () => {
+    const transport = createScriptedEngine({
+      [START_FEN]: ['info depth 20 score cp 30 pv e2e4'],
+      [AFTER_E4]: ['info depth 20 score cp 30 pv e7e5'],
+    })
+    const engine = createUciEngine(transport)
+    const first = vi.fn()
+    const second = vi.fn()
+
+    engine.analyze(START_FEN, { onUpdate: first })
+    await flush()
+    engine.analyze(AFTER_E4, { onUpdate: second })
+    await flush()
+
+    expect(transport.commands).toContain('stop')
+    expect(transport.commands.filter(c => c === 'go infinite')).toHaveLength(2)
+    expect(second).toHaveBeenCalledWith([
+      { multipv: 1, depth: 20, score: { type: 'cp', value: -30 }, pv: ['e7e5'] },
+    ])
+  })
+
+  it('switches the engine to Chess960 for Shredder-FEN positions', async () => {
+    const transport = createScriptedEngine({ '*': ['info depth 1 score cp 10 pv b1g1'] })
+    const engine = createUciEngine(transport)
+
+    engine.analyze(CHESS960_FEN, { depth: 1, onUpdate: vi.fn() })
+    await flush()
+    engine.analyze(START_FEN, { depth: 1, onUpdate: vi.fn() })
+    await flush()
+
+    expect(transport.commands.filter(command => command.startsWith('setoption') || command.startsWith('position'))).toEqual([
+      'setoption name UCI_Chess960 value true',
+      `position fen ${CHESS960_FEN}`,
+      'setoption name UCI_Chess960 value false',
+      `position fen ${START_FEN}`,
+    ])
+  })
+
+  it('stops listening once destroyed', async () => {
+    const transport = createScriptedEngine({ '*': ['info depth 1 score cp 10 pv e2e4'] })
+    const engine = createUciEngine(transport)
+    const onUpdate = vi.fn()
+
+    engine.destroy()
+    engine.analyze(START_FEN, { onUpdate })
+    await flush()
+
+    expect(onUpdate).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,57 @@
+// A fake UCI engine for tests and demos. It answers the UCI handshake and
+// replies to "go" with canned info lines looked up by FEN.
+//
+//   createScriptedEngine({
+//     [fen]: ['info depth 12 multipv 1 score cp 30 pv e2e4 e7e5', ...],
+//     '*': [...],             // fallback for any other position
+//   })
+//
+// Every command received is recorded in `commands` so tests can assert on the protocol.
+export const createScriptedEngine = (script = {}) => {
+  const handlers = new Set();
+  const commands = [];
+  let position = null;
+  let searching = false;
+
+  const emit = (line) => {
+    // Reply asynchronously like a real engine would
+    Promise.resolve().then(() => handlers.forEach((handler) => handler(line)));
+  };
+
+  const finishSearch = () => {
+    if (!searching) return;
+    searching = false;
+    const lines = script[position] || script['*'] || [];
+    const best = lines.length > 0 ? lines[0].split(' pv ')[1]?.split(' ')[0] : null;
+    emit(`bestmove ${best || '(none)'}`);
+  };
+
+  return {
+    commands,
+    send(command) {
+      commands.push(command);
+      if (command === 'uci') {
+        emit('id name Scripted Engine');
+        emit('uciok');
+      } else if (command === 'isready') {
+        emit('readyok');
+      } else if (command.startsWith('position fen ')) {
+        position = command.slice('position fen '.length);
+      } else if (command.startsWith('go')) {
+        searching = true;
+        (script[position] || script['*'] || []).forEach(emit);
+        // "go infinite" keeps running until told to stop
+        if (!command.includes('infinite')) finishSearch();
+      } else if (command === 'stop') {
+        finishSearch();
+      }
+    },
+    listen(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close() {
+      handlers.clear();
+    },
+  };
+};
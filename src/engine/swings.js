@@ -0,0 +1,25 @@
+import { scoreToWhitePercent } from './uci';
+
+// How much a move costs the side that played it, in points of White's share of
+// the eval bar (0-100). Same cut-offs as Lichess's winning-chance thresholds.
+export const SWING_THRESHOLDS = [
+  { kind: 'blunder', drop: 15 },
+  { kind: 'mistake', drop: 10 },
+  { kind: 'inaccuracy', drop: 5 },
+];
+
+// Classify each move of a line from the scores (White's side, or null when
+// unknown) of the positions along it: scores[0] is the position before the
+// first move and scores[i] the one after move i. `sides` gives the mover of
+// each move ('w' or 'b'); without it White is taken to move first. Returns one
+// entry per move: 'blunder', 'mistake', 'inaccuracy' or null.
+export const classifySwings = (scores, { sides = scores.slice(1).map((score, index) => (index % 2 === 0 ? 'w' : 'b')) } = {}) =>
+  scores.slice(1).map((after, index) => {
+    const before = scores[index];
+    if (!before || !after) return null;
+    const whiteMoved = sides[index] === 'w';
+    const change = scoreToWhitePercent(after) - scoreToWhitePercent(before);
+    const drop = whiteMoved ? -change : change;
+    const swing = SWING_THRESHOLDS.find(threshold => drop >= threshold.drop);
+    return swing ? swing.kind : null;
+  });
@@ -0,0 +1,67 @@
+// Transports move raw UCI text between the board and an engine process.
+// Every transport has the same shape:
+//   send(command)      - write one UCI command
+//   listen(handler)    - receive engine output, returns an unsubscribe function
+//   close()            - release the underlying connection
+
+// Web Worker engines such as stockfish.js / stockfish.wasm.
+// Pass a Worker you own, or a script URL and the transport will create (and terminate) it.
+export const createWorkerTransport = (workerOrUrl) => {
+  const ownsWorker = typeof workerOrUrl === 'string';
+  const worker = ownsWorker ? new Worker(workerOrUrl) : workerOrUrl;
+
+  return {
+    send: (command) => worker.postMessage(command),
+    listen: (handler) => {
+      const onMessage = (event) => handler(event.data);
+      worker.addEventListener('message', onMessage);
+      return () => worker.removeEventListener('message', onMessage);
+    },
+    close: () => {
+      if (ownsWorker) worker.terminate();
+    },
+  };
+};
+
+// A local WebSocket bridge that forwards UCI lines to a native engine.
+// Commands sent before the socket opens are queued.
+export const createWebSocketTransport = (url) => {
+  const socket = new WebSocket(url);
+  const queue = [];
+
+  socket.addEventListener('open', () => {
+    while (queue.length > 0) socket.send(queue.shift());
+  });
+
+  return {
+    send: (command) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(command);
+      else queue.push(command);
+    },
+    listen: (handler) => {
+      const onMessage = (event) => handler(event.data);
+      socket.addEventListener('message', onMessage);
+      return () => socket.removeEventListener('message', onMessage);
+    },
+    close: () => socket.close(),
+  };
+};
+
+// Anything else (a Tauri sidecar, an Electron IPC channel, ...) can be wrapped
+// by supplying a write function and a way to subscribe to stdout lines.
+export const createCallbackTransport = ({ write, subscribe, close = null }) => {
+  const handlers = new Set();
+  const unsubscribe = subscribe((data) => handlers.forEach((handler) => handler(data)));
+
+  return {
+    send: (command) => write(command),
+    listen: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: () => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+      if (close) close();
+    },
+  };
+};
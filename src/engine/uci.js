@@ -0,0 +1,175 @@
+import { createGame, needsChess960 } from '../variants/chess960';
+
+// Parse a UCI "info" line into a principal variation update.
+// Returns null for lines that don't carry a scored PV (currmove updates,
+// strings, bound-only scores, ...).
+export const parseInfoLine = (line) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info') return null;
+
+  const info = { multipv: 1, depth: null, score: null, pv: [] };
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === 'depth') {
+      info.depth = parseInt(tokens[++i], 10);
+    } else if (token === 'multipv') {
+      info.multipv = parseInt(tokens[++i], 10);
+    } else if (token === 'score') {
+      const type = tokens[++i];
+      const value = parseInt(tokens[++i], 10);
+      if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') return null;
+      if (type === 'cp' || type === 'mate') info.score = { type, value };
+    } else if (token === 'pv') {
+      info.pv = tokens.slice(i + 1);
+      break;
+    } else if (token === 'string') {
+      break;
+    }
+  }
+
+  if (!info.score || info.pv.length === 0) return null;
+  return info;
+};
+
+// UCI scores are relative to the side to move; the board always shows them from White's side.
+export const toWhitePerspective = (score, fen) => {
+  if (!score) return null;
+  const blackToMove = fen.split(' ')[1] === 'b';
+  return blackToMove ? { ...score, value: -score.value } : score;
+};
+
+export const formatScore = (score) => {
+  if (!score) return '';
+  if (score.type === 'mate') {
+    return score.value < 0 ? `-#${Math.abs(score.value)}` : `#${score.value}`;
+  }
+  const pawns = score.value / 100;
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`;
+};
+
+// Share of the eval bar that belongs to White (0-100), using the same
+// win-probability curve Lichess uses so small edges don't swing the bar.
+export const scoreToWhitePercent = (score) => {
+  if (!score) return 50;
+  if (score.type === 'mate') {
+    if (score.value === 0) return 50;
+    return score.value > 0 ? 100 : 0;
+  }
+  const winningChances = 2 / (1 + Math.exp(-0.00368208 * score.value)) - 1;
+  return 50 + 50 * winningChances;
+};
+
+// Convert a PV in long algebraic notation (e2e4, e7e8q) to SAN from the given position.
+// Stops at the first move that is illegal, which can happen when the engine
+// is still reporting on a position we've already left. In Chess960 engines
+// castle by moving the king onto its rook, which createGame understands.
+export const pvToSan = (fen, pv) => {
+  const game = createGame(fen);
+  const sanMoves = [];
+  for (const uciMove of pv) {
+    try {
+      const move = game.move({
+        from: uciMove.slice(0, 2),
+        to: uciMove.slice(2, 4),
+        promotion: uciMove[4],
+      });
+      sanMoves.push(move.san);
+    } catch {
+      break;
+    }
+  }
+  return sanMoves;
+};
+
+// Drive a UCI engine over any transport ({ send, listen, close }).
+// Only one search runs at a time: starting a new analysis stops the current
+// one and waits for its "bestmove" before the next "go" is sent.
+export const createUciEngine = (transport) => {
+  let state = 'starting'; // starting -> ready
+  let searching = false;
+  let current = null;
+  let pending = null;
+  let multiPv = 1;
+  let chess960 = false;
+
+  const send = (command) => transport.send(command);
+
+  const startPending = () => {
+    if (!pending || state !== 'ready' || searching) return;
+    current = { ...pending, lines: [] };
+    pending = null;
+
+    if (current.multiPv !== multiPv) {
+      multiPv = current.multiPv;
+      send(`setoption name MultiPV value ${multiPv}`);
+    }
+    // Engines only read Shredder-FEN castling rights in Chess960 mode
+    if (needsChess960(current.fen) !== chess960) {
+      chess960 = !chess960;
+      send(`setoption name UCI_Chess960 value ${chess960}`);
+    }
+    send(`position fen ${current.fen}`);
+    send(current.depth ? `go depth ${current.depth}` : 'go infinite');
+    searching = true;
+  };
+
+  const handleLine = (line) => {
+    if (line === 'uciok') {
+      send('isready');
+    } else if (line === 'readyok') {
+      if (state === 'starting') {
+        state = 'ready';
+        startPending();
+      }
+    } else if (line.startsWith('bestmove')) {
+      searching = false;
+      if (current && current.onDone) current.onDone(line.split(/\s+/)[1]);
+      current = null;
+      startPending();
+    } else if (line.startsWith('info') && current) {
+      const info = parseInfoLine(line);
+      if (!info || info.multipv > current.multiPv) return;
+      current.lines[info.multipv - 1] = {
+        multipv: info.multipv,
+        depth: info.depth,
+        score: toWhitePerspective(info.score, current.fen),
+        pv: info.pv,
+      };
+      current.onUpdate(current.lines.filter(Boolean));
+    }
+  };
+
+  const unlisten = transport.listen((data) => {
+    String(data).split('\n').forEach((line) => {
+      const trimmed = line.trim();
+      if (trimmed) handleLine(trimmed);
+    });
+  });
+
+  send('uci');
+
+  return {
+    analyze(fen, { multiPv: lines = 1, depth = null, onUpdate, onDone = null }) {
+      pending = { fen, multiPv: lines, depth, onUpdate, onDone };
+      if (searching) {
+        // Ignore whatever the old search still prints until its bestmove arrives
+        current = null;
+        send('stop');
+      } else {
+        startPending();
+      }
+    },
+
+    stop() {
+      pending = null;
+      current = null;
+      if (searching) send('stop');
+    },
+
+    // Detach from the transport; the transport itself belongs to whoever created it
+    destroy() {
+      this.stop();
+      unlisten();
+    },
+  };
+};
@@ -0,0 +1,487 @@
+import { Chess } from 'chess.js';
+import { parse } from '@mliebelt/pgn-parser';
+import { headersFromParsedTags, formatHeaders } from '../pgn/tags';
+import { shapesFromCommentDiag } from '../pgn/shapes';
+import { clocksFromCommentDiag } from '../pgn/clock';
+import { evaluationFromCommentDiag } from '../pgn/eval';
+import { formatComment } from '../pgn/comments';
+import { formatNagsForPgn } from '../pgn/nags';
+import { createGame, toChess960Fen, toXFen, isChess960Variant, needsChess960, CHESS960, STANDARD } from '../variants/chess960';
+
+// Framework-free model of an analysis tree. A tree is a plain object:
+//
+//   { id: 'root', san: null, comment: '', arrows: [], highlights: [], fen, ply: -1, variant: 'standard', children: [...] }
+//
+// and every move node adds { move, san, nags, clock, elapsed, evaluation }: the
+// [%clk]/[%emt] strings and the [%eval] score, or null. Shapes drawn on the start
+// position live on the root.
+// children[0] is the main line, the rest are variations. A path is the list of child indexes from the
+// root, so [0, 0, 1] is the first variation on Black's first move.
+//
+// Chess960 trees (variant 'chess960') store Shredder-FENs, which createGame
+// plays with Chess960 castling.
+//
+// Editing functions mutate the tree they're given, which makes them usable on
+// immer drafts as well as on plain objects in Node scripts.
+
+export const STANDARD_FEN = new Chess().fen();
+
+// A unique ID for new nodes
+let nextId = 0;
+
+export const createRoot = (fen = STANDARD_FEN, variant = STANDARD) => ({
+  id: 'root',
+  san: null,
+  comment: '',
+  arrows: [],
+  highlights: [],
+  fen,
+  ply: -1,
+  variant,
+  children: [],
+});
+
+// A root for a position given as a standard FEN, an X-FEN or a Shredder-FEN.
+// Chess960 positions are stored as Shredder-FENs; this throws if one is invalid.
+export const createRootForPosition = (fen, { chess960 = needsChess960(fen) } = {}) =>
+  (chess960 ? createRoot(toChess960Fen(fen), CHESS960) : createRoot(fen));
+
+// Keep new nodes from reusing the ids of a tree built elsewhere, e.g. one loaded from a study
+export const reserveIds = (tree) => {
+  const visit = (node) => {
+    if (typeof node.id === 'number' && node.id >= nextId) nextId = node.id + 1;
+    node.children.forEach(visit);
+  };
+  visit(tree);
+};
+
+// Build a child node for a move played from `parent`. `move` is a chess.js
+// move object and `fen` the position after it.
+export const createNode = (parent, move, fen, fields = {}) => ({
+  id: nextId++,
+  move,
+  san: move.san,
+  nags: [],
+  arrows: [],
+  highlights: [],
+  clock: null,
+  elapsed: null,
+  evaluation: null,
+  comment: '',
+  fen,
+  ply: parent.ply + 1,
+  children: [],
+  ...fields,
+});
+
+// ---------------------------------------------------------------------------
+// Lookup and traversal
+
+export const getNode = (tree, path) => {
+  let node = tree;
+  for (const index of path) {
+    node = node.children[index];
+  }
+  return node;
+};
+
+export const isValidPath = (tree, path) => {
+  if (!Array.isArray(path)) return false;
+  let node = tree;
+  for (const index of path) {
+    if (!Number.isInteger(index) || !node.children[index]) return false;
+    node = node.children[index];
+  }
+  return true;
+};
+
+// Nodes along a path, starting with the root
+export const getLine = (tree, path) => {
+  const nodes = [tree];
+  let node = tree;
+  for (const index of path) {
+    node = node.children[index];
+    nodes.push(node);
+  }
+  return nodes;
+};
+
+// Path to the last move of the main line that continues from `path`
+export const getMainLineEnd = (tree, path = []) => {
+  const endPath = [...path];
+  let node = getNode(tree, path);
+  while (node.children.length > 0) {
+    node = node.children[0];
+    endPath.push(0);
+  }
+  return endPath;
+};
+
+// [{ node, path, parent }] for every move of the main line
+export const getMainLine = (tree) => {
+  const line = [];
+  let parent = tree;
+  const path = [];
+  while (parent.children.length > 0) {
+    path.push(0);
+    line.push({ node: parent.children[0], path: [...path], parent });
+    parent = parent.children[0];
+  }
+  return line;
+};
+
+// Path of the sibling `offset` places away (1 = next variation, -1 = previous),
+// or null if there is none
+export const getSiblingPath = (tree, path, offset) => {
+  if (path.length === 0) return null;
+  const parent = getNode(tree, path.slice(0, -1));
+  const index = path[path.length - 1] + offset;
+  return index >= 0 && index < parent.children.length ? [...path.slice(0, -1), index] : null;
+};
+
+// Path of the first side line that starts after `path`, or null if the next move has no alternatives
+export const getVariationEntryPath = (tree, path) =>
+  getNode(tree, path).children.length > 1 ? [...path, 1] : null;
+
+// The position a side line branches from: the parent of its first move.
+// Returns null on the main line.
+export const getBranchPointPath = (path) => {
+  const lastSideMove = path.findLastIndex(index => index !== 0);
+  return lastSideMove === -1 ? null : path.slice(0, lastSideMove);
+};
+
+// Position identity for comparing nodes: move counters don't change the
+// position, so only placement, side to move, castling and en passant are kept
+export const positionKey = (fen) => fen.split(' ').slice(0, 4).join(' ');
+
+// Positions reached more than once in the tree, as a Map of position key to
+// the paths that reach it (in PGN order)
+export const findTranspositions = (tree) => {
+  const paths = new Map();
+  walk(tree, (node, path) => {
+    const key = positionKey(node.fen);
+    paths.set(key, [...(paths.get(key) || []), path]);
+  });
+  return new Map([...paths].filter(([, occurrences]) => occurrences.length > 1));
+};
+
+// The moves leading to `path` as numbered SAN, e.g. "1. d4 Nf6 2. c4"
+export const lineToSan = (tree, path) => {
+  const line = getLine(tree, path);
+  return line.slice(1).map((node, index) => {
+    // The parent's FEN knows the move number, even for games from a custom position
+    const moveNumber = line[index].fen.split(' ')[5];
+    if (node.move.color === 'w') return `${moveNumber}. ${node.san}`;
+    return index === 0 ? `${moveNumber}... ${node.san}` : node.san;
+  }).join(' ');
+};
+
+// The move at `path` with its number, e.g. "12... d5"; '' for the starting position
+export const moveLabel = (tree, path) => {
+  if (path.length === 0) return '';
+  const line = getLine(tree, path);
+  const node = line[line.length - 1];
+  const moveNumber = line[line.length - 2].fen.split(' ')[5];
+  return `${moveNumber}${node.move.color === 'w' ? '.' : '...'} ${node.san}`;
+};
+
+// Depth-first walk in PGN order (main line before variations). Returning
+// false from the visitor skips that node's subtree.
+export const walk = (tree, visitor) => {
+  const visit = (node, path, parent) => {
+    if (visitor(node, path, parent) === false) return;
+    node.children.forEach((child, index) => visit(child, [...path, index], node));
+  };
+  visit(tree, [], null);
+};
+
+// ---------------------------------------------------------------------------
+// Game over
+
+export const DRAW = '1/2-1/2';
+
+export const GAME_OVER_LABELS = {
+  checkmate: 'Checkmate',
+  stalemate: 'Stalemate',
+  insufficientMaterial: 'Insufficient material',
+  threefoldRepetition: 'Threefold repetition',
+  fiftyMoves: 'Fifty-move rule',
+};
+
+export const RESULT_LABELS = {
+  '1-0': 'White wins',
+  '0-1': 'Black wins',
+  [DRAW]: 'Draw',
+};
+
+// Mate, stalemate and insufficient material only depend on the FEN. findGameOvers
+// asks about every node whenever the tree changes, even for a comment, so the
+// answers for recent positions are kept rather than worked out with chess.js again.
+const MAX_CACHED_POSITIONS = 10000;
+const positionEndings = new Map();
+
+const positionEnding = (fen) => {
+  if (positionEndings.has(fen)) return positionEndings.get(fen);
+  const game = createGame(fen);
+  let ending = null;
+  if (game.isCheckmate()) ending = { reason: 'checkmate', result: game.turn() === 'w' ? '0-1' : '1-0' };
+  else if (game.isStalemate()) ending = { reason: 'stalemate', result: DRAW };
+  else if (game.isInsufficientMaterial()) ending = { reason: 'insufficientMaterial', result: DRAW };
+  // Forget the oldest position once the cache is full
+  if (positionEndings.size >= MAX_CACHED_POSITIONS) positionEndings.delete(positionEndings.keys().next().value);
+  positionEndings.set(fen, ending);
+  return ending;
+};
+
+// How the game stands in a position that has occurred `repetitions` times on
+// the way to it: null while it goes on, otherwise { reason, result }. Threefold
+// repetition and the fifty-move rule only end the game when a player claims the
+// draw, so those are marked `claimable`.
+const gameOverState = (fen, repetitions) => {
+  const ending = positionEnding(fen);
+  if (ending) return { ...ending };
+  if (repetitions >= 3) return { reason: 'threefoldRepetition', result: DRAW, claimable: true };
+  if (Number(fen.split(' ')[4]) >= 100) return { reason: 'fiftyMoves', result: DRAW, claimable: true };
+  return null;
+};
+
+export const gameOverAt = (tree, path) => {
+  const line = getLine(tree, path);
+  const key = positionKey(line[line.length - 1].fen);
+  return gameOverState(line[line.length - 1].fen, line.filter(node => positionKey(node.fen) === key).length);
+};
+
+// Every node where the game is over, as a Map of node id to { reason, result }
+export const findGameOvers = (tree) => {
+  const states = new Map();
+  const seen = new Map();
+  const visit = (node) => {
+    const key = positionKey(node.fen);
+    seen.set(key, (seen.get(key) || 0) + 1);
+    const state = gameOverState(node.fen, seen.get(key));
+    if (state) states.set(node.id, state);
+    node.children.forEach(visit);
+    seen.set(key, seen.get(key) - 1);
+  };
+  visit(tree);
+  return states;
+};
+
+// The result the main line ends in by the rules, or null if it doesn't end the
+// game. Draws that have to be claimed don't count.
+export const automaticResult = (tree) => {
+  const state = gameOverAt(tree, getMainLineEnd(tree));
+  return state && !state.claimable ? state.result : null;
+};
+
+// ---------------------------------------------------------------------------
+// Editing
+
+// Play a move after the node at `path`. An existing child with the same SAN is
+// reused instead of duplicated. Throws if the move is illegal.
+// Returns { path, node, added }.
+export const addMove = (tree, path, moveInput) => {
+  const parent = getNode(tree, path);
+  const game = createGame(parent.fen);
+  const move = game.move(moveInput);
+
+  const existingIndex = parent.children.findIndex(child => child.san === move.san);
+  if (existingIndex !== -1) {
+    return { path: [...path, existingIndex], node: parent.children[existingIndex], added: false };
+  }
+
+  const node = createNode(parent, move, game.fen());
+  parent.children.push(node);
+  return { path: [...path, parent.children.length - 1], node, added: true };
+};
+
+// Play a sequence of moves after `path`, reusing moves that already exist.
+// Returns the path of the last move.
+export const addLine = (tree, path, moves) => {
+  let currentPath = path;
+  for (const moveInput of moves) {
+    currentPath = addMove(tree, currentPath, moveInput).path;
+  }
+  return currentPath;
+};
+
+// Remove the move at `path` together with everything after it
+export const deleteNode = (tree, path) => {
+  if (path.length === 0) return;
+  const parent = getNode(tree, path.slice(0, -1));
+  parent.children.splice(path[path.length - 1], 1);
+};
+
+// Move a child to a new index among its siblings. Returns the new path.
+export const reorderVariation = (tree, path, newIndex) => {
+  const parentPath = path.slice(0, -1);
+  const parent = getNode(tree, parentPath);
+  const index = path[path.length - 1];
+  const targetIndex = Math.max(0, Math.min(newIndex, parent.children.length - 1));
+  const [node] = parent.children.splice(index, 1);
+  parent.children.splice(targetIndex, 0, node);
+  return [...parentPath, targetIndex];
+};
+
+// Make a variation the first choice at its branch point. Returns the new path.
+export const promoteVariation = (tree, path) => reorderVariation(tree, path, 0);
+
+// Make the line through `path` the main line at every branch point above it.
+// Returns the new path (all zeros).
+export const makeMainLine = (tree, path) => {
+  path.forEach((_, depth) => {
+    promoteVariation(tree, [...path.slice(0, depth).map(() => 0), path[depth]]);
+  });
+  return path.map(() => 0);
+};
+
+// Keep only the main continuation of every position after `path`
+export const deleteVariations = (tree, path) => {
+  walk(getNode(tree, path), (node) => {
+    node.children.splice(1);
+  });
+};
+
+// Clear the comments of the move at `path` and everything after it
+export const deleteComments = (tree, path) => {
+  walk(getNode(tree, path), (node) => {
+    node.comment = '';
+  });
+};
+
+// ---------------------------------------------------------------------------
+// PGN import
+
+// Comments can be before or after a move, so we combine them
+const commentFromMove = (move) => [
+  ...(move.commentBefore ? [move.commentBefore] : []),
+  ...(move.commentMove ? [move.commentMove] : []),
+  ...(move.commentAfter ? [move.commentAfter] : []),
+].join(' ').trim();
+
+// Walk the parser's moves (and their variations) into the tree below `parent`.
+// Throws on the first illegal move.
+const addParsedMoves = (parent, moves) => {
+  if (!moves || moves.length === 0) return;
+  let lastNodeForThisLine = parent;
+
+  for (const parsedMove of moves) {
+    const game = createGame(lastNodeForThisLine.fen);
+    const move = game.move(parsedMove.notation.notation);
+    const node = createNode(lastNodeForThisLine, move, game.fen(), {
+      nags: parsedMove.nag || [],
+      // [%cal]/[%csl]/[%clk]/[%emt]/[%eval] commands arrive already split out of the comment text
+      ...shapesFromCommentDiag(parsedMove.commentDiag),
+      ...clocksFromCommentDiag(parsedMove.commentDiag),
+      ...evaluationFromCommentDiag(parsedMove.commentDiag),
+      comment: commentFromMove(parsedMove),
+    });
+    lastNodeForThisLine.children.push(node);
+
+    // Variations are alternatives to this move, so they hang off the same parent
+    if (parsedMove.variations) {
+      parsedMove.variations.forEach(variation => addParsedMoves(lastNodeForThisLine, variation));
+    }
+
+    // The next move in the main line follows the node we just added
+    lastNodeForThisLine = node;
+  }
+};
+
+// Split a PGN file into parsed games. Throws on syntax errors.
+export const parseGames = (pgnString) => parse(pgnString, { startRule: 'games' });
+
+// Build a tree from one parsed game. A FEN header wins over `startingFen`.
+// Chess960 games are recognised by their Variant header, or by castling rights
+// that only make sense in Chess960. Returns { tree, headers, startingFen }.
+export const fromParsedGame = (game, { startingFen = STANDARD_FEN } = {}) => {
+  const fen = game.tags && game.tags.FEN ? game.tags.FEN : startingFen;
+  const chess960 = isChess960Variant(game.tags && game.tags.Variant) || needsChess960(fen);
+  if (!chess960) new Chess(fen); // throws on an invalid FEN header
+  const tree = createRootForPosition(fen, { chess960 });
+  // A comment before the first move belongs to the starting position
+  if (game.gameComment) {
+    Object.assign(tree, shapesFromCommentDiag(game.gameComment), { comment: (game.gameComment.comment || '').trim() });
+  }
+  addParsedMoves(tree, game.moves);
+  return { tree, headers: headersFromParsedTags(game.tags), startingFen: tree.fen };
+};
+
+// Parse a single game without building a tree. Throws on syntax errors.
+export const parseGame = (pgnString) => parse(pgnString, { startRule: 'game' });
+
+// Parse a single-game PGN string into { tree, headers, startingFen }
+export const fromPgn = (pgnString, options) => fromParsedGame(parseGame(pgnString), options);
+
+// ---------------------------------------------------------------------------
+// PGN export
+
+const formatMove = (node, parent, withMoveNumber) => {
+  let text = '';
+  if (withMoveNumber) {
+    // The parent's FEN knows the move number, even for games from a custom position
+    const moveNumber = parent.fen.split(' ')[5];
+    text += node.move.color === 'w' ? `${moveNumber}. ` : `${moveNumber}... `;
+  }
+  text += `${node.san} `;
+  if (node.nags && node.nags.length > 0) text += `${formatNagsForPgn(node.nags)} `;
+  const comment = formatComment(node);
+  if (comment) text += `{ ${comment} } `;
+  return text;
+};
+
+// Movetext for everything after `node`, variations in parentheses
+export const movesToPgn = (node) => {
+  if (!node || !node.children || node.children.length === 0) {
+    return '';
+  }
+
+  const mainLine = node.children[0];
+  const variations = node.children.slice(1);
+
+  // White's moves are numbered, and so is Black's first move of the game
+  let pgnString = formatMove(mainLine, node, mainLine.move.color === 'w' || !node.move);
+
+  variations.forEach(variation => {
+    const variationPgn = formatMove(variation, node, variation.move.color === 'b') + movesToPgn(variation);
+    pgnString += `(${variationPgn.trim()}) `;
+  });
+
+  // Recurse down the main line
+  pgnString += movesToPgn(mainLine);
+  return pgnString;
+};
+
+// PGN of the moves leading to `path`, without any side lines
+export const lineToPgn = (tree, path, options) => {
+  const line = createRoot(tree.fen, tree.variant);
+  getLine(tree, path).slice(1).reduce((parent, node) => {
+    const copy = { ...node, children: [] };
+    parent.children.push(copy);
+    return copy;
+  }, line);
+  return toPgn(line, options);
+};
+
+// Full PGN for a tree: headers, SetUp/FEN for custom positions, movetext and
+// the termination marker. The result is the Result header when one has been
+// set, otherwise whatever the main line ends in by the rules (mate, stalemate,
+// insufficient material), otherwise "*". Chess960 games always get a Variant
+// header and an X-FEN, which more programs read than Shredder-FEN.
+// computedHeaders (such as ECO and Opening from the book) fill in tags the
+// headers don't set.
+export const toPgn = (tree, { headers: givenHeaders = {}, computedHeaders = {} } = {}) => {
+  const result = givenHeaders.Result && givenHeaders.Result !== '*' ? givenHeaders.Result : automaticResult(tree) || '*';
+  // A game without headers stays that way until it has a result
+  const headers = Object.keys(givenHeaders).length > 0 || result !== '*' ? { ...givenHeaders, Result: result } : givenHeaders;
+  const chess960 = tree.variant === CHESS960;
+  const headerSection = chess960
+    ? formatHeaders(headers.Variant ? headers : { ...headers, Variant: 'Chess960' }, toXFen(tree.fen), computedHeaders)
+    : formatHeaders(headers, tree.fen !== STANDARD_FEN ? tree.fen : null, computedHeaders);
+  let pgn = headerSection ? `${headerSection}\n\n` : '';
+  // The starting position's comment and shapes go before the first move
+  const rootComment = formatComment(tree);
+  pgn += `${rootComment ? `{ ${rootComment} } ` : ''}${movesToPgn(tree)}`.trim();
+
+  return pgn === '' ? ` ${result}` : `${pgn} ${result}`;
+};
@@ -0,0 +1,255 @@
+import { describe, it, expect, vi } from 'vitest'
+import { Chess } from 'chess.js'
+import * as GameTree from '../GameTree'
+
+const sans = (nodes) => nodes.map(node => node.san)
+
+describe('GameTree', () => {
+  it('round-trips PGN with variations, comments, NAGs and shapes', () => {
+    const pgn = '1. e4 $1 { Best by test } e5 (c5 2. Nf3) 2. Nf3 { [%csl Gd4][%cal Gf3e5] Attack } *'
+    const { tree } = GameTree.fromPgn(pgn)
+    expect(GameTree.toPgn(tree)).toBe('1. e4 $1 { Best by test } e5 (1... c5 2. Nf3) 2. Nf3 { [%csl Gd4][%cal Gf3e5] Attack } *')
+  })
+
+  it('writes the starting position\'s comment and shapes before the first move', () => {
+    const tree = GameTree.createRoot()
+    tree.comment = 'White to play'
+    tree.arrows = [{ from: 'e2', to: 'e4', color: 'G' }]
+    tree.highlights = [{ square: 'd5', color: 'R' }]
+    expect(GameTree.toPgn(tree)).toBe('{ [%csl Rd5][%cal Ge2e4] White to play } *')
+
+    GameTree.addMove(tree, [], 'e4')
+    const pgn = GameTree.toPgn(tree)
+    expect(pgn).toBe('{ [%csl Rd5][%cal Ge2e4] White to play } 1. e4 *')
+    const { tree: reloaded } = GameTree.fromPgn(pgn)
+    expect(reloaded).toMatchObject({ comment: 'White to play', arrows: tree.arrows, highlights: tree.highlights })
+    expect(GameTree.toPgn(reloaded)).toBe(pgn)
+  })
+
+  it('keeps [%clk]/[%emt] out of the comment and writes them back unchanged', () => {
+    const pgn = '1. e4 { [%clk 0:03:00] } e5 { [%clk 0:02:58.4][%emt 0:00:02] Fast } 2. Nf3 *'
+    const { tree } = GameTree.fromPgn(pgn)
+    expect(GameTree.getNode(tree, [0, 0])).toMatchObject({ clock: '0:02:58.4', elapsed: '0:00:02', comment: 'Fast' })
+    expect(GameTree.getNode(tree, [0, 0, 0])).toMatchObject({ clock: null, elapsed: null })
+    expect(GameTree.toPgn(tree)).toBe(pgn)
+  })
+
+  it('reads [%eval] scores from White\'s side and writes them back', () => {
+    const { tree } = GameTree.fromPgn('1. e4 { [%eval 0.3] [%clk 0:03:00] } e5 { [%eval #-3] } *')
+    expect(GameTree.getNode(tree, [0]).evaluation).toEqual({ type: 'cp', value: 30 })
+    expect(GameTree.getNode(tree, [0, 0]).evaluation).toEqual({ type: 'mate', value: -3 })
+    expect(GameTree.toPgn(tree)).toBe('1. e4 { [%eval 0.30][%clk 0:03:00] } e5 { [%eval #-3] } *')
+  })
+
+  it('writes headers and SetUp/FEN for custom positions', () => {
+    const fen = '8/8/8/8/8/8/4K1k1/8 w - - 0 1'
+    const { tree, headers } = GameTree.fromPgn(`[White "Tal"]\n[Result "1-0"]\n[SetUp "1"]\n[FEN "${fen}"]\n\n1. Kd3 1-0`)
+    expect(tree.fen).toBe(fen)
+
+    const output = GameTree.toPgn(tree, { headers })
+    expect(output).toContain('[White "Tal"]')
+    expect(output).toContain(`[FEN "${fen}"]`)
+    expect(output.endsWith('1. Kd3 1-0')).toBe(true)
+  })
+
+  it('numbers moves from the starting position\'s FEN', () => {
+    const fen = 'rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 3 20'
+    const tree = GameTree.createRootForPosition(fen)
+    const nf6 = GameTree.addMove(tree, [], 'Nf6')
+    const nc3 = GameTree.addMove(tree, nf6.path, 'Nc3')
+    GameTree.addMove(tree, nc3.path, 'Bc5')
+    GameTree.addMove(tree, nf6.path, 'd3')
+    GameTree.addMove(tree, [], 'Nc6')
+
+    expect(GameTree.toPgn(tree).split('\n\n')[1]).toBe('20... Nf6 (20... Nc6) 21. Nc3 (d3) Bc5 *')
+    expect(GameTree.moveLabel(tree, [0, 0])).toBe('21. Nc3')
+  })
+
+  it('reads and writes Chess960 games with X-FEN', () => {
+    const xfen = 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w KQkq - 0 1'
+    const { tree, headers } = GameTree.fromPgn(`[Variant "Chess960"]\n[FEN "${xfen}"]\n\n1. O-O O-O-O 2. Kh1 *`)
+    expect(tree.variant).toBe('chess960')
+    expect(tree.fen).toBe('rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w GAga - 0 1')
+    expect(GameTree.getNode(tree, [0, 0]).fen).toBe('2kr2r1/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 w - - 2 2')
+
+    const output = GameTree.toPgn(tree, { headers })
+    expect(output).toContain('[Variant "Chess960"]')
+    expect(output).toContain(`[FEN "${xfen}"]`)
+    expect(output.endsWith('1. O-O O-O-O 2. Kh1 *')).toBe(true)
+
+    // Castling rights that don't fit standard chess are enough to spot a Chess960 game
+    expect(GameTree.fromPgn(`[FEN "${xfen}"]\n\n1. O-O *`).tree.variant).toBe('chess960')
+    expect(GameTree.createRootForPosition(GameTree.STANDARD_FEN).variant).toBe('standard')
+  })
+
+  it('detects the ways a game can end', () => {
+    const { tree: mate } = GameTree.fromPgn('1. f3 e5 2. g4 Qh4# *')
+    expect(GameTree.gameOverAt(mate, [0, 0, 0, 0])).toEqual({ reason: 'checkmate', result: '0-1' })
+    expect(GameTree.gameOverAt(mate, [0, 0, 0])).toBeNull()
+
+    expect(GameTree.gameOverAt(GameTree.createRoot('k7/8/1Q6/8/8/8/8/7K b - - 0 1'), [])).toEqual({ reason: 'stalemate', result: '1/2-1/2' })
+    expect(GameTree.gameOverAt(GameTree.createRoot('k7/8/8/8/8/8/8/K7 w - - 0 1'), []).reason).toBe('insufficientMaterial')
+
+    const fifty = GameTree.createRoot('8/8/8/4k3/8/8/8/4K2R w - - 99 80')
+    GameTree.addMove(fifty, [], 'Rh2')
+    expect(GameTree.gameOverAt(fifty, [0]).reason).toBe('fiftyMoves')
+
+    // The starting position comes back twice on the main line but only once in the variation
+    const { tree: shuffle } = GameTree.fromPgn('1. Nf3 Nf6 2. Ng1 Ng8 (2... Nh5) 3. Nf3 Nf6 4. Ng1 Ng8 *')
+    const repeated = [0, 0, 0, 0, 0, 0, 0, 0]
+    expect(GameTree.gameOverAt(shuffle, repeated)).toEqual({ reason: 'threefoldRepetition', result: '1/2-1/2', claimable: true })
+    expect([...GameTree.findGameOvers(shuffle).keys()]).toEqual([GameTree.getNode(shuffle, repeated).id])
+  })
+
+  it('only checks positions it has not seen before for the end of the game', () => {
+    const tree = GameTree.createRoot('4k3/8/8/8/8/8/3PP3/4K3 w - - 0 30')
+    const path = GameTree.addLine(tree, [], ['d4', 'Kd7', 'e4'])
+    GameTree.findGameOvers(tree)
+
+    const isCheckmate = vi.spyOn(Chess.prototype, 'isCheckmate')
+    GameTree.getNode(tree, path).comment = 'Two connected passers'
+    GameTree.findGameOvers(tree)
+    expect(isCheckmate).not.toHaveBeenCalled()
+
+    GameTree.addMove(tree, path, 'Kc6')
+    expect(GameTree.findGameOvers(tree).size).toBe(0)
+    expect(isCheckmate).toHaveBeenCalledTimes(1)
+    isCheckmate.mockRestore()
+  })
+
+  it('writes the result the main line ends in unless one was set by hand', () => {
+    const { tree, headers } = GameTree.fromPgn('[White "Fool"]\n\n1. f3 e5 2. g4 Qh4# *')
+    const output = GameTree.toPgn(tree, { headers })
+    expect(output).toContain('[Result "0-1"]')
+    expect(output.endsWith('2. g4 Qh4# 0-1')).toBe(true)
+    // A game without headers gets a Result header once it's decided
+    const headerless = GameTree.toPgn(tree)
+    expect(headerless).toContain('[Result "0-1"]')
+    expect(headerless.endsWith('\n\n1. f3 e5 2. g4 Qh4# 0-1')).toBe(true)
+    expect(GameTree.toPgn(GameTree.fromPgn('1. e4 e5 *').tree)).toBe('1. e4 e5 *')
+
+    const { tree: resigned, headers: resignedHeaders } = GameTree.fromPgn('[Result "1-0"]\n\n1. e4 e5 1-0')
+    expect(GameTree.toPgn(resigned, { headers: resignedHeaders }).endsWith('1. e4 e5 1-0')).toBe(true)
+    expect(GameTree.automaticResult(resigned)).toBeNull()
+  })
+
+  it('leaves draws by repetition and the fifty-move rule to be claimed', () => {
+    const { tree: shuffle } = GameTree.fromPgn('1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 *')
+    expect(GameTree.automaticResult(shuffle)).toBeNull()
+    expect(GameTree.toPgn(shuffle)).toBe('1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 *')
+
+    const fifty = GameTree.createRoot('8/8/8/4k3/8/8/8/4K2R w - - 99 80')
+    GameTree.addMove(fifty, [], 'Rh2')
+    expect(GameTree.automaticResult(fifty)).toBeNull()
+
+    const { tree: bare } = GameTree.fromPgn('[FEN "8/8/8/8/4k3/8/8/4K1N1 w - - 0 1"]\n\n1. Nf3 Kxf3 *')
+    expect(GameTree.automaticResult(bare)).toBe('1/2-1/2')
+  })
+
+  it('exports an empty game as a bare termination marker', () => {
+    expect(GameTree.toPgn(GameTree.createRoot())).toBe(' *')
+  })
+
+  it('reuses existing moves and rejects illegal ones', () => {
+    const tree = GameTree.createRoot()
+    const first = GameTree.addMove(tree, [], 'e4')
+    const again = GameTree.addMove(tree, [], { from: 'e2', to: 'e4' })
+
+    expect(first.added).toBe(true)
+    expect(again.added).toBe(false)
+    expect(again.path).toEqual([0])
+    expect(tree.children).toHaveLength(1)
+    expect(() => GameTree.addMove(tree, [0], 'e4')).toThrow()
+  })
+
+  it('adds lines as variations and reorders them', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 2. Nf3 *')
+    const path = GameTree.addLine(tree, [0, 0], ['f4', 'exf4'])
+    expect(path).toEqual([0, 0, 1, 0])
+
+    const promoted = GameTree.promoteVariation(tree, [0, 0, 1])
+    expect(promoted).toEqual([0, 0, 0])
+    expect(sans(GameTree.getMainLine(tree).map(({ node }) => node))).toEqual(['e4', 'e5', 'f4', 'exf4'])
+
+    expect(GameTree.reorderVariation(tree, [0, 0, 0], 5)).toEqual([0, 0, 1])
+    expect(GameTree.getNode(tree, [0, 0, 0]).san).toBe('Nf3')
+  })
+
+  it('deletes a move with everything after it', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 (c5) 2. Nf3 *')
+    GameTree.deleteNode(tree, [0, 0])
+    expect(sans(GameTree.getLine(tree, GameTree.getMainLineEnd(tree)))).toEqual([null, 'e4', 'c5'])
+  })
+
+  it('validates paths', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 (c5) *')
+    expect(GameTree.isValidPath(tree, [0, 1])).toBe(true)
+    expect(GameTree.isValidPath(tree, [0, 2])).toBe(false)
+    expect(GameTree.isValidPath(tree, [0.5])).toBe(false)
+    expect(GameTree.isValidPath(tree, 'e4')).toBe(false)
+  })
+
+  it('walks nodes in PGN order and can skip subtrees', () => {
+    const { tree } = GameTree.fromPgn('1. e4 (1. d4 d5) 1... e5 *')
+    const visited = []
+    GameTree.walk(tree, (node) => {
+      visited.push(node.san)
+      if (node.san === 'd4') return false
+    })
+    expect(visited).toEqual([null, 'e4', 'e5', 'd4'])
+  })
+
+  it('finds sibling variations, side line entries and branch points', () => {
+    const { tree } = GameTree.fromPgn('1. e4 (1. d4) (1. c4) 1... e5 (1... c5 2. Nf3 (2. c3)) *')
+    expect(GameTree.getSiblingPath(tree, [1], 1)).toEqual([2])
+    expect(GameTree.getSiblingPath(tree, [2], 1)).toBeNull()
+    expect(GameTree.getSiblingPath(tree, [0], -1)).toBeNull()
+    expect(GameTree.getVariationEntryPath(tree, [0])).toEqual([0, 1])
+    expect(GameTree.getVariationEntryPath(tree, [0, 0])).toBeNull()
+    expect(GameTree.getBranchPointPath([0, 1, 1])).toEqual([0, 1])
+    expect(GameTree.getBranchPointPath([0, 1, 0])).toEqual([0])
+    expect(GameTree.getBranchPointPath([0, 0])).toBeNull()
+  })
+
+  it('makes a side line the main line all the way up', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 (1... c5 2. Nf3 (2. c3 d5)) 2. Nf3 *')
+    expect(GameTree.makeMainLine(tree, [0, 1, 1, 0])).toEqual([0, 0, 0, 0])
+    expect(GameTree.toPgn(tree)).toBe('1. e4 c5 (1... e5 2. Nf3) 2. c3 (Nf3) d5 *')
+  })
+
+  it('deletes variations and comments below a move', () => {
+    const { tree } = GameTree.fromPgn('1. e4 { a } e5 { b } (1... c5 { c }) 2. Nf3 (2. f4) *')
+    GameTree.deleteComments(tree, [0, 0])
+    expect(GameTree.toPgn(tree)).toBe('1. e4 { a } e5 (1... c5 { c }) 2. Nf3 (f4) *')
+
+    GameTree.deleteVariations(tree, [0, 0])
+    expect(GameTree.toPgn(tree)).toBe('1. e4 { a } e5 (1... c5 { c }) 2. Nf3 *')
+  })
+
+  it('exports the line leading to a move', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 (1... c5 { Sicilian } 2. Nf3) 2. Nf3 *')
+    expect(GameTree.lineToPgn(tree, [0, 1, 0])).toBe('1. e4 c5 { Sicilian } 2. Nf3 *')
+    expect(GameTree.lineToPgn(tree, [])).toBe(' *')
+  })
+
+  it('indexes positions reached by different move orders', () => {
+    const { tree } = GameTree.fromPgn('1. d4 Nf6 2. c4 e6 (2... g6) 3. Nf3 (3. Nc3) * ')
+    GameTree.addLine(tree, [], ['c4', 'e6', 'd4', 'Nf6'])
+
+    const transpositions = GameTree.findTranspositions(tree)
+    expect([...transpositions.values()]).toEqual([[[0, 0, 0, 0], [1, 0, 0, 0]]])
+    expect(GameTree.positionKey('8/8/8/8/8/8/4K1k1/8 w - - 12 40')).toBe('8/8/8/8/8/8/4K1k1/8 w - -')
+  })
+
+  it('formats a line as numbered SAN', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 (1... c5 2. Nf3) 2. Nf3 *')
+    expect(GameTree.lineToSan(tree, [0, 1, 0])).toBe('1. e4 c5 2. Nf3')
+    expect(GameTree.lineToSan(tree, [])).toBe('')
+
+    const { tree: blackToMove } = GameTree.fromPgn('[FEN "4k3/8/8/8/8/8/8/4K3 b - - 0 1"]\n\n1... Kd7 2. Kd2 *')
+    expect(GameTree.lineToSan(blackToMove, [0, 0])).toBe('1... Kd7 2. Kd2')
+    expect(GameTree.moveLabel(tree, [0, 1])).toBe('1... c5')
+    expect(GameTree.moveLabel(blackToMove, [0, 0])).toBe('2. Kd2')
+    expect(GameTree.moveLabel(tree, [])).toBe('')
+  })
+})
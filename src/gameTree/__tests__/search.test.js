@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import * as GameTree from '../GameTree'
+import { parseQuery, searchTree } from '../search'
+
+const pgn = '1. d4 Nf6 2. c4 e6 { Preparing the d5 break } (2... g6 3. Nc3 d5 { Grünfeld }) 3. Nf3 d5 *'
+const paths = (results) => results.map(({ path }) => path)
+
+describe('search', () => {
+  it('tells move sequences, piece patterns and positions apart', () => {
+    expect(parseQuery('1. d4 Nf6 2.c4')).toMatchObject({ text: '1. d4 nf6 2.c4', moves: ['d4', 'Nf6', 'c4'] })
+    expect(parseQuery('d5 break')).toMatchObject({ text: 'd5 break', moves: null })
+    expect(parseQuery('N@f3 p@d5').pieces).toEqual([{ piece: 'N', index: 45 }, { piece: 'p', index: 27 }])
+    expect(parseQuery('8/8/8/8/8/8/8/4K2? w').position).toEqual({ board: `${'.'.repeat(60)}K..?`, turn: 'w' })
+    expect(parseQuery('   ')).toEqual({ text: null, moves: null, pieces: null, position: null })
+  })
+
+  it('finds comment text case-insensitively', () => {
+    const { tree } = GameTree.fromPgn(pgn)
+    const results = searchTree(tree, 'D5 BREAK')
+    expect(paths(results)).toEqual([[0, 0, 0, 0]])
+    expect(results[0].matches).toEqual(['comment'])
+    expect(searchTree(tree, 'grün')[0].path).toEqual([0, 0, 0, 1, 0, 0])
+  })
+
+  it('finds the end of move sequences in every line', () => {
+    const { tree } = GameTree.fromPgn(pgn)
+    const results = searchTree(tree, 'd5')
+    expect(paths(results)).toEqual([[0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 1, 0, 0]])
+    expect(results.map(({ matches }) => matches)).toEqual([['comment'], ['moves'], ['moves']])
+    expect(paths(searchTree(tree, 'c4 g6'))).toEqual([[0, 0, 0, 1]])
+    expect(searchTree(tree, 'e4')).toEqual([])
+  })
+
+  it('finds positions by FEN and by piece pattern', () => {
+    const { tree } = GameTree.fromPgn(pgn)
+    expect(paths(searchTree(tree, 'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq - 0 3'))).toEqual([[0, 0, 0, 0]])
+    expect(paths(searchTree(tree, '????????/????????/????????/???p????/????????/????????/????????/???????? w'))).toEqual([
+      [0, 0, 0, 0, 0, 0], [0, 0, 0, 1, 0, 0],
+    ])
+    expect(paths(searchTree(tree, 'N@f3 p@d5'))).toEqual([[0, 0, 0, 0, 0, 0]])
+  })
+})
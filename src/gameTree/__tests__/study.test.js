@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest'
+import * as GameTree from '../GameTree'
+import { toStudy, validateStudy, fromStudy, STUDY_VERSION } from '../study'
+
+const pgn = '[White "Tal"]\n\n1. e4 { [%cal Gg1f3] Best by test } e5 (1... c5 $5 { [%csl Rd4] } 2. Nf3) 2. Nf3 $1 *'
+const roundTrip = (study) => JSON.parse(JSON.stringify(study))
+
+describe('study format', () => {
+  it('round-trips the tree, headers and UI state through JSON', () => {
+    const { tree, headers } = GameTree.fromPgn(pgn)
+    const study = roundTrip(toStudy(tree, { headers, ui: { currentPath: [0, 1], orientation: 'black' } }))
+
+    expect(study).toMatchObject({ format: 'chess-analysis-study', version: STUDY_VERSION, headers: { White: 'Tal' } })
+    expect(study.tree.children[0].move).toMatchObject({ from: 'e2', to: 'e4', piece: 'p', color: 'w', before: GameTree.STANDARD_FEN })
+    expect(validateStudy(study)).toEqual([])
+
+    const loaded = fromStudy(study)
+    expect(loaded.tree).toEqual(tree)
+    expect(loaded.headers).toEqual(headers)
+    expect(loaded.ui).toEqual({ currentPath: [0, 1], orientation: 'black', movesCollapsed: false, bookmarks: [], variationToggles: new Map() })
+    expect(GameTree.toPgn(loaded.tree, { headers: loaded.headers })).toBe(GameTree.toPgn(tree, { headers }))
+  })
+
+  it('round-trips bookmarks and folded side lines, dropping moves no longer in the tree', () => {
+    const { tree } = GameTree.fromPgn(pgn)
+    const [e4] = tree.children
+    const c5 = e4.children[1]
+    const ui = { bookmarks: [c5.id, 100000], variationToggles: new Map([[e4.id, false], [tree.id, true], [100000, false]]) }
+    const study = roundTrip(toStudy(tree, { ui }))
+
+    expect(study.ui).toMatchObject({ bookmarks: [c5.id], variationToggles: [{ id: e4.id, open: false }, { id: tree.id, open: true }] })
+    expect(validateStudy(study)).toEqual([])
+    expect(fromStudy(study).ui).toMatchObject({ bookmarks: [c5.id], variationToggles: new Map([[e4.id, false], [tree.id, true]]) })
+
+    study.ui.bookmarks = [tree.id]
+    study.ui.variationToggles = [{ id: e4.id, open: 'no' }]
+    expect(validateStudy(study)).toEqual([
+      'ui.bookmarks must be a list of ids of moves in the tree',
+      'ui.variationToggles must be a list of { id, open } for positions in the tree',
+    ])
+  })
+
+  it('keeps the shapes drawn on the starting position', () => {
+    const { tree } = GameTree.fromPgn(pgn)
+    tree.arrows = [{ from: 'e2', to: 'e4', color: 'G' }]
+    tree.highlights = [{ square: 'd5', color: 'R' }]
+    const study = roundTrip(toStudy(tree))
+
+    expect(validateStudy(study)).toEqual([])
+    expect(fromStudy(study).tree).toEqual(tree)
+
+    delete study.tree.arrows
+    delete study.tree.highlights
+    expect(validateStudy(study)).toEqual([])
+    expect(fromStudy(study).tree).toMatchObject({ arrows: [], highlights: [] })
+
+    study.tree.arrows = [{ from: 'e2', to: 'e9', color: 'G' }]
+    expect(validateStudy(study)).toEqual(['tree.arrows must be a list of { from, to, color } arrows'])
+  })
+
+  it('keeps node ids and does not hand them out again', () => {
+    const { tree } = GameTree.fromPgn(pgn)
+    const study = roundTrip(toStudy(tree))
+    study.tree.children[0].id = 100000
+
+    const loaded = fromStudy(study)
+    expect(loaded.tree.children[0].id).toBe(100000)
+    GameTree.addMove(loaded.tree, [0, 0, 0], 'Nc6')
+    expect(GameTree.getNode(loaded.tree, [0, 0, 0, 0]).id).toBeGreaterThan(100000)
+  })
+
+  it('reports where a study is broken', () => {
+    const { tree, headers } = GameTree.fromPgn(pgn)
+    const study = roundTrip(toStudy(tree, { headers }))
+    const [e4] = study.tree.children
+    e4.children[1].id = e4.children[0].id
+    e4.children[0].san = 'e3'
+    e4.children[1].arrows = [{ from: 'e2', to: 'e9', color: 'G' }]
+    e4.children[1].children = [{ ...e4.children[1].children[0], san: 'Nf3', fen: GameTree.STANDARD_FEN }]
+    e4.nags = ['!']
+    study.headers.Round = 3
+    study.ui.orientation = 'sideways'
+
+    expect(validateStudy(study)).toEqual([
+      'headers.Round must be a string',
+      'tree.children[0].nags must be a list of NAGs like "$1"',
+      'tree.children[0].children[0].san e3 is not legal in the position before it',
+      `tree.children[0].children[1].id ${e4.children[0].id} is used by another move`,
+      'tree.children[0].children[1].arrows must be a list of { from, to, color } arrows',
+      'tree.children[0].children[1].children[0].fen is not the position after Nf3',
+      'ui.orientation must be "white" or "black"',
+    ])
+  })
+
+  it('checks the move objects and the selected path', () => {
+    const { tree } = GameTree.fromPgn(pgn)
+    const study = roundTrip(toStudy(tree, { ui: { currentPath: [0, 2] } }))
+    study.tree.children[0].move.to = 'e3'
+    expect(validateStudy(study)).toEqual(['tree.children[0].move does not describe e4'])
+
+    study.tree.children[0].move.to = 'e4'
+    expect(validateStudy(study)).toEqual(['ui.currentPath does not point to a move in the tree'])
+
+    study.tree.children[0].clock = '3 minutes'
+    expect(validateStudy(study)).toEqual(['tree.children[0].clock must be a time like "0:03:12"'])
+  })
+
+  it('migrates version 1 studies, which were all standard chess', () => {
+    const { tree, headers } = GameTree.fromPgn(pgn)
+    const study = roundTrip(toStudy(tree, { headers }))
+    study.version = 1
+    delete study.tree.variant
+
+    expect(validateStudy(study)).toEqual([])
+    expect(fromStudy(study).tree.variant).toBe('standard')
+  })
+
+  it('migrates version 2 studies, which had no bookmarks or folded side lines', () => {
+    const { tree, headers } = GameTree.fromPgn(pgn)
+    const study = roundTrip(toStudy(tree, { headers, ui: { currentPath: [0] } }))
+    study.version = 2
+    delete study.ui.bookmarks
+    delete study.ui.variationToggles
+
+    expect(validateStudy(study)).toEqual([])
+    expect(fromStudy(study).ui).toEqual({ currentPath: [0], orientation: 'white', movesCollapsed: false, bookmarks: [], variationToggles: new Map() })
+  })
+
+  it('keeps Chess960 games', () => {
+    const { tree } = GameTree.fromPgn('[Variant "Chess960"]\n[FEN "rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w KQkq - 0 1"]\n\n1. O-O O-O-O *')
+    const study = roundTrip(toStudy(tree))
+    expect(study.tree).toMatchObject({ variant: 'chess960', fen: 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w GAga - 0 1' })
+    expect(validateStudy(study)).toEqual([])
+    expect(fromStudy(study).tree).toEqual(tree)
+
+    study.tree.variant = 'crazyhouse'
+    expect(validateStudy(study)).toEqual(['tree.variant must be one of "standard", "chess960"'])
+  })
+
+  it('rejects other formats and newer versions', () => {
+    expect(validateStudy(null)).toEqual(['The study must be an object'])
+    expect(validateStudy({ format: 'pgn' })).toEqual(['format must be "chess-analysis-study"'])
+    expect(validateStudy({ format: 'chess-analysis-study', version: 0 })).toEqual(['version must be a positive whole number'])
+    expect(validateStudy({ format: 'chess-analysis-study', version: STUDY_VERSION + 1 }))
+      .toEqual([`version ${STUDY_VERSION + 1} is newer than this board supports (${STUDY_VERSION})`])
+    expect(validateStudy({ format: 'chess-analysis-study', version: 2, headers: {}, tree: { fen: 'not a fen', comment: '', variant: 'standard' } }))
+      .toEqual([expect.stringMatching(/^tree\.fen is not a valid FEN: /)])
+  })
+})
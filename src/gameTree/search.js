@@ -0,0 +1,80 @@
+import { getLine, walk } from './GameTree';
+
+// Searching a tree for comment text, move sequences and positions. A query is
+// read as one of:
+//
+//   d5 break             text, looked for in comments (case-insensitive)
+//   Nf6 c4 e6            also a move sequence: moves whose line ends with these
+//                        moves (move numbers are ignored)
+//   N@f5 p@d6            pieces: positions with these pieces on these squares
+//   rnbqkb1r/pppp1ppp/5n2/8/2PP4/8/PP2PPPP/RNBQKBNR b
+//                        position: a FEN, side to move optional; a `?` in the
+//                        placement matches any square
+
+const SAN_PATTERN = /^(?:[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|[a-h](?:x[a-h])?[1-8](?:=[QRBN])?|O-O(?:-O)?)$/;
+const PIECE_PATTERN = /^([KQRBNPkqrbnp])@([a-h][1-8])$/;
+
+const stripSan = (san) => san.replace(/[+#!?]+$/, '');
+
+// FEN piece placement as 64 characters from a8 to h1, '.' for empty squares
+const expandPlacement = (placement) =>
+  placement.replace(/\d/g, count => '.'.repeat(Number(count))).replace(/\//g, '');
+
+const squareIndex = (square) => (8 - Number(square[1])) * 8 + square.charCodeAt(0) - 'a'.charCodeAt(0);
+
+// { text, moves, pieces, position }, with null for the kinds the query isn't
+export const parseQuery = (query) => {
+  const tokens = query.trim().split(/\s+/).filter(Boolean);
+  const parsed = { text: null, moves: null, pieces: null, position: null };
+  if (tokens.length === 0) return parsed;
+
+  if (tokens.every(token => PIECE_PATTERN.test(token))) {
+    parsed.pieces = tokens.map(token => {
+      const [, piece, square] = token.match(PIECE_PATTERN);
+      return { piece, index: squareIndex(square) };
+    });
+    return parsed;
+  }
+
+  const ranks = tokens[0].split('/');
+  if (ranks.length === 8) {
+    const board = expandPlacement(tokens[0]);
+    if (board.length === 64 && /^[KQRBNPkqrbnp.?]+$/.test(board)) {
+      parsed.position = { board, turn: ['w', 'b'].includes(tokens[1]) ? tokens[1] : null };
+      return parsed;
+    }
+  }
+
+  parsed.text = query.trim().toLowerCase();
+  const moves = tokens.map(token => stripSan(token.replace(/^\d+\.+/, ''))).filter(Boolean);
+  if (moves.length > 0 && moves.every(move => SAN_PATTERN.test(move))) parsed.moves = moves;
+  return parsed;
+};
+
+const lineEndsWith = (tree, path, moves) => {
+  if (path.length < moves.length) return false;
+  return getLine(tree, path).slice(-moves.length).every((node, index) => stripSan(node.san) === moves[index]);
+};
+
+const boardMatches = (fen, { pieces, position }) => {
+  const [placement, turn] = fen.split(' ');
+  const squares = expandPlacement(placement);
+  if (pieces) return pieces.every(({ piece, index }) => squares[index] === piece);
+  return (!position.turn || position.turn === turn)
+    && [...position.board].every((square, index) => square === '?' || square === squares[index]);
+};
+
+// Every node matching `query`, in PGN order, as [{ path, node, matches }]
+// where `matches` lists how it matched: 'comment', 'moves' and/or 'position'
+export const searchTree = (tree, query) => {
+  const parsed = parseQuery(query);
+  const results = [];
+  walk(tree, (node, path) => {
+    const matches = [];
+    if (parsed.text && node.comment && node.comment.toLowerCase().includes(parsed.text)) matches.push('comment');
+    if (parsed.moves && node.san && lineEndsWith(tree, path, parsed.moves)) matches.push('moves');
+    if ((parsed.pieces || parsed.position) && boardMatches(node.fen, parsed)) matches.push('position');
+    if (matches.length > 0) results.push({ path, node, matches });
+  });
+  return results;
+};
@@ -0,0 +1,276 @@
+import { isValidPath, reserveIds, walk } from './GameTree';
+import { createGame, CHESS960, STANDARD } from '../variants/chess960';
+import { isClock } from '../pgn/clock';
+import { isEvaluation } from '../pgn/eval';
+
+// Lossless JSON format for a study. Unlike PGN it keeps node ids, the chess.js
+// move objects and the board's UI state. Version 3 is
+//
+//   {
+//     format: 'chess-analysis-study',
+//     version: 3,
+//     headers: { White: 'Tal', ... },
+//     tree: { id: 'root', fen, comment, arrows, highlights, variant: 'standard', children: [node, ...] },
+//     ui: {
+//       currentPath: [0, 0], orientation: 'white', movesCollapsed: false,
+//       bookmarks: [12, 40],                         // ids of bookmarked moves
+//       variationToggles: [{ id: 12, open: false }], // side lines folded or unfolded by hand, by parent id
+//     },
+//   }
+//
+// where each node is { id, move, san, nags, arrows, highlights, clock, elapsed, evaluation, comment, fen, children }.
+// `ply` is left out as it follows from the depth. clock, elapsed and evaluation are optional. Studies saved by older versions
+// are upgraded by MIGRATIONS before they're validated or loaded.
+
+export const STUDY_FORMAT = 'chess-analysis-study';
+export const STUDY_VERSION = 3;
+
+// MIGRATIONS[n] turns a version n study into a version n + 1 one
+const MIGRATIONS = {
+  // Version 2 added the variant; everything before it was standard chess
+  1: (study) => ({ ...study, tree: { ...study.tree, variant: STANDARD } }),
+  // Version 3 added bookmarks and the state of each block of side lines
+  2: (study) => (!isObject(study.ui) ? study : { ...study, ui: { ...study.ui, bookmarks: [], variationToggles: [] } }),
+};
+
+const VARIANTS = [STANDARD, CHESS960];
+const ORIENTATIONS = ['white', 'black'];
+const SHAPE_COLOR = /^[GRBY]$/;
+const SQUARE = /^[a-h][1-8]$/;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const shapesToJson = ({ arrows = [], highlights = [] }) => ({
+  arrows: arrows.map(arrow => ({ ...arrow })),
+  highlights: highlights.map(highlight => ({ ...highlight })),
+});
+
+const nodeToJson = ({ id, move, san, nags, arrows, highlights, clock, elapsed, evaluation, comment, fen, children }) => ({
+  id,
+  move: { ...move },
+  san,
+  nags: [...nags],
+  ...shapesToJson({ arrows, highlights }),
+  clock: clock || null,
+  elapsed: elapsed || null,
+  evaluation: evaluation ? { ...evaluation } : null,
+  comment,
+  fen,
+  children: children.map(nodeToJson),
+});
+
+// `ui.variationToggles` is a Map (or entries) of node id to whether that block
+// of side lines is open. Bookmarks and toggles of moves no longer in the tree are dropped.
+export const toStudy = (tree, { headers = {}, ui = {} } = {}) => {
+  const ids = new Set();
+  walk(tree, node => { ids.add(node.id); });
+  return {
+    format: STUDY_FORMAT,
+    version: STUDY_VERSION,
+    headers: { ...headers },
+    tree: {
+      id: tree.id,
+      fen: tree.fen,
+      comment: tree.comment,
+      ...shapesToJson(tree),
+      variant: tree.variant || STANDARD,
+      children: tree.children.map(nodeToJson),
+    },
+    ui: {
+      currentPath: ui.currentPath ? [...ui.currentPath] : [],
+      orientation: ui.orientation || 'white',
+      movesCollapsed: Boolean(ui.movesCollapsed),
+      bookmarks: (ui.bookmarks || []).filter(id => ids.has(id)),
+      variationToggles: [...new Map(ui.variationToggles || [])]
+        .filter(([id]) => ids.has(id))
+        .map(([id, open]) => ({ id, open })),
+    },
+  };
+};
+
+// Bring a study of any supported version up to STUDY_VERSION
+export const migrateStudy = (study) => {
+  let migrated = study;
+  while (migrated.version < STUDY_VERSION) {
+    migrated = { ...MIGRATIONS[migrated.version](migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+};
+
+const validateShapes = (node, location, problems) => {
+  if (!Array.isArray(node.arrows) || node.arrows.some(arrow =>
+    !isObject(arrow) || !SQUARE.test(arrow.from) || !SQUARE.test(arrow.to) || !SHAPE_COLOR.test(arrow.color))) {
+    problems.push(`${location}.arrows must be a list of { from, to, color } arrows`);
+  }
+  if (!Array.isArray(node.highlights) || node.highlights.some(highlight =>
+    !isObject(highlight) || !SQUARE.test(highlight.square) || !SHAPE_COLOR.test(highlight.color))) {
+    problems.push(`${location}.highlights must be a list of { square, color } highlights`);
+  }
+};
+
+const validateNode = (node, parent, location, ids, problems) => {
+  if (!isObject(node)) {
+    problems.push(`${location} must be an object`);
+    return;
+  }
+  if (typeof node.id !== 'number' && typeof node.id !== 'string') problems.push(`${location}.id must be a number or a string`);
+  else if (ids.has(node.id)) problems.push(`${location}.id ${JSON.stringify(node.id)} is used by another move`);
+  else ids.add(node.id);
+
+  // Moves after an illegal one can't be checked, so their subtree is skipped
+  let move = null;
+  if (typeof node.san !== 'string') {
+    problems.push(`${location}.san must be a string`);
+  } else {
+    const game = createGame(parent.fen);
+    try {
+      move = game.move(node.san);
+    } catch {
+      problems.push(`${location}.san ${node.san} is not legal in the position before it`);
+    }
+    if (move && node.fen !== game.fen()) {
+      problems.push(`${location}.fen is not the position after ${node.san}`);
+      move = null;
+    }
+  }
+  if (move && (!isObject(node.move) || node.move.from !== move.from || node.move.to !== move.to || node.move.san !== move.san)) {
+    problems.push(`${location}.move does not describe ${node.san}`);
+  }
+
+  if (!Array.isArray(node.nags) || node.nags.some(nag => typeof nag !== 'string' || !/^\$\d+$/.test(nag))) {
+    problems.push(`${location}.nags must be a list of NAGs like "$1"`);
+  }
+  validateShapes(node, location, problems);
+  ['clock', 'elapsed'].forEach(field => {
+    if (node[field] !== undefined && node[field] !== null && !isClock(node[field])) {
+      problems.push(`${location}.${field} must be a time like "0:03:12"`);
+    }
+  });
+  if (node.evaluation !== undefined && node.evaluation !== null && !isEvaluation(node.evaluation)) {
+    problems.push(`${location}.evaluation must be a { type: "cp" or "mate", value } score`);
+  }
+  if (typeof node.comment !== 'string') problems.push(`${location}.comment must be a string`);
+
+  if (move) validateChildren(node, location, ids, problems);
+};
+
+const validateChildren = (node, location, ids, problems) => {
+  if (!Array.isArray(node.children)) {
+    problems.push(`${location}.children must be a list`);
+    return;
+  }
+  node.children.forEach((child, index) => validateNode(child, node, `${location}.children[${index}]`, ids, problems));
+};
+
+// Specific problems with a study, or [] when it can be loaded
+export const validateStudy = (input) => {
+  if (!isObject(input)) return ['The study must be an object'];
+  if (input.format !== STUDY_FORMAT) return [`format must be "${STUDY_FORMAT}"`];
+  if (!Number.isInteger(input.version) || input.version < 1) return ['version must be a positive whole number'];
+  if (input.version > STUDY_VERSION) {
+    return [`version ${input.version} is newer than this board supports (${STUDY_VERSION})`];
+  }
+
+  const study = migrateStudy(input);
+  const problems = [];
+  const ids = new Set(isObject(study.tree) ? [study.tree.id] : []);
+
+  if (!isObject(study.headers)) problems.push('headers must be an object');
+  else {
+    Object.entries(study.headers)
+      .filter(([, value]) => typeof value !== 'string')
+      .forEach(([name]) => problems.push(`headers.${name} must be a string`));
+  }
+
+  const { tree } = study;
+  if (!isObject(tree)) {
+    problems.push('tree must be an object');
+  } else {
+    let fenError = typeof tree.fen === 'string' ? null : 'it is missing';
+    if (!fenError) {
+      try {
+        createGame(tree.fen);
+      } catch (error) {
+        fenError = error.message.replace(/^Invalid FEN: /, '');
+      }
+    }
+    if (fenError) problems.push(`tree.fen is not a valid FEN: ${fenError}`);
+    if (!VARIANTS.includes(tree.variant)) problems.push(`tree.variant must be one of ${VARIANTS.map(variant => `"${variant}"`).join(', ')}`);
+    if (typeof tree.comment !== 'string') problems.push('tree.comment must be a string');
+    // Studies saved before the root kept its shapes have none
+    validateShapes({ arrows: [], highlights: [], ...tree }, 'tree', problems);
+    if (!fenError) validateChildren(tree, 'tree', ids, problems);
+  }
+
+  if (study.ui !== undefined) {
+    const { ui } = study;
+    if (!isObject(ui)) {
+      problems.push('ui must be an object');
+    } else {
+      if (ui.currentPath !== undefined && (!Array.isArray(ui.currentPath) || !ui.currentPath.every(Number.isInteger))) {
+        problems.push('ui.currentPath must be a list of child indexes');
+      } else if (ui.currentPath && problems.length === 0 && !isValidPath(tree, ui.currentPath)) {
+        problems.push('ui.currentPath does not point to a move in the tree');
+      }
+      if (ui.orientation !== undefined && !ORIENTATIONS.includes(ui.orientation)) {
+        problems.push('ui.orientation must be "white" or "black"');
+      }
+      if (ui.movesCollapsed !== undefined && typeof ui.movesCollapsed !== 'boolean') {
+        problems.push('ui.movesCollapsed must be true or false');
+      }
+      // Ids can only be looked up once the tree itself checked out
+      const treeChecked = isObject(tree) && ids.size > 0 && !problems.some(problem => problem.startsWith('tree'));
+      const isNodeId = (id) => (typeof id === 'number' || typeof id === 'string') && (!treeChecked || ids.has(id));
+      const isMoveId = (id) => isNodeId(id) && !(treeChecked && id === tree.id);
+      if (ui.bookmarks !== undefined && (!Array.isArray(ui.bookmarks) || !ui.bookmarks.every(isMoveId))) {
+        problems.push('ui.bookmarks must be a list of ids of moves in the tree');
+      }
+      const isToggle = (toggle) => isObject(toggle) && isNodeId(toggle.id) && typeof toggle.open === 'boolean';
+      if (ui.variationToggles !== undefined && (!Array.isArray(ui.variationToggles) || !ui.variationToggles.every(isToggle))) {
+        problems.push('ui.variationToggles must be a list of { id, open } for positions in the tree');
+      }
+    }
+  }
+
+  return problems;
+};
+
+const nodeFromJson = (node, ply) => ({
+  ...node,
+  move: { ...node.move },
+  clock: node.clock || null,
+  elapsed: node.elapsed || null,
+  evaluation: node.evaluation ? { ...node.evaluation } : null,
+  ply,
+  children: node.children.map(child => nodeFromJson(child, ply + 1)),
+});
+
+// The tree, headers and UI state of a study that passed validateStudy
+export const fromStudy = (input) => {
+  const study = migrateStudy(input);
+  const tree = {
+    id: study.tree.id,
+    san: null,
+    comment: study.tree.comment,
+    ...shapesToJson(study.tree),
+    fen: study.tree.fen,
+    ply: -1,
+    variant: study.tree.variant,
+    children: study.tree.children.map(child => nodeFromJson(child, 0)),
+  };
+  // Nodes added from now on mustn't reuse the study's ids
+  reserveIds(tree);
+
+  const ui = study.ui || {};
+  return {
+    tree,
+    headers: { ...study.headers },
+    ui: {
+      currentPath: ui.currentPath || [],
+      orientation: ui.orientation || 'white',
+      movesCollapsed: Boolean(ui.movesCollapsed),
+      bookmarks: [...(ui.bookmarks || [])],
+      variationToggles: new Map((ui.variationToggles || []).map(({ id, open }) => [id, open])),
+    },
+  };
+};
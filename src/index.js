@@ -1 +1,9 @@
-export { default } from './components/AnalysisBoard.jsx'; 
\ No newline at end of file
+export { default } from './components/AnalysisBoard.jsx';
+export { createUciEngine, parseInfoLine, formatScore } from './engine/uci.js';
+export { createWorkerTransport, createWebSocketTransport, createCallbackTransport } from './engine/transports.js';
+export { createScriptedEngine } from './engine/scriptedEngine.js';
+export * as GameTree from './gameTree/GameTree.js';
+export { toStudy, validateStudy, fromStudy, STUDY_VERSION } from './gameTree/study.js';
+export { renderDiagram, diagramToPng } from './board/diagram.js';
+export { lookupOpening, openingForLine } from './openings/openings.js';
+export { createGame, chess960Fen, randomChess960Fen, toShredderFen, toXFen } from './variants/chess960.js';
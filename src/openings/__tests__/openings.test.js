@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { Chess } from 'chess.js'
+import ECO_DATA from '../ecoData'
+import { lookupOpening, openingForLine, findBookExits, openingHeaders, withoutOpeningHeaders } from '../openings'
+import * as GameTree from '../../gameTree/GameTree'
+
+const fenAfter = (moves) => {
+  const game = new Chess()
+  game.loadPgn(moves)
+  return game.fen()
+}
+
+describe('opening book', () => {
+  it('has a legal, unique position for every line', () => {
+    const keys = new Set()
+    const rows = ECO_DATA.trim().split('\n')
+    rows.forEach(row => {
+      const [eco, name, moves] = row.split('\t')
+      expect(eco).toMatch(/^[A-E]\d\d$/)
+      expect(name).toBeTruthy()
+      keys.add(GameTree.positionKey(fenAfter(moves)))
+    })
+    expect(keys.size).toBe(rows.length)
+  })
+
+  it('looks positions up regardless of move order and move counters', () => {
+    expect(lookupOpening(fenAfter('1. e4 c5 2. Nf3 d6 3. d4 cxd4 4. Nxd4 Nf6 5. Nc3 a6'))).toEqual({
+      eco: 'B90',
+      name: 'Sicilian Defense: Najdorf Variation',
+    })
+    expect(lookupOpening(fenAfter('1. c4 e6 2. d4 Nf6 3. Nc3 Bb4')).name).toBe('Nimzo-Indian Defense')
+    expect(lookupOpening(fenAfter('1. a3 a6 2. h3 h6'))).toBeNull()
+  })
+
+  it('keeps the most specific opening along a line', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 2. Nf3 Nc6 3. Bb5 Qh4 4. Nxh4 *')
+    expect(openingForLine(GameTree.getLine(tree, [0, 0, 0, 0, 0, 0, 0])).name).toBe('Ruy Lopez')
+  })
+
+  it('finds the first move out of book in every line', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 2. Qf3 (2. Nf3 h5 3. h4) Nc6 *')
+    const exits = findBookExits(tree)
+    const sans = []
+    GameTree.walk(tree, node => { if (exits.has(node.id)) sans.push(node.san) })
+    expect(sans).toEqual(['Qf3', 'h5'])
+  })
+
+  it('computes ECO and Opening from the main line', () => {
+    const { tree } = GameTree.fromPgn('1. d4 d5 2. c4 *')
+    expect(openingHeaders(tree)).toEqual({ ECO: 'D06', Opening: "Queen's Gambit" })
+    expect(openingHeaders(GameTree.createRoot())).toEqual({})
+  })
+
+  it('drops ECO and Opening headers that repeat the book', () => {
+    const { tree } = GameTree.fromPgn('1. d4 d5 2. c4 *')
+    expect(withoutOpeningHeaders({ White: 'Tal', ECO: 'D06', Opening: "Queen's Gambit" }, tree)).toEqual({ White: 'Tal' })
+    expect(withoutOpeningHeaders({ ECO: 'D07', Opening: 'QGD' }, tree)).toEqual({ ECO: 'D07', Opening: 'QGD' })
+    // The Result the parser adds to a game that only had the computed tags
+    expect(withoutOpeningHeaders({ ECO: 'D06', Opening: "Queen's Gambit", Result: '*' }, tree)).toEqual({})
+  })
+})
@@ -0,0 +1,63 @@
+import { Chess } from 'chess.js';
+import ECO_DATA from './ecoData';
+import { getLine, getMainLineEnd, walk, positionKey, STANDARD_FEN } from '../gameTree/GameTree';
+
+// Openings are keyed by position rather than move order, so transpositions get the same name
+
+let openingIndex = null;
+
+// Replaying the book takes a moment, so it's done once on first use
+const getIndex = () => {
+  if (openingIndex) return openingIndex;
+  openingIndex = new Map();
+  ECO_DATA.trim().split('\n').forEach(row => {
+    const [eco, name, moves] = row.split('\t');
+    const game = new Chess();
+    game.loadPgn(moves);
+    openingIndex.set(positionKey(game.fen()), { eco, name });
+  });
+  return openingIndex;
+};
+
+// { eco, name } for a known position, otherwise null
+export const lookupOpening = (fen) => getIndex().get(positionKey(fen)) || null;
+
+const isBookPosition = (fen) => positionKey(fen) === positionKey(STANDARD_FEN) || lookupOpening(fen) !== null;
+
+// The most specific opening reached along a line of nodes (root first)
+export const openingForLine = (nodes) => nodes.reduce((opening, node) => lookupOpening(node.fen) || opening, null);
+
+// Ids of the moves that leave the book: positions that aren't known although
+// the one before them was
+export const findBookExits = (tree) => {
+  const exits = new Set();
+  walk(tree, (node, path, parent) => {
+    if (!parent) return isBookPosition(node.fen);
+    if (isBookPosition(node.fen)) return true;
+    if (isBookPosition(parent.fen)) exits.add(node.id);
+    return false;
+  });
+  return exits;
+};
+
+// ECO and Opening for the main line as it is now, to write on export. They're
+// never stored as headers, so they follow the moves.
+export const openingHeaders = (tree) => {
+  const opening = openingForLine(getLine(tree, getMainLineEnd(tree)));
+  return opening ? { ECO: opening.eco, Opening: opening.name } : {};
+};
+
+// Drop ECO and Opening headers that only repeat what the book says about the
+// main line, such as the ones an earlier export wrote, so they don't go stale
+// once the moves change
+export const withoutOpeningHeaders = (headers, tree) => {
+  const computed = openingHeaders(tree);
+  const result = { ...headers };
+  ['ECO', 'Opening'].forEach(name => {
+    if (result[name] && result[name] === computed[name]) delete result[name];
+  });
+  // Then a lone "*" Result is the one the parser fills in, as headersFromParsedTags knows
+  const names = Object.keys(result);
+  if (names.length === 1 && result.Result === '*') return {};
+  return result;
+};
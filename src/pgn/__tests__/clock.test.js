@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import * as GameTree from '../../gameTree/GameTree'
+import { parseClock, formatClock, clocksFromCommentDiag, formatClockCommands, parseTimeControl, thinkTimes, clocksAt, findLongThinks } from '../clock'
+
+const line = (...nodes) => [
+  { ply: -1 },
+  ...nodes.map((node, ply) => ({ ply, move: { color: ply % 2 === 0 ? 'w' : 'b' }, clock: null, elapsed: null, ...node })),
+]
+
+describe('Clock annotations', () => {
+  it('reads and formats clock values', () => {
+    expect(parseClock('0:03:12')).toBe(192)
+    expect(parseClock('1:00:00.5')).toBe(3600.5)
+    expect(parseClock('3:12')).toBe(192)
+    expect(parseClock('soon')).toBeNull()
+    expect(formatClock(192)).toBe('3:12')
+    expect(formatClock(3900)).toBe('1:05:00')
+    expect(formatClock(9.5)).toBe('0:09.5')
+  })
+
+  it('keeps the [%clk]/[%emt] values as written', () => {
+    expect(clocksFromCommentDiag({ clk: '0:03:12', emt: '0:00:05.2', eval: 0.3 })).toEqual({ clock: '0:03:12', elapsed: '0:00:05.2' })
+    expect(clocksFromCommentDiag({ clk: 'later' })).toEqual({ clock: null, elapsed: null })
+    expect(clocksFromCommentDiag(undefined)).toEqual({ clock: null, elapsed: null })
+    expect(formatClockCommands({ clock: '0:03:12', elapsed: '0:00:05.2' })).toBe('[%clk 0:03:12][%emt 0:00:05.2]')
+    expect(formatClockCommands({})).toBe('')
+  })
+
+  it('works out think times from elapsed times or clocks', () => {
+    expect(parseTimeControl('180+2')).toEqual({ base: 180, increment: 2 })
+    expect(parseTimeControl('-')).toBeNull()
+
+    const game = line({ clock: '0:03:00' }, { clock: '0:02:58' }, { clock: '0:02:30' }, { elapsed: '0:00:40' }, {})
+    expect(thinkTimes(game)).toEqual([null, null, 30, 40, null])
+    expect(thinkTimes(game, { timeControl: '180+2' })).toEqual([2, 4, 32, 40, null])
+    expect(clocksAt(game)).toEqual({ w: 150, b: 178 })
+  })
+
+  it('goes by the mover in games where Black moves first', () => {
+    const { tree } = GameTree.fromPgn(`[SetUp "1"]
+[FEN "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1"]
+[TimeControl "180+0"]
+
+1... e5 { [%clk 0:02:40] } 2. Nf3 { [%clk 0:02:30] } Nc6 { [%clk 0:02:35] } *`)
+    const game = GameTree.getLine(tree, [0, 0, 0])
+    expect(clocksAt(game)).toEqual({ w: 150, b: 155 })
+    expect(thinkTimes(game, { timeControl: '180+0' })).toEqual([20, 30, 5])
+  })
+
+  it('picks out long thinks for each side', () => {
+    expect([...findLongThinks([2, 3, 4, 60, 3, 2, 1, 4])]).toEqual([3])
+    // Short games don't make every move a long think
+    expect([...findLongThinks([1, 2, 8, 1])]).toEqual([])
+    expect([...findLongThinks([null, 20, null, 2, 2, 2], { sides: ['b', 'w', 'b', 'w', 'b', 'w'] })]).toEqual([1])
+  })
+})
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest'
+import { parseEval, evaluationFromCommentDiag, formatEvalCommand, isEvaluation } from '../eval'
+
+describe('Eval annotations', () => {
+  it('reads pawn and mate scores from White\'s side', () => {
+    expect(parseEval(0.3)).toEqual({ type: 'cp', value: 30 })
+    expect(parseEval('+0.25')).toEqual({ type: 'cp', value: 25 })
+    expect(parseEval('-1.5,20')).toEqual({ type: 'cp', value: -150, depth: 20 })
+    expect(parseEval('#-3')).toEqual({ type: 'mate', value: -3 })
+    expect(parseEval('M3')).toBeNull()
+    expect(evaluationFromCommentDiag({ clk: '0:03:00' })).toEqual({ evaluation: null })
+  })
+
+  it('writes [%eval] commands', () => {
+    expect(formatEvalCommand({ evaluation: { type: 'cp', value: 30 } })).toBe('[%eval 0.30]')
+    expect(formatEvalCommand({ evaluation: { type: 'cp', value: -150, depth: 20 } })).toBe('[%eval -1.50,20]')
+    expect(formatEvalCommand({ evaluation: { type: 'mate', value: 4 } })).toBe('[%eval #4]')
+    expect(formatEvalCommand({ evaluation: null })).toBe('')
+    expect(isEvaluation({ type: 'cp', value: 0.5 })).toBe(false)
+  })
+})
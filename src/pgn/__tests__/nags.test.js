@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { toggleNag, formatNagsForDisplay, formatNagsForPgn, nagToSymbol } from '../nags'
+
+describe('NAGs', () => {
+  it('maps NAGs to symbols and leaves unknown ones as-is', () => {
+    expect(nagToSymbol('$1')).toBe('!')
+    expect(nagToSymbol('$18')).toBe('+−')
+    expect(nagToSymbol('$250')).toBe('$250')
+  })
+
+  it('formats glyphs for display and for PGN', () => {
+    expect(formatNagsForDisplay(['$5', '$16'])).toBe('!? ±')
+    expect(formatNagsForDisplay(['$14'])).toBe('⩲')
+    expect(formatNagsForPgn(['$5', '$16'])).toBe('$5 $16')
+  })
+
+  it('toggles a glyph on and off', () => {
+    expect(toggleNag([], '$1')).toEqual(['$1'])
+    expect(toggleNag(['$1'], '$1')).toEqual([])
+  })
+
+  it('keeps only one glyph per exclusive group', () => {
+    expect(toggleNag(['$1', '$16'], '$4')).toEqual(['$4', '$16'])
+    expect(toggleNag(['$1', '$16'], '$19')).toEqual(['$1', '$19'])
+  })
+
+  it('keeps other NAGs alongside the exclusive groups', () => {
+    expect(toggleNag(['$36'], '$2')).toEqual(['$2', '$36'])
+  })
+})
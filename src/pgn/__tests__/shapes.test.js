@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { shapesFromCommentDiag, formatShapeCommands, toggleShape, colorForEvent } from '../shapes'
+
+describe('Board shapes', () => {
+  it('reads arrows and highlights from the parsed comment commands', () => {
+    expect(shapesFromCommentDiag({ colorArrows: ['Ge2e4', 'Xa1a2'], colorFields: ['Rd4'] })).toEqual({
+      arrows: [{ color: 'G', from: 'e2', to: 'e4' }],
+      highlights: [{ color: 'R', square: 'd4' }],
+    })
+    expect(shapesFromCommentDiag(null)).toEqual({ arrows: [], highlights: [] })
+  })
+
+  it('formats shapes as [%csl]/[%cal] commands', () => {
+    expect(formatShapeCommands({
+      arrows: [{ color: 'G', from: 'e2', to: 'e4' }, { color: 'B', from: 'g1', to: 'f3' }],
+      highlights: [{ color: 'Y', square: 'e5' }],
+    })).toBe('[%csl Ye5][%cal Ge2e4,Bg1f3]')
+    expect(formatShapeCommands({})).toBe('')
+  })
+
+  it('toggles, recolours and removes shapes', () => {
+    let shapes = toggleShape({}, 'e2', 'e4', 'G')
+    expect(shapes.arrows).toEqual([{ from: 'e2', to: 'e4', color: 'G' }])
+
+    shapes = toggleShape(shapes, 'e2', 'e4', 'R')
+    expect(shapes.arrows).toEqual([{ from: 'e2', to: 'e4', color: 'R' }])
+
+    shapes = toggleShape(shapes, 'e2', 'e4', 'R')
+    expect(shapes.arrows).toEqual([])
+
+    shapes = toggleShape(shapes, 'd4', 'd4', 'B')
+    expect(shapes.highlights).toEqual([{ square: 'd4', color: 'B' }])
+  })
+
+  it('picks colours from modifier keys', () => {
+    expect(colorForEvent({})).toBe('G')
+    expect(colorForEvent({ shiftKey: true })).toBe('R')
+    expect(colorForEvent({ altKey: true })).toBe('B')
+    expect(colorForEvent({ ctrlKey: true, metaKey: true })).toBe('Y')
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { parse } from '@mliebelt/pgn-parser'
+import { normalizeTags, headersFromParsedTags, formatHeaders } from '../tags'
+
+describe('PGN tags', () => {
+  it('flattens parsed tag values back to strings', () => {
+    const game = parse('[Date "2024.03.??"]\n[WhiteElo "2700"]\n[TimeControl "180+2"]\n\n1. e4 *', { startRule: 'game' })
+    expect(normalizeTags(game.tags)).toEqual({
+      Date: '2024.03.??',
+      WhiteElo: '2700',
+      TimeControl: '180+2',
+      Result: '*',
+    })
+  })
+
+  it('drops FEN, SetUp and the result the parser adds on its own', () => {
+    expect(headersFromParsedTags(parse('1. e4 *', { startRule: 'game' }).tags)).toEqual({})
+
+    const game = parse('[White "Tal"]\n[SetUp "1"]\n[FEN "8/8/8/8/8/8/4K1k1/8 w - - 0 1"]\n\n1. Kd3 *', { startRule: 'game' })
+    expect(headersFromParsedTags(game.tags)).toEqual({ White: 'Tal', Result: '*' })
+  })
+
+  it('keeps a decisive result without other headers', () => {
+    expect(headersFromParsedTags(parse('1. e4 1-0', { startRule: 'game' }).tags)).toEqual({ Result: '1-0' })
+  })
+
+  it('writes the Seven Tag Roster in order, then SetUp/FEN, then custom tags', () => {
+    const fen = '8/8/8/8/8/8/4K1k1/8 w - - 0 1'
+    const output = formatHeaders({ Annotator: 'Me', Black: 'Botvinnik', White: 'Tal', Event: 'WCh 1960' }, fen)
+    expect(output.split('\n')).toEqual([
+      '[Event "WCh 1960"]',
+      '[Site "?"]',
+      '[Date "????.??.??"]',
+      '[Round "?"]',
+      '[White "Tal"]',
+      '[Black "Botvinnik"]',
+      '[Result "*"]',
+      '[SetUp "1"]',
+      `[FEN "${fen}"]`,
+      '[Annotator "Me"]',
+    ])
+  })
+
+  it('writes nothing for a game without headers from the standard position', () => {
+    expect(formatHeaders({})).toBe('')
+  })
+
+  it('writes computed tags without the roster and lets the headers override them', () => {
+    const computed = { ECO: 'D06', Opening: "Queen's Gambit" }
+    expect(formatHeaders({}, null, computed)).toBe('[ECO "D06"]\n[Opening "Queen\'s Gambit"]')
+    expect(formatHeaders({ Opening: 'QG' }, null, computed).split('\n').slice(-2)).toEqual(['[Opening "QG"]', '[ECO "D06"]'])
+  })
+
+  it('escapes quotes and backslashes', () => {
+    expect(formatHeaders({ Event: 'The "Immortal" \\ Game' })).toContain('[Event "The \\"Immortal\\" \\\\ Game"]')
+  })
+})
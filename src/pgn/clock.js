@@ -0,0 +1,91 @@
+// Clock annotations. Nodes keep the [%clk] (time left after the move) and
+// [%emt] (time spent on it) values as the strings found in the PGN, e.g.
+//   clock:   '0:03:12'
+//   elapsed: '0:00:05.2'
+// so they're written back exactly as they were read. The helpers below turn
+// them into seconds for display.
+
+const CLOCK = /^\d+:\d{1,2}(:\d{1,2})?(\.\d+)?$/;
+
+// Seconds in an "h:mm:ss" (or "m:ss") value, or null if it isn't one
+export const parseClock = (value) => {
+  if (typeof value !== 'string' || !CLOCK.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+export const isClock = (value) => parseClock(value) !== null;
+
+// 3:12, 1:05:00 or 0:09.5 (tenths only show in the last ten seconds)
+export const formatClock = (seconds) => {
+  if (seconds === null || seconds === undefined) return '';
+  const whole = Math.floor(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  const secs = seconds < 10 && seconds % 1 !== 0 ? (seconds % 60).toFixed(1).padStart(4, '0') : pad(whole % 60);
+  return hours > 0 ? `${hours}:${pad(minutes)}:${secs}` : `${minutes}:${secs}`;
+};
+
+// The parser splits [%clk]/[%emt] out of the comment into commentDiag
+export const clocksFromCommentDiag = (commentDiag) => ({
+  clock: commentDiag && isClock(commentDiag.clk) ? commentDiag.clk : null,
+  elapsed: commentDiag && isClock(commentDiag.emt) ? commentDiag.emt : null,
+});
+
+export const formatClockCommands = ({ clock = null, elapsed = null }) =>
+  (clock ? `[%clk ${clock}]` : '') + (elapsed ? `[%emt ${elapsed}]` : '');
+
+// { base, increment } in seconds for a TimeControl header like "180+2", or null
+export const parseTimeControl = (timeControl) => {
+  const match = /^(\d+)(?:\+(\d+))?$/.exec((timeControl || '').trim());
+  return match ? { base: Number(match[1]), increment: Number(match[2] || 0) } : null;
+};
+
+// Seconds spent on each move of a line (root first, as from getLine), or null
+// where it isn't known. [%emt] is used when present; otherwise the drop in the
+// mover's clock since their previous move, plus the increment.
+export const thinkTimes = (line, { timeControl = null } = {}) => {
+  const control = parseTimeControl(timeControl);
+  const increment = control ? control.increment : 0;
+  const lastClock = {};
+  return line.slice(1).map(node => {
+    const side = node.move.color;
+    const clock = parseClock(node.clock);
+    const previous = side in lastClock ? lastClock[side] : control && control.base;
+    if (clock !== null) lastClock[side] = clock;
+
+    const elapsed = parseClock(node.elapsed);
+    if (elapsed !== null) return elapsed;
+    if (clock === null || previous === null || previous === undefined) return null;
+    return Math.max(0, previous - clock + increment);
+  });
+};
+
+// Each side's clock after the last move of the line that recorded it
+export const clocksAt = (line) => {
+  const clocks = { w: null, b: null };
+  line.slice(1).forEach(node => {
+    const clock = parseClock(node.clock);
+    if (clock !== null) clocks[node.move.color] = clock;
+  });
+  return clocks;
+};
+
+// Indexes of the long thinks among thinkTimes: at least LONG_THINK_FACTOR times
+// that side's average and at least LONG_THINK_MINIMUM seconds. `sides` gives
+// the mover of each time ('w' or 'b'); without it White is taken to move first.
+export const LONG_THINK_FACTOR = 2.5;
+export const LONG_THINK_MINIMUM = 10;
+
+export const findLongThinks = (times, { sides = times.map((time, index) => (index % 2 === 0 ? 'w' : 'b')) } = {}) => {
+  const averages = {};
+  ['w', 'b'].forEach(side => {
+    const known = times.filter((time, index) => time !== null && sides[index] === side);
+    averages[side] = known.length > 0 ? known.reduce((sum, time) => sum + time, 0) / known.length : 0;
+  });
+  const long = new Set();
+  times.forEach((time, index) => {
+    if (time !== null && time >= LONG_THINK_MINIMUM && time >= averages[sides[index]] * LONG_THINK_FACTOR) long.add(index);
+  });
+  return long;
+};
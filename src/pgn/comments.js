@@ -0,0 +1,10 @@
+import { formatShapeCommands } from './shapes';
+import { formatClockCommands } from './clock';
+import { formatEvalCommand } from './eval';
+
+// Text that goes between the braces after a move: embedded commands first, then the comment
+export const formatComment = (node) => {
+  const commands = formatShapeCommands(node) + formatEvalCommand(node) + formatClockCommands(node);
+  const text = node.comment ? node.comment.trim() : '';
+  return [commands, text].filter(Boolean).join(' ');
+};
@@ -0,0 +1,37 @@
+// [%eval] annotations. A node's evaluation uses the engine's score shape, from
+// White's side:
+//   { type: 'cp', value: 30 }                [%eval 0.30]
+//   { type: 'mate', value: -3 }              [%eval #-3]
+//   { type: 'cp', value: -150, depth: 20 }   [%eval -1.50,20]
+
+const PAWNS = /^([+-]?\d+(?:\.\d+)?)(?:,(\d+))?$/;
+const MATE = /^#([+-]?\d+)(?:,(\d+))?$/;
+
+const withDepth = (evaluation, depth) => (depth ? { ...evaluation, depth: Number(depth) } : evaluation);
+
+// The parser turns plain numbers into floats and leaves everything else as written
+export const parseEval = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? { type: 'cp', value: Math.round(value * 100) } : null;
+  if (typeof value !== 'string') return null;
+  const mate = MATE.exec(value.trim());
+  if (mate) return withDepth({ type: 'mate', value: Number(mate[1]) }, mate[2]);
+  const pawns = PAWNS.exec(value.trim());
+  if (pawns) return withDepth({ type: 'cp', value: Math.round(Number(pawns[1]) * 100) }, pawns[2]);
+  return null;
+};
+
+export const isEvaluation = (evaluation) =>
+  typeof evaluation === 'object' && evaluation !== null
+  && (evaluation.type === 'cp' || evaluation.type === 'mate')
+  && Number.isInteger(evaluation.value)
+  && (evaluation.depth === undefined || (Number.isInteger(evaluation.depth) && evaluation.depth > 0));
+
+export const evaluationFromCommentDiag = (commentDiag) => ({
+  evaluation: commentDiag ? parseEval(commentDiag.eval) : null,
+});
+
+export const formatEvalCommand = ({ evaluation = null }) => {
+  if (!evaluation) return '';
+  const score = evaluation.type === 'mate' ? `#${evaluation.value}` : (evaluation.value / 100).toFixed(2);
+  return `[%eval ${score}${evaluation.depth ? `,${evaluation.depth}` : ''}]`;
+};
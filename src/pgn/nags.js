@@ -0,0 +1,70 @@
+// Numeric Annotation Glyphs. Nodes store them in PGN form ("$1") and the
+// move list shows the conventional symbol.
+export const NAG_SYMBOLS = {
+  $1: '!',
+  $2: '?',
+  $3: '!!',
+  $4: '??',
+  $5: '!?',
+  $6: '?!',
+  $7: '□',
+  $10: '=',
+  $13: '∞',
+  $14: '⩲',
+  $15: '⩱',
+  $16: '±',
+  $17: '∓',
+  $18: '+−',
+  $19: '−+',
+  $22: '⨀',
+  $23: '⨀',
+  $32: '⟳',
+  $33: '⟳',
+  $36: '→',
+  $37: '→',
+  $40: '↑',
+  $41: '↑',
+  $132: '⇆',
+  $133: '⇆',
+  $138: '⊕',
+  $139: '⊕',
+  $140: '∆',
+  $146: 'N',
+};
+
+// A move carries at most one quality glyph and one evaluation glyph
+export const MOVE_NAGS = ['$1', '$2', '$3', '$4', '$5', '$6'];
+export const POSITION_NAGS = ['$10', '$13', '$14', '$15', '$16', '$17', '$18', '$19'];
+
+export const nagToSymbol = (nag) => NAG_SYMBOLS[nag] || nag;
+
+// Move-quality glyphs attach to each other ("!?"), evaluation glyphs are spaced out
+export const formatNagsForDisplay = (nags = []) =>
+  nags.map(nag => (MOVE_NAGS.includes(nag) ? '' : ' ') + nagToSymbol(nag)).join('').trim();
+
+export const formatNagsForPgn = (nags = []) => nags.join(' ');
+
+// Add a NAG, or remove it if the move already has it. Setting a glyph from one
+// of the exclusive groups replaces any other glyph from that group.
+export const toggleNag = (nags = [], nag) => {
+  if (nags.includes(nag)) return nags.filter(n => n !== nag);
+  const group = MOVE_NAGS.includes(nag) ? MOVE_NAGS : POSITION_NAGS.includes(nag) ? POSITION_NAGS : null;
+  const remaining = group ? nags.filter(n => !group.includes(n)) : nags;
+  // Keep move-quality glyphs ahead of evaluation glyphs, as PGN writers do
+  return [...remaining, nag].sort((a, b) => parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10));
+};
+
+// Default number-row shortcuts for the annotation palette
+export const NAG_SHORTCUTS = {
+  1: '$1',
+  2: '$2',
+  3: '$3',
+  4: '$4',
+  5: '$5',
+  6: '$6',
+  7: '$10',
+  8: '$16',
+  9: '$17',
+  0: '$18',
+  '-': '$19',
+};
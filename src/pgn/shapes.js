@@ -0,0 +1,73 @@
+// Arrows and highlighted squares drawn on the board. They're stored per node as
+//   arrows:     [{ from: 'e2', to: 'e4', color: 'G' }]
+//   highlights: [{ square: 'd4', color: 'R' }]
+// using the same colour letters as the [%cal]/[%csl] comment commands.
+
+export const SHAPE_COLORS = {
+  G: 'rgba(21, 120, 27, 0.8)',
+  R: 'rgba(136, 32, 32, 0.8)',
+  B: 'rgba(0, 48, 136, 0.8)',
+  Y: 'rgba(230, 143, 0, 0.8)',
+};
+
+// Same modifiers as Lichess: Shift/Ctrl for red, Alt/Meta for blue, both for yellow
+export const colorForEvent = (event) => {
+  const modA = event.shiftKey || event.ctrlKey;
+  const modB = event.altKey || event.metaKey;
+  return ['G', 'R', 'B', 'Y'][(modA ? 1 : 0) + (modB ? 2 : 0)];
+};
+
+// The parser splits [%cal]/[%csl] out of the comment into commentDiag
+export const shapesFromCommentDiag = (commentDiag) => {
+  const arrows = ((commentDiag && commentDiag.colorArrows) || [])
+    .filter(arrow => /^[GRBY][a-h][1-8][a-h][1-8]$/.test(arrow))
+    .map(arrow => ({ color: arrow[0], from: arrow.slice(1, 3), to: arrow.slice(3, 5) }));
+  const highlights = ((commentDiag && commentDiag.colorFields) || [])
+    .filter(field => /^[GRBY][a-h][1-8]$/.test(field))
+    .map(field => ({ color: field[0], square: field.slice(1, 3) }));
+  return { arrows, highlights };
+};
+
+export const formatShapeCommands = ({ arrows = [], highlights = [] }) => {
+  let commands = '';
+  if (highlights.length > 0) {
+    commands += `[%csl ${highlights.map(h => `${h.color}${h.square}`).join(',')}]`;
+  }
+  if (arrows.length > 0) {
+    commands += `[%cal ${arrows.map(a => `${a.color}${a.from}${a.to}`).join(',')}]`;
+  }
+  return commands;
+};
+
+// Drawing the same shape again removes it; drawing it in another colour recolours it.
+// A drag that starts and ends on one square toggles a highlight, otherwise an arrow.
+export const toggleShape = ({ arrows = [], highlights = [] }, from, to, color) => {
+  if (from === to) {
+    const existing = highlights.find(h => h.square === from);
+    const others = highlights.filter(h => h.square !== from);
+    return {
+      arrows,
+      highlights: existing && existing.color === color ? others : [...others, { square: from, color }],
+    };
+  }
+  const existing = arrows.find(a => a.from === from && a.to === to);
+  const others = arrows.filter(a => !(a.from === from && a.to === to));
+  return {
+    arrows: existing && existing.color === color ? others : [...others, { from, to, color }],
+    highlights,
+  };
+};
+
+// Props for react-chessboard
+export const toBoardArrows = (arrows = []) => arrows.map(a => [a.from, a.to, SHAPE_COLORS[a.color]]);
+
+export const toSquareStyles = (highlights = []) => {
+  const styles = {};
+  highlights.forEach(h => {
+    const color = SHAPE_COLORS[h.color];
+    styles[h.square] = {
+      backgroundImage: `radial-gradient(circle, transparent 58%, ${color} 60%, ${color} 68%, transparent 70%)`,
+    };
+  });
+  return styles;
+};
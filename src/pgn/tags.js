@@ -0,0 +1,78 @@
+// The PGN parser turns some header values into objects (Date, Time, TimeControl)
+// or numbers (Elo ratings). Flatten them back to the strings that were in the file.
+export const tagValueToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(tagValueToString).join(':');
+  if (typeof value === 'object') return value.value !== undefined ? String(value.value) : '';
+  return String(value);
+};
+
+// Plain { name: string } header map, without the parser's bookkeeping entries
+export const normalizeTags = (tags) => {
+  const result = {};
+  if (!tags) return result;
+  Object.keys(tags).forEach(name => {
+    if (name === 'messages') return;
+    result[name] = tagValueToString(tags[name]);
+  });
+  return result;
+};
+
+// The Seven Tag Roster, in the order the PGN standard requires it to be exported
+export const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const ROSTER_DEFAULTS = {
+  Event: '?',
+  Site: '?',
+  Date: '????.??.??',
+  Round: '?',
+  White: '?',
+  Black: '?',
+  Result: '*',
+};
+
+// Headers worth keeping from an imported game. FEN and SetUp are tracked through
+// the starting position instead, and the parser fills in Result from the
+// termination marker even when the file had no headers at all.
+export const headersFromParsedTags = (tags) => {
+  const headers = normalizeTags(tags);
+  delete headers.FEN;
+  delete headers.SetUp;
+  const names = Object.keys(headers);
+  if (names.length === 1 && names[0] === 'Result' && headers.Result === '*') {
+    return {};
+  }
+  return headers;
+};
+
+const escapeTagValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Header section for export: the full roster in standard order whenever the
+// game has any headers, SetUp/FEN for custom starting positions, then custom tags.
+// Computed tags come last, unless the game sets them itself, and don't bring in
+// the roster on their own.
+export const formatHeaders = (headers, startingFen = null, computedHeaders = {}) => {
+  const lines = [];
+  const hasHeaders = Object.keys(headers).length > 0;
+
+  if (hasHeaders) {
+    SEVEN_TAG_ROSTER.forEach(name => {
+      const value = headers[name] ? headers[name] : ROSTER_DEFAULTS[name];
+      lines.push(`[${name} "${escapeTagValue(value)}"]`);
+    });
+  }
+  if (startingFen) {
+    lines.push('[SetUp "1"]');
+    lines.push(`[FEN "${escapeTagValue(startingFen)}"]`);
+  }
+  Object.keys(headers).forEach(name => {
+    if (SEVEN_TAG_ROSTER.includes(name) || name === 'FEN' || name === 'SetUp') return;
+    lines.push(`[${name} "${escapeTagValue(headers[name])}"]`);
+  });
+  Object.keys(computedHeaders).forEach(name => {
+    if (headers[name]) return;
+    lines.push(`[${name} "${escapeTagValue(computedHeaders[name])}"]`);
+  });
+
+  return lines.join('\n');
+};
@@ -29,6 +29,9 @@ Object.defineProperty(Element.prototype, 'getBoundingClientRect', {
   writable: true,
 })
 
+// jsdom doesn't implement scrolling; the moves list auto-scrolls on navigation
+Element.prototype.scrollTo = () => {}
+
 // Mock navigator.clipboard - make it configurable so userEvent can override it
 Object.defineProperty(navigator, 'clipboard', {
   value: {
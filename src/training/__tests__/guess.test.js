@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import * as GameTree from '../../gameTree/GameTree'
+import { scoreGuess, createGuess, summarizeGuesses } from '../guess'
+
+describe('guess the move', () => {
+  const { tree } = GameTree.fromPgn('1. e4 e5 2. Nf3 { Developing } (2. Bc4) (2. f4) Nc6 *')
+  const beforeNf3 = GameTree.getNode(tree, [0, 0])
+
+  it('gives full credit for the game move and partial credit for variations', () => {
+    expect(scoreGuess(beforeNf3, 'Nf3')).toEqual({ result: 'match', points: 1 })
+    expect(scoreGuess(beforeNf3, 'f4')).toEqual({ result: 'variation', points: 0.5 })
+    expect(scoreGuess(beforeNf3, 'd4')).toEqual({ result: 'miss', points: 0 })
+  })
+
+  it('records the game move with its comment', () => {
+    expect(createGuess(beforeNf3, 'Bc4')).toEqual({
+      moveNumber: 2, color: 'w', gameMove: 'Nf3', guess: 'Bc4', comment: 'Developing', result: 'variation', points: 0.5,
+    })
+    expect(createGuess(GameTree.getNode(tree, [0, 0, 0]), 'Nc6')).toMatchObject({ moveNumber: 2, color: 'b', result: 'match' })
+  })
+
+  it('totals a session', () => {
+    const guesses = [createGuess(tree, 'e4'), createGuess(beforeNf3, 'f4'), createGuess(beforeNf3, 'Qh5')]
+    expect(summarizeGuesses('w', guesses)).toEqual({
+      side: 'w', guesses, score: 1.5, maxScore: 3, matches: 1, variations: 1, misses: 1,
+    })
+  })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import * as GameTree from '../../gameTree/GameTree'
+import {
+  createSchedule, isSchedule, cardKey, isDue, reviewCard, recordReview, countDue, chooseOpponentMove,
+} from '../repertoire'
+
+const DAY = 24 * 60 * 60 * 1000
+const now = Date.UTC(2024, 0, 1)
+
+describe('repertoire training', () => {
+  it('grows intervals on correct answers and resets them on misses', () => {
+    const first = reviewCard(undefined, true, now)
+    expect(first).toMatchObject({ interval: 1, reps: 1, due: now + DAY })
+    const second = reviewCard(first, true, now)
+    expect(second.interval).toBe(3)
+    expect(reviewCard(second, true, now).interval).toBe(8)
+
+    const missed = reviewCard(second, false, now)
+    expect(missed).toMatchObject({ interval: 0, reps: 0, lapses: 1, ease: 2.3, due: now })
+    expect(isDue(missed, now)).toBe(true)
+    expect(isDue(second, now)).toBe(false)
+    expect(isDue(undefined, now)).toBe(true)
+  })
+
+  it('keys cards by position so transpositions share them', () => {
+    const { tree } = GameTree.fromPgn('1. d4 (1. c4 e6 2. d4 Nf6 3. Nc3) 1... Nf6 2. c4 e6 3. Nc3 *')
+    const mainLine = GameTree.getNode(tree, [0, 0, 0, 0])
+    const sideLine = GameTree.getNode(tree, [1, 0, 0, 0])
+    expect(cardKey(mainLine.fen, 'Nc3')).toBe(cardKey(sideLine.fen, 'Nc3'))
+  })
+
+  it('records answers without changing the original schedule', () => {
+    const schedule = createSchedule()
+    const updated = recordReview(schedule, ['a', 'b'], true, now)
+    expect(Object.keys(updated.cards)).toEqual(['a', 'b'])
+    expect(schedule.cards).toEqual({})
+    expect(isSchedule(updated)).toBe(true)
+    expect(isSchedule({ cards: {} })).toBe(false)
+  })
+
+  it('counts due moves and steers the opponent towards them', () => {
+    const { tree } = GameTree.fromPgn('1. e4 e5 (1... c5 2. Nf3) (1... e6 2. d4) 2. Nf3 *')
+    let schedule = createSchedule()
+    expect(countDue(tree, 'w', schedule, now)).toBe(4)
+    expect(countDue(tree, 'b', schedule, now)).toBe(3)
+
+    // Only the French is still due for White
+    const [e4] = tree.children
+    schedule = recordReview(schedule, [cardKey(e4.children[0].fen, 'Nf3'), cardKey(e4.children[1].fen, 'Nf3')], true, now)
+    expect(chooseOpponentMove(e4, 'w', schedule, now, () => 0)).toBe(2)
+    expect(chooseOpponentMove(e4, 'w', schedule, now, () => 0.99)).toBe(2)
+
+    schedule = recordReview(schedule, [cardKey(e4.children[2].fen, 'd4')], true, now)
+    expect(chooseOpponentMove(e4, 'w', schedule, now, () => 0.5)).toBe(1)
+  })
+})
@@ -0,0 +1,43 @@
+// Scoring for guess-the-move sessions. The student guesses the move played
+// from a position and is scored against the game, which is the main line
+// (children[0]); a move the annotator gave as a variation earns partial credit.
+
+export const POINTS = { match: 1, variation: 0.5, miss: 0 };
+
+// { result, points } for guessing `san` in the position of `node`
+export const scoreGuess = (node, san) => {
+  const [gameMove, ...variations] = node.children;
+  let result = 'miss';
+  if (gameMove && gameMove.san === san) result = 'match';
+  else if (variations.some(child => child.san === san)) result = 'variation';
+  return { result, points: POINTS[result] };
+};
+
+// A guess as stored in a session, e.g.
+//   { moveNumber: 12, color: 'b', gameMove: 'd5', guess: 'e5', comment, result, points }
+// where `comment` is the annotation of the game move, revealed after the guess
+export const createGuess = (node, san) => {
+  const gameMove = node.children[0];
+  return {
+    moveNumber: Number(node.fen.split(' ')[5]),
+    color: gameMove.move.color,
+    gameMove: gameMove.san,
+    guess: san,
+    comment: gameMove.comment,
+    ...scoreGuess(node, san),
+  };
+};
+
+// Totals for the session summary passed to the host app
+export const summarizeGuesses = (side, guesses) => {
+  const count = (result) => guesses.filter(guess => guess.result === result).length;
+  return {
+    side,
+    guesses,
+    score: guesses.reduce((total, guess) => total + guess.points, 0),
+    maxScore: guesses.length * POINTS.match,
+    matches: count('match'),
+    variations: count('variation'),
+    misses: count('miss'),
+  };
+};
@@ -0,0 +1,73 @@
+import { walk, positionKey } from '../gameTree/GameTree';
+
+// Spaced repetition for repertoire training. Every move of the trained side is
+// a card, keyed by the position it's played from and its SAN so a schedule
+// survives reloading the PGN and is shared between transpositions. A schedule
+// is a plain object the host app can store as JSON:
+//
+//   { version: 1, cards: { [key]: { interval, ease, due, reps, lapses } } }
+//
+// `interval` is in days and `due` is a timestamp in milliseconds.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const createSchedule = () => ({ version: 1, cards: {} });
+
+export const isSchedule = (schedule) =>
+  Boolean(schedule) && schedule.version === 1 && typeof schedule.cards === 'object' && schedule.cards !== null;
+
+export const cardKey = (fromFen, san) => `${positionKey(fromFen)} ${san}`;
+
+// Cards that were never reviewed are due straight away
+export const isDue = (card, now) => !card || card.due <= now;
+
+// SM-2 with a fixed "good" grade: intervals grow by the ease factor after each
+// correct answer, while a miss makes the card due again and lowers its ease
+export const reviewCard = (card, correct, now) => {
+  const previous = card || { interval: 0, ease: 2.5, due: now, reps: 0, lapses: 0 };
+  if (!correct) {
+    return {
+      ...previous,
+      interval: 0,
+      ease: Math.max(1.3, previous.ease - 0.2),
+      due: now,
+      reps: 0,
+      lapses: previous.lapses + 1,
+    };
+  }
+
+  const reps = previous.reps + 1;
+  let interval = Math.round(previous.interval * previous.ease);
+  if (reps === 1) interval = 1;
+  else if (reps === 2) interval = 3;
+  return { ...previous, interval, due: now + interval * DAY, reps };
+};
+
+// A new schedule with the answers for `keys` recorded
+export const recordReview = (schedule, keys, correct, now) => ({
+  ...schedule,
+  cards: {
+    ...schedule.cards,
+    ...Object.fromEntries(keys.map(key => [key, reviewCard(schedule.cards[key], correct, now)])),
+  },
+});
+
+// Due moves of `side` ('w' or 'b') in the subtree below `node`
+export const countDue = (node, side, schedule, now) => {
+  let count = 0;
+  walk(node, (child, path, parent) => {
+    if (parent && child.move.color === side && isDue(schedule.cards[cardKey(parent.fen, child.san)], now)) {
+      count += 1;
+    }
+  });
+  return count;
+};
+
+// Index of the reply to play from `node`: a random one among the branches that
+// still have due moves for the trainee, or among all of them once none do
+export const chooseOpponentMove = (node, side, schedule, now, random = Math.random) => {
+  const indexes = node.children.map((_, index) => index);
+  const withDueMoves = indexes.filter(index => countDue(node.children[index], side, schedule, now) > 0);
+  const candidates = withDueMoves.length > 0 ? withDueMoves : indexes;
+  return candidates[Math.floor(random() * candidates.length)];
+};
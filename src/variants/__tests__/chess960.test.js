@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import { Chess } from 'chess.js'
+import { createGame, chess960Fen, randomChess960Fen, needsChess960, toShredderFen, toXFen, toChess960Fen, isChess960Variant } from '../chess960'
+
+const fen = 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w GAga - 0 1'
+
+describe('chess960', () => {
+  it('numbers the starting positions like Scharnagl', () => {
+    expect(chess960Fen(518)).toBe('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w HAha - 0 1')
+    expect(chess960Fen(0)).toBe('bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w HFhf - 0 1')
+    expect(randomChess960Fen(() => 0.999)).toBe(chess960Fen(959))
+  })
+
+  it('converts between Shredder-FEN and X-FEN', () => {
+    const xfen = 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RK4R1 w KQkq - 0 1'
+    expect(toShredderFen(xfen)).toBe(fen)
+    expect(toXFen(fen)).toBe(xfen)
+    // An inner rook keeps its file in X-FEN
+    expect(toXFen('rk3rr1/8/8/8/8/8/8/RK3RR1 w FAf - 0 1')).toBe('rk3rr1/8/8/8/8/8/8/RK3RR1 w FQf - 0 1')
+    expect(toShredderFen('rk3rr1/8/8/8/8/8/8/RK3RR1 w KFQ - 0 1')).toBe('rk3rr1/8/8/8/8/8/8/RK3RR1 w GFA - 0 1')
+  })
+
+  it('tells which FENs need Chess960 castling', () => {
+    expect(needsChess960(new Chess().fen())).toBe(false)
+    expect(needsChess960('4k3/8/8/8/8/8/8/4K3 w - - 0 1')).toBe(false)
+    expect(needsChess960(fen)).toBe(true)
+    expect(needsChess960(toXFen(fen))).toBe(true)
+    expect(isChess960Variant('Chess960')).toBe(true)
+    expect(isChess960Variant('Fischerandom')).toBe(true)
+    expect(isChess960Variant('Standard')).toBe(false)
+    expect(toChess960Fen(toXFen(fen))).toBe(fen)
+    expect(() => toChess960Fen('rk6/8/8/8/8/8/8/RK6 w H - 0 1')).toThrow(/castling rights/)
+  })
+
+  it('uses chess.js for positions without Chess960 castling rights', () => {
+    expect(createGame(new Chess().fen())).toBeInstanceOf(Chess)
+    expect(createGame(fen)).not.toBeInstanceOf(Chess)
+  })
+
+  it('castles by SAN, onto the rook and in UCI notation', () => {
+    const kingside = createGame(fen).move('O-O')
+    expect(kingside).toMatchObject({ san: 'O-O', from: 'b1', to: 'g1', rook: 'g1', lan: 'b1g1', flags: 'k' })
+    expect(kingside.after).toBe('rk4r1/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 b ga - 1 1')
+
+    const queenside = createGame(fen)
+    expect(queenside.move({ from: 'b1', to: 'a1' }).san).toBe('O-O-O')
+    expect(queenside.fen()).toBe('rk4r1/pppppppp/8/8/8/8/PPPPPPPP/2KR2R1 b ga - 1 1')
+
+    expect(createGame(fen).move('b1g1').san).toBe('O-O')
+    expect(createGame(fen).move('0-0-0').san).toBe('O-O-O')
+  })
+
+  it('prefers an ordinary king move to the destination square', () => {
+    const game = createGame(fen)
+    expect(game.move({ from: 'b1', to: 'c1' }).san).toBe('Kc1')
+    expect(game.fen()).toBe('rk4r1/pppppppp/8/8/8/8/PPPPPPPP/R1K3R1 b ga - 1 1')
+  })
+
+  it('keeps the rules for castling', () => {
+    // The king would cross e1, which the rook on e8 attacks
+    const attacked = createGame('rk2r3/8/8/8/8/8/8/RK4R1 w GA - 0 1')
+    expect(attacked.moves()).not.toContain('O-O')
+    expect(attacked.moves()).toContain('O-O-O')
+
+    // The king stays on g1 and only the rook moves
+    const kingInPlace = createGame('6k1/8/8/8/8/8/8/6KR w H - 0 1')
+    expect(kingInPlace.move('O-O').after).toBe('6k1/8/8/8/8/8/8/5RK1 b - - 1 1')
+
+    // Pieces between the rook and its destination block castling
+    expect(createGame('1k6/8/8/8/8/8/8/RNK5 w A - 0 1').moves()).not.toContain('O-O-O')
+    expect(createGame('5k2/8/8/8/8/8/8/RK4R1 w GA - 0 1').move('O-O').san).toBe('O-O+')
+
+    // The b1 rook shields c1 from the a1 rook only until it castles
+    const shielded = createGame('k7/8/8/8/8/8/8/rR2K2R w BH - 0 1')
+    expect(shielded.moves()).not.toContain('O-O-O')
+    expect(shielded.moves()).toContain('O-O')
+  })
+
+  it('lists castling among the moves of the king', () => {
+    const moves = createGame(fen).moves({ square: 'b1', verbose: true })
+    expect(moves.map(move => move.san).sort()).toEqual(['Kc1', 'O-O', 'O-O-O'])
+    expect(createGame(fen).moves({ square: 'a2' })).toEqual(['a3', 'a4'])
+  })
+
+  it('drops castling rights when a rook moves or is taken', () => {
+    const open = 'rk4r1/8/8/8/8/8/8/RK4R1 w GAga - 0 1'
+    expect(createGame(open).move('Rg2').after).toBe('rk4r1/8/8/8/8/8/6R1/RK6 b Aga - 1 1')
+    expect(createGame(open).move('Rxa8+').after).toBe('Rk4r1/8/8/8/8/8/8/1K4R1 b Gg - 0 1')
+  })
+})
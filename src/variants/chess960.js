@@ -0,0 +1,269 @@
+import { Chess, validateFen } from 'chess.js';
+import { setupFromFen, setupToFen } from '../board/setup';
+
+// Chess960 on top of chess.js, which only knows standard castling. Positions
+// are kept as Shredder-FENs, where castling rights name the rook's file
+// ("HAha") instead of a side ("KQkq"), so a FEN alone says whether a game needs
+// Chess960 rules. createGame picks the right implementation for a FEN.
+//
+// The Chess960 game plays every other move through chess.js with the castling
+// rights taken out, and handles castling itself: the king goes to the g- or
+// c-file and the rook next to it, however far apart they started.
+
+const FILES = 'abcdefgh';
+const BACK_RANKS = { w: '1', b: '8' };
+
+export const CHESS960 = 'chess960';
+export const STANDARD = 'standard';
+
+// The Variant header values other programs write for Chess960
+export const isChess960Variant = (name) => /^(chess ?960|fischer ?r?andom|freestyle)$/i.test((name || '').trim());
+
+const fenFields = (fen) => fen.trim().split(/\s+/);
+const hasShredderRights = (fen) => /[A-Ha-h]/.test(fenFields(fen)[2] || '');
+const fileIndex = (square) => FILES.indexOf(square[0]);
+
+const kingSquare = (pieces, color) =>
+  [...FILES].map(file => `${file}${BACK_RANKS[color]}`).find(square => pieces[square] === `${color}K`) || null;
+
+// Rook squares with castling rights, from Shredder ("HAha") or X-FEN / standard
+// ("KQkq", the outermost rook on that side) castling fields. Rights that don't
+// point at a rook come back as null.
+const castlingRooks = (fen) => {
+  const [placement, , castling = '-'] = fenFields(fen);
+  const { pieces } = setupFromFen(placement);
+  return [...(castling === '-' ? '' : castling)].map(char => {
+    const color = char === char.toUpperCase() ? 'w' : 'b';
+    const rank = BACK_RANKS[color];
+    const king = kingSquare(pieces, color);
+    const side = char.toLowerCase();
+    if (!king) return null;
+    if (side === 'k' || side === 'q') {
+      const rooks = [...FILES]
+        .filter((file, index) => (side === 'k' ? index > fileIndex(king) : index < fileIndex(king)))
+        .filter(file => pieces[`${file}${rank}`] === `${color}R`);
+      if (rooks.length === 0) return null;
+      return `${side === 'k' ? rooks[rooks.length - 1] : rooks[0]}${rank}`;
+    }
+    const square = `${side}${rank}`;
+    return pieces[square] === `${color}R` ? square : null;
+  });
+};
+
+// Castling field for rook squares: White before Black, the kingside before the
+// queenside. X-FEN uses K/Q where that's unambiguous, Shredder-FEN always files.
+const formatCastling = (pieces, rooks, style) => {
+  const rights = [];
+  ['w', 'b'].forEach(color => {
+    const king = kingSquare(pieces, color);
+    const own = rooks.filter(square => square[1] === BACK_RANKS[color]).sort((a, b) => fileIndex(b) - fileIndex(a));
+    own.forEach(square => {
+      const kingside = fileIndex(square) > fileIndex(king);
+      let letter = square[0];
+      if (style === 'xfen') {
+        const outer = [...FILES]
+          .filter((file, index) => (kingside ? index > fileIndex(square) : index < fileIndex(square)))
+          .some(file => pieces[`${file}${square[1]}`] === `${color}R`);
+        if (!outer) letter = kingside ? 'k' : 'q';
+      }
+      rights.push(color === 'w' ? letter.toUpperCase() : letter);
+    });
+  });
+  return rights.join('') || '-';
+};
+
+const withCastling = (fen, castling) => {
+  const fields = fenFields(fen);
+  fields[2] = castling;
+  return fields.join(' ');
+};
+
+// Whether a FEN can only be read with Chess960 castling: Shredder rights, or
+// K/Q rights for a king or rook that isn't on its standard square
+export const needsChess960 = (fen) => {
+  if (hasShredderRights(fen)) return true;
+  const [placement, , castling = '-'] = fenFields(fen);
+  const { pieces } = setupFromFen(placement);
+  return [...(castling === '-' ? '' : castling)].some(char => {
+    const color = char === char.toUpperCase() ? 'w' : 'b';
+    const rank = BACK_RANKS[color];
+    const rook = char.toLowerCase() === 'k' ? `h${rank}` : `a${rank}`;
+    return pieces[`e${rank}`] !== `${color}K` || pieces[rook] !== `${color}R`;
+  });
+};
+
+export const toShredderFen = (fen) => {
+  const { pieces } = setupFromFen(fen);
+  return withCastling(fen, formatCastling(pieces, castlingRooks(fen).filter(Boolean), 'shredder'));
+};
+
+export const toXFen = (fen) => {
+  const { pieces } = setupFromFen(fen);
+  return withCastling(fen, formatCastling(pieces, castlingRooks(fen).filter(Boolean), 'xfen'));
+};
+
+// The starting position with Scharnagl number `n` (518 is the standard one)
+export const chess960Fen = (n) => {
+  const rank = Array(8).fill(null);
+  const empty = () => rank.map((piece, index) => (piece ? null : index)).filter(index => index !== null);
+  let rest = n;
+  rank[[1, 3, 5, 7][rest % 4]] = 'B';
+  rest = Math.floor(rest / 4);
+  rank[[0, 2, 4, 6][rest % 4]] = 'B';
+  rest = Math.floor(rest / 4);
+  rank[empty()[rest % 6]] = 'Q';
+  rest = Math.floor(rest / 6);
+  const knights = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]][rest];
+  const forKnights = empty();
+  knights.forEach(index => {
+    rank[forKnights[index]] = 'N';
+  });
+  const [queenRook, king, kingRook] = empty();
+  rank[queenRook] = 'R';
+  rank[king] = 'K';
+  rank[kingRook] = 'R';
+
+  const white = rank.join('');
+  const rights = `${FILES[kingRook].toUpperCase()}${FILES[queenRook].toUpperCase()}${FILES[kingRook]}${FILES[queenRook]}`;
+  return `${white.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${white} w ${rights} - 0 1`;
+};
+
+export const randomChess960Fen = (random = Math.random) => chess960Fen(Math.floor(random() * 960));
+
+const createChess960Game = (initialFen) => {
+  const withoutCastling = (fen) => withCastling(fen, '-');
+  const check = validateFen(withoutCastling(initialFen));
+  if (!check.ok) throw new Error(check.error);
+  const rooks = castlingRooks(initialFen);
+  if (rooks.some(rook => !rook)) throw new Error('Invalid FEN: castling rights need a king and a rook on the back rank');
+
+  let fen = toShredderFen(initialFen);
+  const base = () => new Chess(withoutCastling(fen));
+  const turn = () => fenFields(fen)[1];
+  const piecesOf = (position) => setupFromFen(position).pieces;
+  const placementOf = (pieces) => setupToFen({ pieces, turn: 'w', castling: '', enPassant: null, halfmove: 0, fullmove: 1 }).split(' ')[0];
+
+  // Castling moves for the side to move, as chess.js-style move objects
+  const castlingMoves = () => {
+    const color = turn();
+    const them = color === 'w' ? 'b' : 'w';
+    const rank = BACK_RANKS[color];
+    const pieces = piecesOf(fen);
+    const king = kingSquare(pieces, color);
+    const game = base();
+    if (!king || game.inCheck()) return [];
+
+    return castlingRooks(fen)
+      .filter(rook => rook && rook[1] === rank)
+      .map(rook => {
+        const kingside = fileIndex(rook) > fileIndex(king);
+        const kingTo = `${kingside ? 'g' : 'c'}${rank}`;
+        const rookTo = `${kingside ? 'f' : 'd'}${rank}`;
+        const files = [king, rook, kingTo, rookTo].map(fileIndex);
+        const span = [...FILES].slice(Math.min(...files), Math.max(...files) + 1).map(file => `${file}${rank}`);
+        if (span.some(square => pieces[square] && square !== king && square !== rook)) return null;
+
+        // The king may not pass through or land on an attacked square. Both castling
+        // pieces leave the probe, so neither can shield the path
+        const withoutCastlers = { ...pieces };
+        delete withoutCastlers[king];
+        delete withoutCastlers[rook];
+        const probe = new Chess(`${placementOf(withoutCastlers)} ${color} - - 0 1`, { skipValidation: true });
+        const kingFiles = [fileIndex(king), fileIndex(kingTo)].sort((a, b) => a - b);
+        const path = [...FILES].slice(kingFiles[0], kingFiles[1] + 1).map(file => `${file}${rank}`);
+        if (path.some(square => probe.isAttacked(square, them))) return null;
+
+        const after = { ...pieces };
+        delete after[king];
+        delete after[rook];
+        after[kingTo] = `${color}K`;
+        after[rookTo] = `${color}R`;
+        const [, , , , halfmove, fullmove] = fenFields(fen);
+        const remaining = castlingRooks(fen).filter(square => square && square[1] !== rank);
+        const afterFen = `${placementOf(after)} ${them} ${formatCastling(after, remaining, 'shredder')} - ${Number(halfmove) + 1} ${Number(fullmove) + (color === 'b' ? 1 : 0)}`;
+
+        const reply = new Chess(withoutCastling(afterFen));
+        let san = kingside ? 'O-O' : 'O-O-O';
+        if (reply.isCheckmate()) san += '#';
+        else if (reply.inCheck()) san += '+';
+        return {
+          color,
+          piece: 'k',
+          from: king,
+          to: kingTo,
+          rook,
+          san,
+          lan: `${king}${rook}`,
+          before: fen,
+          after: afterFen,
+          flags: kingside ? 'k' : 'q',
+        };
+      })
+      .filter(Boolean);
+  };
+
+  // A chess.js move with the castling rights and FENs filled back in
+  const withRights = (move) => {
+    const remaining = castlingRooks(fen).filter(square =>
+      square && square !== move.from && square !== move.to && !(move.piece === 'k' && square[1] === BACK_RANKS[move.color]));
+    const afterFen = withCastling(move.after, formatCastling(piecesOf(move.after), remaining, 'shredder'));
+    return { ...move, before: fen, after: afterFen };
+  };
+
+  const legalMoves = ({ square } = {}) => [
+    ...base().moves({ verbose: true, ...(square ? { square } : {}) }).map(withRights),
+    ...castlingMoves().filter(move => !square || move.from === square),
+  ];
+
+  // Castling can be asked for as O-O/O-O-O, as the king moving onto its rook
+  // (how the board and UCI engines play it) or onto its destination square
+  const findCastling = (input) => {
+    const castles = castlingMoves();
+    if (typeof input === 'string') {
+      const notation = input.replace(/0/g, 'O').replace(/[+#!?]+$/, '');
+      const uci = /^([a-h][1-8])([a-h][1-8])$/.exec(input);
+      if (uci) return castles.find(move => move.from === uci[1] && move.rook === uci[2]) || null;
+      return castles.find(move => move.san.replace(/[+#]$/, '') === notation) || null;
+    }
+    const onRook = castles.find(move => move.from === input.from && move.rook === input.to);
+    if (onRook) return onRook;
+    const ordinary = base().moves({ square: input.from, verbose: true }).some(move => move.to === input.to);
+    return ordinary ? null : castles.find(move => move.from === input.from && move.to === input.to) || null;
+  };
+
+  return {
+    fen: () => fen,
+    turn,
+    get: (square) => base().get(square),
+    board: () => base().board(),
+    isAttacked: (square, color) => base().isAttacked(square, color),
+    inCheck: () => base().inCheck(),
+    isCheckmate: () => base().isCheckmate(),
+    // Castling is never possible in check, so only stalemates can differ from chess.js
+    isStalemate: () => !base().inCheck() && legalMoves().length === 0,
+    isInsufficientMaterial: () => base().isInsufficientMaterial(),
+    moves: ({ square, verbose = false } = {}) => {
+      const moves = legalMoves({ square });
+      return verbose ? moves : moves.map(move => move.san);
+    },
+    move: (input) => {
+      let move = findCastling(input);
+      if (!move) {
+        try {
+          move = withRights(base().move(input));
+        } catch {
+          throw new Error(`Invalid move: ${JSON.stringify(input)}`);
+        }
+      }
+      fen = move.after;
+      return move;
+    },
+  };
+};
+
+// A chess.js-compatible game for a FEN: Chess960 rules when the castling rights
+// need them, plain chess.js otherwise
+export const createGame = (fen) => (fen && hasShredderRights(fen) ? createChess960Game(fen) : new Chess(fen));
+
+// The Shredder-FEN of a position given in any notation, read with Chess960 castling. Throws if it's invalid.
+export const toChess960Fen = (fen) => createChess960Game(fen).fen();